@@ -245,6 +245,16 @@ try {
 				} else if (request.url.substr(0, 9) === '/avatars/') {
 					request.url = request.url.substr(8);
 					server = avatarserver;
+				} else if (request.url.substr(0, 8) === '/replay/') {
+					Replays.serve(request.url.substr(8), response, function() {
+						staticserver.serveFile('404.html', 404, {}, request, response);
+					});
+					return;
+				} else if (request.url.substr(0, 13) === '/tournaments/') {
+					tour.serve(request.url.substr(13), response, function() {
+						staticserver.serveFile('404.html', 404, {}, request, response);
+					});
+					return;
 				} else {
 					if (/^\/([A-Za-z0-9][A-Za-z0-9-]*)\/?$/.test(request.url)) {
 						request.url = '/';
@@ -393,6 +403,20 @@ watchFile('./config/custom.css', function(curr, prev) {
 });
 LoginServer.request('invalidatecss', {}, function() {});
 
+global.Ladders = require('./ladders.js');
+
+global.BattleIndex = require('./battle-index.js');
+
+global.Replays = require('./replays.js');
+
+global.UsageStats = require('./usage-stats.js');
+
+global.League = require('./league.js');
+
+global.TeamParser = require('./team-parser.js');
+
+global.TeamStorage = require('./team-storage.js');
+
 global.Users = require('./users.js');
 
 global.Rooms = require('./rooms.js');
@@ -530,6 +554,11 @@ server.on('connection', function(socket) {
 				user.chat(lines, room, connection);
 				return;
 			}
+			// commands that take a pasted team get all of its lines
+			if (/^[\/!](validate|points|teams|checklegal) /.test(lines)) {
+				user.chat(lines, room, connection);
+				return;
+			}
 			lines = lines.split('\n');
 			for (var i=0; i<lines.length; i++) {
 				if (user.chat(lines[i], room, connection) === false) break;
@@ -591,6 +620,9 @@ global.Tools = require('./tools.js');
 // After loading tools, generate and cache the format list.
 Rooms.global.formatListText = Rooms.global.getFormatListText();
 
+// AI players, from `bots` in config/config.js
+Users.createBots();
+
 // load ipbans at our leisure
 fs.readFile('./config/ipbans.txt', function (err, data) {
 	if (err) return;
@@ -0,0 +1,249 @@
+/**
+ * Battle AI
+ * Pokemon Showdown - http://pokemonshowdown.com/
+ *
+ * Plays a side of a battle for the built-in AI players (see `bots` in
+ * config/config.js). It runs in the simulator process: it's given the
+ * same request Battle.prototype.makeRequest sends a player, and its
+ * choice goes through Battle.prototype.choose like anyone else's.
+ *
+ * Difficulties:
+ *
+ *   random  picks a random move, and only switches when it has to
+ *   normal  picks the move with the highest base power, counting STAB,
+ *           accuracy and type effectiveness
+ *   hard    picks the move that does the most damage this turn, going by
+ *           Battle.getDamage, and switches in whatever does the most
+ *           damage to the foe
+ *
+ * @license MIT license
+ */
+
+module.exports = (function() {
+	var difficulties = {random: 1, normal: 1, hard: 1};
+
+	/**
+	 * Returns a choice for `side`'s current request, in the same form as
+	 * a player's /choose.
+	 */
+	var choose = function(battle, side, request) {
+		var difficulty = (difficulties[side.ai] ? side.ai : 'random');
+		if (request.teamPreview) return 'team 1';
+		if (request.forceSwitch) return chooseSwitches(battle, side, request, difficulty);
+		return chooseMoves(battle, side, request, difficulty);
+	};
+
+	var chooseMoves = function(battle, side, request, difficulty) {
+		if (battle.gameType === 'rotation') return chooseRotation(battle, side, request, difficulty);
+		var choices = [];
+		for (var i=0; i<side.active.length; i++) {
+			var pokemon = side.active[i];
+			if (!pokemon || pokemon.fainted || !request.active[i]) {
+				choices.push('pass');
+				continue;
+			}
+			var moves = request.active[i].moves.filter(function(move) {
+				return !move.disabled;
+			});
+			if (!moves.length) {
+				// Struggle
+				choices.push('move 1');
+				continue;
+			}
+
+			var options = [];
+			for (var j=0; j<moves.length; j++) {
+				var targets = getTargets(battle, pokemon, moves[j]);
+				for (var k=0; k<targets.length; k++) {
+					options.push({
+						move: moves[j].id,
+						target: targets[k],
+						score: 0
+					});
+				}
+			}
+			if (difficulty !== 'random') {
+				for (var j=0; j<options.length; j++) {
+					var target = options[j].target ? side.foe.active[options[j].target - 1] : getFoe(side);
+					if (target) options[j].score = score(battle, pokemon, target, options[j].move, difficulty);
+				}
+			}
+			var option = pickBest(battle, options);
+			choices.push('move ' + option.move + (option.target ? ' ' + option.target : ''));
+		}
+		return choices.join(',');
+	};
+
+	/**
+	 * In rotation battles only the Pokemon in front moves, but rotating
+	 * is free, so any of the three can be the one to move.
+	 */
+	var chooseRotation = function(battle, side, request, difficulty) {
+		var rotations = ['', 'rotate left ', 'rotate right '];
+		var foe = getFoe(side);
+		var options = [];
+		for (var i=0; i<side.active.length; i++) {
+			var pokemon = side.active[i];
+			if (!pokemon || pokemon.fainted || !request.active[i]) continue;
+			var moves = request.active[i].moves.filter(function(move) {
+				return !move.disabled;
+			});
+			if (!moves.length) {
+				// Struggle
+				options.push({choice: rotations[i] + 'move 1', score: 0});
+				continue;
+			}
+			for (var j=0; j<moves.length; j++) {
+				var option = {choice: rotations[i] + 'move ' + moves[j].id, score: 0};
+				if (difficulty !== 'random' && foe) option.score = score(battle, pokemon, foe, moves[j].id, difficulty);
+				options.push(option);
+			}
+		}
+		return pickBest(battle, options).choice;
+	};
+
+	var chooseSwitches = function(battle, side, request, difficulty) {
+		var choices = [];
+		var chosen = {};
+		for (var i=0; i<side.active.length; i++) {
+			if (!request.forceSwitch[i]) {
+				choices.push('pass');
+				continue;
+			}
+			var options = [];
+			for (var j=side.active.length; j<side.pokemon.length; j++) {
+				var pokemon = side.pokemon[j];
+				if (pokemon.fainted || chosen[j]) continue;
+				var option = {slot: j, score: 0};
+				var foe = getFoe(side);
+				if (difficulty !== 'random' && foe) {
+					for (var k=0; k<pokemon.moves.length; k++) {
+						option.score = Math.max(option.score, score(battle, pokemon, foe, pokemon.moves[k], difficulty));
+					}
+				}
+				options.push(option);
+			}
+			if (!options.length) {
+				choices.push('pass');
+				continue;
+			}
+			var option = pickBest(battle, options);
+			chosen[option.slot] = true;
+			choices.push('switch ' + (option.slot + 1));
+		}
+		return choices.join(',');
+	};
+
+	/**
+	 * Target locations worth trying for a move: each foe in reach, for
+	 * moves that hit one Pokemon in doubles and triples, or just 0 (the
+	 * default) otherwise.
+	 */
+	var getTargets = function(battle, pokemon, move) {
+		var side = pokemon.side;
+		if (side.active.length < 2) return [0];
+		if (move.target !== 'normal' && move.target !== 'any' && move.target !== 'adjacentFoe') return [0];
+		var targets = [];
+		for (var i=0; i<side.foe.active.length; i++) {
+			var foe = side.foe.active[i];
+			if (foe && !foe.fainted && battle.validTargetLoc(i + 1, pokemon, move.target)) targets.push(i + 1);
+		}
+		return targets.length ? targets : [0];
+	};
+
+	var getFoe = function(side) {
+		for (var i=0; i<side.foe.active.length; i++) {
+			var foe = side.foe.active[i];
+			if (foe && !foe.fainted) return foe;
+		}
+		return null;
+	};
+
+	/**
+	 * The highest-scoring option, picking randomly between ties (so the
+	 * random difficulty, where nothing is scored, picks at random).
+	 */
+	var pickBest = function(battle, options) {
+		var best = [];
+		for (var i=0; i<options.length; i++) {
+			if (!best.length || options[i].score > best[0].score) {
+				best = [options[i]];
+			} else if (options[i].score === best[0].score) {
+				best.push(options[i]);
+			}
+		}
+		return best[battle.random(best.length)];
+	};
+
+	/**
+	 * How good `moveid` used by `pokemon` on `target` looks: expected
+	 * damage for hard, a rough base power estimate for normal.
+	 */
+	var score = function(battle, pokemon, target, moveid, difficulty) {
+		var move = battle.getMove(moveid);
+		if (move.category === 'Status') return 0;
+		var accuracy = (move.accuracy === true ? 1 : move.accuracy / 100);
+
+		if (difficulty === 'hard') {
+			return Math.min(estimateDamage(battle, pokemon, target, moveid), target.hp) * accuracy;
+		}
+
+		if (!target.runImmunity(move.type)) return 0;
+		var basePower = move.basePower || (move.damage ? 60 : 0);
+		if (pokemon.hasType(move.type)) basePower *= 1.5;
+		return basePower * Math.pow(2, battle.getEffectiveness(move.type, target)) * accuracy;
+	};
+
+	/**
+	 * Battle.getDamage, without a critical hit, and without leaving any
+	 * trace in the battle: it can roll the PRNG and add messages to the
+	 * log, and it runs item events for real, so a Gem or a resist berry
+	 * gets used up (and Unburden kicks in). All of that is put back
+	 * afterwards.
+	 */
+	var estimateDamage = function(battle, pokemon, target, moveid) {
+		var seed = battle.seed.slice();
+		var logLength = battle.log.length;
+		var pokemonState = saveItemState(pokemon);
+		var targetState = saveItemState(target);
+		var damage = 0;
+		try {
+			var move = battle.getMoveCopy(moveid);
+			move.willCrit = false;
+			damage = battle.getDamage(pokemon, target, move, true);
+		} catch (e) {
+			// some moves' callbacks expect to be run from useMove; we just
+			// don't count those
+			damage = 0;
+		}
+		battle.seed = seed;
+		battle.log.splice(logLength);
+		restoreItemState(pokemon, pokemonState);
+		restoreItemState(target, targetState);
+		return (typeof damage === 'number' ? damage : 0);
+	};
+
+	var saveItemState = function(pokemon) {
+		var volatiles = {};
+		for (var id in pokemon.volatiles) volatiles[id] = pokemon.volatiles[id];
+		return {
+			item: pokemon.item,
+			itemData: pokemon.itemData,
+			lastItem: pokemon.lastItem,
+			usedItemThisTurn: pokemon.usedItemThisTurn,
+			volatiles: volatiles
+		};
+	};
+
+	var restoreItemState = function(pokemon, state) {
+		pokemon.item = state.item;
+		pokemon.itemData = state.itemData;
+		pokemon.lastItem = state.lastItem;
+		pokemon.usedItemThisTurn = state.usedItemThisTurn;
+		pokemon.volatiles = state.volatiles;
+	};
+
+	return {
+		choose: choose
+	};
+})();
@@ -102,6 +102,8 @@ clampIntRange = function(num, min, max) {
 
 global.Tools = require('./tools.js');
 
+var BattleAI = require('./battle-ai.js');
+
 var Battles = {};
 
 // Receive and process a message sent using Simulator.prototype.send in
@@ -119,6 +121,7 @@ process.on('message', function(message) {
 		if (!Battles[data[0]]) {
 			try {
 				Battles[data[0]] = Battle.construct(data[0], data[2], data[3]);
+				Battles[data[0]].sendSnapshot();
 			} catch (err) {
 				var stack = err.stack + '\n\n' +
 						'Additional information:\n' +
@@ -133,6 +136,24 @@ process.on('message', function(message) {
 				}
 			}
 		}
+	} else if (data[1] === 'restore') {
+		// a battle from a simulator process that was respawned or crashed;
+		// `more` is what simulator.js has seen of the battle (including the
+		// messages it was sent since its last snapshot), then the snapshot
+		if (!Battles[data[0]]) {
+			var snapshotIndex = more.indexOf("\n");
+			var seen = JSON.parse(more.substr(0, snapshotIndex));
+			var snapshot = more.substr(snapshotIndex+1);
+			try {
+				Battles[data[0]] = Battle.restore(data[0], data[2], data[3], snapshot, seen.log, seen.inputLog, seen.inputs, seen);
+			} catch (err) {
+				var stack = err.stack + '\n\n' +
+						'Additional information:\n' +
+						'message = ' + message;
+				require('./crashlogger.js')({stack: stack}, 'A battle');
+				process.send(data[0]+'\nupdate\n|html|<div class="broadcast-red"><b>The battle could not be restored after the simulator restarted.</b></div>');
+			}
+		}
 	} else if (data[1] === 'dealloc') {
 		if (Battles[data[0]]) Battles[data[0]].destroy();
 		delete Battles[data[0]];
@@ -205,7 +226,7 @@ var BattlePokemon = (function() {
 		this.level = clampIntRange(set.forcedLevel || set.level || 100, 1, 1000);
 
 		var genders = {M:'M',F:'F'};
-		this.gender = this.template.gender || genders[set.gender] || (Math.random()*2<1?'M':'F');
+		this.gender = this.template.gender || genders[set.gender] || (this.battle.random(2)?'F':'M');
 		if (this.gender === 'N') this.gender = '';
 		this.happiness = typeof set.happiness === 'number' ? clampIntRange(set.happiness, 0, 255) : 255;
 
@@ -327,6 +348,9 @@ var BattlePokemon = (function() {
 	BattlePokemon.prototype.lastItem = '';
 	BattlePokemon.prototype.status = '';
 	BattlePokemon.prototype.position = 0;
+	// in multi battles, which of the side's two players this belongs to;
+	// it's also the active slot that player controls
+	BattlePokemon.prototype.controller = 0;
 
 	BattlePokemon.prototype.lastMove = '';
 	BattlePokemon.prototype.moveThisTurn = '';
@@ -1106,12 +1130,32 @@ var BattleSide = (function() {
 		case 'doubles':
 			this.active = [null, null];
 			break;
+		case 'triples':
+		case 'rotation':
+			this.active = [null, null, null];
+			break;
+		case 'multi':
+			this.active = [null, null];
+			break;
 		}
 
-		this.team = this.battle.getTeam(this, team);
+		var controllers = [];
+		if (this.battle.gameType === 'multi') {
+			// `team` has both players' teams; each brings three Pokemon,
+			// with their leads first
+			var teams = [
+				this.battle.getTeam(this, team[0]).slice(0, 3),
+				this.battle.getTeam(this, team[1]).slice(0, 3)
+			];
+			this.team = [teams[0][0], teams[1][0]].concat(teams[0].slice(1), teams[1].slice(1));
+			controllers = [0, 1].concat(teams[0].slice(1).map(function() { return 0; }), teams[1].slice(1).map(function() { return 1; }));
+		} else {
+			this.team = this.battle.getTeam(this, team);
+		}
 		for (var i=0; i<this.team.length && i<6; i++) {
 			//console.log("NEW POKEMON: "+(this.team[i]?this.team[i].name:'[unidentified]'));
 			this.pokemon.push(new BattlePokemon(this.team[i], this));
+			if (controllers[i]) this.pokemon[i].controller = controllers[i];
 		}
 		this.pokemonLeft = this.pokemon.length;
 		for (var i=0; i<this.pokemon.length; i++) {
@@ -1125,11 +1169,20 @@ var BattleSide = (function() {
 	BattleSide.prototype.faintedThisTurn = false;
 	BattleSide.prototype.decision = null;
 	BattleSide.prototype.foe = null;
+	// the difficulty of the AI playing this side, if any (see battle-ai.js)
+	BattleSide.prototype.ai = '';
+	BattleSide.prototype.request = null;
+	// in multi battles, each player's choice until both have chosen
+	BattleSide.prototype.choices = null;
 
 	BattleSide.prototype.toString = function() {
 		return this.id+': '+this.name;
 	};
-	BattleSide.prototype.getData = function() {
+	/**
+	 * The side's Pokemon, for requests. In multi battles, pass `controller`
+	 * to get only that player's Pokemon.
+	 */
+	BattleSide.prototype.getData = function(controller) {
 		var data = {
 			name: this.name,
 			id: this.id,
@@ -1137,6 +1190,7 @@ var BattleSide = (function() {
 		};
 		for (var i=0; i<this.pokemon.length; i++) {
 			var pokemon = this.pokemon[i];
+			if (controller !== undefined && pokemon.controller !== controller) continue;
 			data.pokemon.push({
 				ident: pokemon.fullname,
 				details: pokemon.details,
@@ -1159,7 +1213,7 @@ var BattleSide = (function() {
 			return active && !active.fainted;
 		});
 		if (!actives.length) return null;
-		var i = Math.floor(Math.random() * actives.length);
+		var i = this.battle.random(actives.length);
 		return actives[i];
 	};
 	BattleSide.prototype.addSideCondition = function(status, source, sourceEffect) {
@@ -1205,8 +1259,53 @@ var BattleSide = (function() {
 			Array.prototype.slice.call(arguments).join('|'));
 	};
 	BattleSide.prototype.emitRequest = function(update) {
+		this.request = update;
+		if (this.battle.gameType === 'multi') {
+			for (var i=0; i<this.active.length; i++) {
+				this.battle.send('request', this.getPlayerId(i)+"\n"+this.battle.rqid+"\n"+JSON.stringify(this.getPlayerRequest(update, i)));
+			}
+			return;
+		}
 		this.battle.send('request', this.id+"\n"+this.battle.rqid+"\n"+JSON.stringify(update));
 	};
+	/**
+	 * In multi battles, the slot id (p1 to p4) of the player who controls
+	 * active slot `controller`.
+	 */
+	BattleSide.prototype.getPlayerId = function(controller) {
+		if (!controller) return this.id;
+		return (this.n ? 'p4' : 'p3');
+	};
+	/**
+	 * In multi battles, the part of a request for the player who controls
+	 * active slot `controller`: it looks like a singles request, and their
+	 * switch choices count from their own Pokemon.
+	 */
+	BattleSide.prototype.getPlayerRequest = function(update, controller) {
+		if (!update) return update;
+		var request = {};
+		for (var i in update) {
+			request[i] = update[i];
+		}
+		request.side = this.getData(controller);
+		if (update.active) {
+			delete request.active;
+			if (update.active[controller] && this.active[controller] && !this.active[controller].fainted) {
+				request.active = [update.active[controller]];
+			} else {
+				request.wait = true;
+			}
+		}
+		if (update.forceSwitch) {
+			delete request.forceSwitch;
+			if (update.forceSwitch[controller]) {
+				request.forceSwitch = [true];
+			} else {
+				request.wait = true;
+			}
+		}
+		return request;
+	};
 	BattleSide.prototype.destroy = function() {
 		// deallocate ourself
 
@@ -1285,13 +1384,18 @@ var Battle = (function() {
 
 		this.queue = [];
 		this.faintQueue = [];
-		this.messageLog = [];
+		// every message we receive, so the battle can be re-simulated
+		this.inputLog = [];
 
 		// use a random initial seed (64-bit, [high -> low])
+		// Everything else in the battle goes through this.random, so the
+		// same seed and inputLog always play out the same way. (Random
+		// teams still use Math.random, but the teams are logged too.)
 		this.seed = [Math.floor(Math.random() * 0x10000),
 			Math.floor(Math.random() * 0x10000),
 			Math.floor(Math.random() * 0x10000),
 			Math.floor(Math.random() * 0x10000)];
+		this.startingSeed = this.seed.slice();
 	}
 
 	Battle.prototype.turn = 0;
@@ -1569,11 +1673,41 @@ var Battle = (function() {
 		if (b.subOrder - a.subOrder) {
 			return -(b.subOrder - a.subOrder);
 		}
-		return Math.random()-0.5;
+		return 0;
+	};
+	// Sorts `list` with `comparator` (Battle.comparePriority by default),
+	// and breaks ties (speed ties, mostly) with the battle's PRNG, so they
+	// come out the same way when the battle is re-simulated.
+	Battle.prototype.speedSort = function(list, comparator) {
+		comparator = comparator || Battle.comparePriority;
+		// Array#sort isn't stable, so remember where everything started
+		for (var i=0; i<list.length; i++) {
+			list[i] = [list[i], i];
+		}
+		list.sort(function(a, b) {
+			return comparator(a[0], b[0]) || a[1] - b[1];
+		});
+		for (var i=0; i<list.length; i++) {
+			list[i] = list[i][0];
+		}
+		var start = 0;
+		while (start < list.length) {
+			var end = start + 1;
+			while (end < list.length && !comparator(list[start], list[end])) end++;
+			// shuffle the tied run [start, end)
+			for (var i=end-1; i>start; i--) {
+				var j = start + this.random(i+1-start);
+				var temp = list[i];
+				list[i] = list[j];
+				list[j] = temp;
+			}
+			start = end;
+		}
+		return list;
 	};
 	Battle.prototype.getResidualStatuses = function(thing, callbackType) {
 		var statuses = this.getRelevantEffectsInner(thing || this, callbackType || 'residualCallback', null, null, false, true, 'duration');
-		statuses.sort(Battle.comparePriority);
+		this.speedSort(statuses);
 		//if (statuses[0]) this.debug('match '+(callbackType||'residualCallback')+': '+statuses[0].status.id);
 		return statuses;
 	};
@@ -1586,11 +1720,8 @@ var Battle = (function() {
 				if (side.active[j]) actives.push(side.active[j]);
 			}
 		}
-		actives.sort(function(a, b) {
-			if (b.speed - a.speed) {
-				return b.speed - a.speed;
-			}
-			return Math.random()-0.5;
+		this.speedSort(actives, function(a, b) {
+			return b.speed - a.speed;
 		});
 		for (var i=0; i<actives.length; i++) {
 			if (actives[i].isStarted) {
@@ -1600,7 +1731,7 @@ var Battle = (function() {
 	};
 	Battle.prototype.residualEvent = function(eventid, relayVar) {
 		var statuses = this.getRelevantEffectsInner(this, 'on'+eventid, null, null, false, true, 'duration');
-		statuses.sort(Battle.comparePriority);
+		this.speedSort(statuses);
 		while (statuses.length) {
 			var statusObj = statuses.shift();
 			var status = statusObj.status;
@@ -1899,7 +2030,7 @@ var Battle = (function() {
 	// bubbles up to parents
 	Battle.prototype.getRelevantEffects = function(thing, callbackType, foeCallbackType, foeThing, checkChildren) {
 		var statuses = this.getRelevantEffectsInner(thing, callbackType, foeCallbackType, foeThing, true, false);
-		statuses.sort(Battle.comparePriority);
+		this.speedSort(statuses);
 		//if (statuses[0]) this.debug('match '+callbackType+': '+statuses[0].status.id);
 		return statuses;
 	};
@@ -2042,6 +2173,8 @@ var Battle = (function() {
 			this.rqid++;
 			this.p1.decision = null;
 			this.p2.decision = null;
+			this.p1.choices = null;
+			this.p2.choices = null;
 		} else {
 			type = this.currentRequest;
 		}
@@ -2060,9 +2193,9 @@ var Battle = (function() {
 			function canSwitch(a) {
 				return !a.fainted;
 			}
-			function shouldSwitch(a) {
+			function shouldSwitch(a, i) {
 				if (!a) return false;
-				if (!switchablesLeft) {
+				if (!switchablesLeft || !a.battle.canSwitch(a.side, i)) {
 					a.switchFlag = false;
 					return false;
 				}
@@ -2160,8 +2293,8 @@ var Battle = (function() {
 		if (this.ended) {
 			return false;
 		}
-		if (side === 'p1' || side === 'p2') {
-			side = this[side];
+		if (typeof side === 'string') {
+			side = this.getSide(side);
 		} else if (side !== this.p1 && side !== this.p2) {
 			side = null;
 		}
@@ -2213,20 +2346,67 @@ var Battle = (function() {
 		this.runEvent('SwitchIn', pokemon);
 		this.addQueue({pokemon: pokemon, choice: 'runSwitch'});
 	};
-	Battle.prototype.canSwitch = function(side) {
+	/**
+	 * Moves an active Pokemon to another active slot on its side, trading
+	 * places with whatever was there (triples).
+	 */
+	Battle.prototype.swapPosition = function(pokemon, slot, attributes) {
+		var side = pokemon.side;
+		if (slot >= side.active.length || slot === pokemon.position) return false;
+		var position = pokemon.position;
+		var other = side.active[slot];
+		this.add('swap', pokemon, slot, attributes || '');
+
+		side.pokemon[slot] = pokemon;
+		side.active[slot] = pokemon;
+		pokemon.position = slot;
+		side.pokemon[position] = other;
+		side.active[position] = other;
+		if (other) other.position = position;
+		return true;
+	};
+	/**
+	 * Rotates `side`'s Pokemon (rotation battles). `left` brings the
+	 * Pokemon in slot 2 to the front, and `right` the one in slot 3.
+	 */
+	Battle.prototype.rotate = function(side, direction) {
+		var actives = side.active.slice();
+		if (direction === 'left') {
+			actives.push(actives.shift());
+		} else if (direction === 'right') {
+			actives.unshift(actives.pop());
+		} else {
+			return false;
+		}
+		this.add('rotate', side.active[direction === 'left' ? 1 : 2], direction);
+
+		for (var i=0; i<actives.length; i++) {
+			side.pokemon[i] = actives[i];
+			side.active[i] = actives[i];
+			if (actives[i]) actives[i].position = i;
+		}
+		return true;
+	};
+	/**
+	 * How many Pokemon `side` has left to switch in. In multi battles,
+	 * pass the active slot `pos` to count only what its player can use.
+	 */
+	Battle.prototype.canSwitch = function(side, pos) {
 		var canSwitchIn = [];
 		for (var i=side.active.length; i<side.pokemon.length; i++) {
 			var pokemon = side.pokemon[i];
+			if (pos !== undefined && this.gameType === 'multi' && pokemon.controller !== pos) continue;
 			if (!pokemon.fainted) {
 				canSwitchIn.push(pokemon);
 			}
 		}
 		return canSwitchIn.length;
 	};
-	Battle.prototype.getRandomSwitchable = function(side) {
+	Battle.prototype.getRandomSwitchable = function(side, pos) {
 		var canSwitchIn = [];
 		for (var i=side.active.length; i<side.pokemon.length; i++) {
 			var pokemon = side.pokemon[i];
+			if (pos !== undefined && this.gameType === 'multi' && pokemon.controller !== pos) continue;
 			if (!pokemon.fainted) {
 				canSwitchIn.push(pokemon);
 			}
@@ -2234,11 +2414,11 @@ var Battle = (function() {
 		if (!canSwitchIn.length) {
 			return null;
 		}
-		return canSwitchIn[Math.floor(Math.random()*canSwitchIn.length)];
+		return canSwitchIn[this.random(canSwitchIn.length)];
 	};
 	Battle.prototype.dragIn = function(side, pos) {
 		if (pos >= side.active.length) return false;
-		var pokemon = this.getRandomSwitchable(side);
+		var pokemon = this.getRandomSwitchable(side, pos || 0);
 		if (!pos) pos = 0;
 		if (!pokemon || pokemon.isActive) return false;
 		this.runEvent('BeforeSwitchIn', pokemon);
@@ -2290,6 +2470,17 @@ var Battle = (function() {
 			this.sides[i].faintedLastTurn = this.sides[i].faintedThisTurn;
 			this.sides[i].faintedThisTurn = false;
 		}
+		if (this.gameType === 'triples' && this.p1.pokemonLeft <= 1 && this.p2.pokemonLeft <= 1) {
+			// the last two Pokemon are moved to the center if they can't
+			// reach each other
+			var p1active = this.p1.active.filter(function(active) { return active && !active.fainted; })[0];
+			var p2active = this.p2.active.filter(function(active) { return active && !active.fainted; })[0];
+			if (p1active && p2active && !this.isAdjacent(p1active, p2active)) {
+				this.swapPosition(p1active, 1, '[silent]');
+				this.swapPosition(p2active, 1, '[silent]');
+				this.add('-center');
+			}
+		}
 		this.add('turn', this.turn);
 		this.makeRequest('move');
 	};
@@ -2708,7 +2899,7 @@ var Battle = (function() {
 	 */
 	Battle.prototype.validTargetLoc = function(targetLoc, source, targetType) {
 		var numSlots = source.side.active.length;
-		if (!Math.abs(targetLoc) && Math.abs(targetLoc) > numSlots) return false;
+		if (!targetLoc || Math.abs(targetLoc) > numSlots) return false;
 
 		var sourceLoc = -(source.position+1);
 		var isFoe = (targetLoc > 0);
@@ -2760,7 +2951,7 @@ var Battle = (function() {
 	};
 	Battle.prototype.resolveTarget = function(pokemon, move) {
 		move = this.getMove(move);
-		if (move.target === 'adjacentAlly' && pokemon.side.active.length > 1) {
+		if (move.target === 'adjacentAlly' && pokemon.side.active.length > 1 && this.gameType !== 'rotation') {
 			if (pokemon.side.active[pokemon.position-1]) {
 				return pokemon.side.active[pokemon.position-1];
 			}
@@ -2771,6 +2962,24 @@ var Battle = (function() {
 		if (move.target === 'self' || move.target === 'all' || move.target === 'allySide' || move.target === 'allyTeam' || move.target === 'adjacentAlly' || move.target === 'adjacentAllyOrSelf') {
 			return pokemon;
 		}
+		if (this.gameType === 'rotation') {
+			// only the Pokemon in front can be hit
+			return pokemon.side.foe.active[0];
+		}
+		if (pokemon.side.active.length > 2 && (move.target === 'normal' || move.target === 'randomNormal' || move.target === 'adjacentFoe')) {
+			// in triples, not every foe is in reach
+			var foeActive = pokemon.side.foe.active;
+			var facingPosition = foeActive.length-pokemon.position-1;
+			var adjacentFoes = [];
+			for (var i=0; i<foeActive.length; i++) {
+				if (foeActive[i] && !foeActive[i].fainted && Math.abs(i-facingPosition)<=1) {
+					adjacentFoes.push(foeActive[i]);
+				}
+			}
+			if (adjacentFoes.length) return adjacentFoes[this.random(adjacentFoes.length)];
+			// nothing in reach; the move will fail unless it's redirected
+			return foeActive[facingPosition];
+		}
 		return pokemon.side.foe.randomActive() || pokemon.side.foe.active[0];
 	};
 	Battle.prototype.checkFainted = function() {
@@ -2830,6 +3039,8 @@ var Battle = (function() {
 					'beforeTurn': 100,
 					'beforeTurnMove': 99,
 					'switch': 6,
+					'shift': 6,
+					'rotate': 7,
 					'runSwitch': 6.1,
 					'residual': -100,
 					'team': 102,
@@ -2878,7 +3089,7 @@ var Battle = (function() {
 			this.queue.push(decision);
 		}
 		if (!noSort) {
-			this.queue.sort(Battle.comparePriority);
+			this.speedSort(this.queue);
 		}
 	};
 	Battle.prototype.prioritizeQueue = function(decision, source, sourceEffect) {
@@ -3043,6 +3254,16 @@ var Battle = (function() {
 			this.switchIn(decision.target, decision.pokemon.position);
 			//decision.target.runSwitchIn();
 			break;
+		case 'shift':
+			if (!decision.pokemon.isActive) return false;
+			if (decision.pokemon.fainted) return false;
+			this.swapPosition(decision.pokemon, 1);
+			break;
+		case 'rotate':
+			if (!decision.pokemon.isActive) return false;
+			if (decision.pokemon.fainted) return false;
+			this.rotate(decision.pokemon.side, decision.direction);
+			break;
 		case 'runSwitch':
 			decision.pokemon.isStarted = true;
 			if (!decision.pokemon.fainted) {
@@ -3083,6 +3304,18 @@ var Battle = (function() {
 
 		if (!this.queue.length) this.checkFainted();
 
+		if (this.gameType === 'multi') {
+			// each player can only switch in their own Pokemon
+			for (var i=0; i<this.sides.length; i++) {
+				var side = this.sides[i];
+				for (var j=0; j<side.active.length; j++) {
+					if (side.active[j] && side.active[j].switchFlag && !this.canSwitch(side, j)) {
+						side.active[j].switchFlag = false;
+					}
+				}
+			}
+		}
+
 		function hasSwitchFlag(a) { return a?a.switchFlag:false; }
 		function removeSwitchFlag(a) { if (a) a.switchFlag = false; }
 		var p1switch = this.p1.active.any(hasSwitchFlag);
@@ -3225,6 +3458,64 @@ var Battle = (function() {
 
 		side.decision = false;
 	};
+	/**
+	 * In multi battles, takes one player's choice for the active slot they
+	 * control. Once every slot that needs a choice has one, they're all
+	 * passed on to choose() together.
+	 */
+	Battle.prototype.chooseMulti = function(slot, choice, rqid) {
+		var side = this.getSide(slot);
+		if (!side || !side.currentRequest || side.decision) return;
+		if ((rqid !== undefined) && (parseInt(rqid, 10) !== this.rqid)) {
+			return;
+		}
+
+		var controller = (slot === side.id ? 0 : 1);
+		choice = (choice || '').split(',')[0].trim();
+		if (choice.substr(0, 7) === 'switch ') {
+			// players count their switch choices from their own Pokemon
+			var ownPokemon = side.pokemon.filter(function(pokemon) {
+				return pokemon.controller === controller;
+			});
+			var pokemon = ownPokemon[parseInt(choice.substr(7), 10)-1];
+			if (!pokemon) return;
+			choice = 'switch '+(pokemon.position+1);
+		}
+		if (!side.choices) side.choices = [];
+		side.choices[controller] = choice;
+
+		for (var i=0; i<side.active.length; i++) {
+			if (!side.choices[i] && this.needsChoice(side, i)) return;
+		}
+		var choices = side.active.map(function(pokemon, i) {
+			return side.choices[i] || 'pass';
+		});
+		this.choose(side.id, choices, rqid);
+		// if that wasn't valid, both players choose again
+		if (!side.decision) side.choices = null;
+	};
+	Battle.prototype.undoChoiceMulti = function(slot) {
+		var side = this.getSide(slot);
+		if (!side || !side.currentRequest) return;
+		if (side.decision) {
+			this.undoChoice(side.id);
+			if (side.decision) return;
+		}
+		if (side.choices) side.choices[slot === side.id ? 0 : 1] = null;
+	};
+	/**
+	 * Whether active slot `i` of `side` needs a choice for the current
+	 * request.
+	 */
+	Battle.prototype.needsChoice = function(side, i) {
+		switch (side.currentRequest) {
+		case 'move':
+			return !!(side.active[i] && !side.active[i].fainted);
+		case 'switch':
+			return !!(side.active[i] && side.active[i].switchFlag);
+		}
+		return !i;
+	};
 	/**
 	 * Parses a choice string passed from a client into a decision object
 	 * usable by PS's engine.
@@ -3249,6 +3540,7 @@ var Battle = (function() {
 				data = choice.substr(firstSpaceIndex+1).trim();
 				choice = choice.substr(0, firstSpaceIndex).trim();
 			}
+			var pokemon = side.pokemon[i];
 
 			switch (side.currentRequest) {
 			case 'teampreview':
@@ -3256,13 +3548,48 @@ var Battle = (function() {
 				break;
 			case 'move':
 				if (i >= side.active.length) return false;
-				if (!side.pokemon[i] || side.pokemon[i].fainted) {
+				if (this.gameType === 'rotation') {
+					// only the Pokemon in front acts
+					if (i > 0) {
+						decisions.push({
+							choice: 'pass'
+						});
+						continue;
+					}
+					if (choice === 'rotate') {
+						// rotate DIRECTION, then the usual choice for
+						// whatever's in front now
+						var direction = data.split(' ')[0];
+						var rotated = side.active[{left: 1, right: 2}[direction]];
+						if (!rotated || rotated.fainted) {
+							this.debug("Can't rotate: There's no Pokemon to rotate to the front");
+							return false;
+						}
+						decisions.push({
+							choice: 'rotate',
+							pokemon: rotated,
+							direction: direction
+						});
+						pokemon = rotated;
+						choice = data.substr(direction.length).trim();
+						data = '';
+						firstSpaceIndex = choice.indexOf(' ');
+						if (firstSpaceIndex >= 0) {
+							data = choice.substr(firstSpaceIndex+1).trim();
+							choice = choice.substr(0, firstSpaceIndex).trim();
+						}
+					} else if (pokemon.fainted) {
+						this.debug("Can't pass: The Pokemon in front has fainted, so you have to rotate");
+						return false;
+					}
+				}
+				if (!pokemon || pokemon.fainted) {
 					decisions.push({
 						choice: 'pass'
 					});
 					continue;
 				}
-				if (choice !== 'move' && choice !== 'switch') {
+				if (choice !== 'move' && choice !== 'switch' && choice !== 'shift') {
 					if (i === 0) return false;
 					choice = 'move';
 					data = '1';
@@ -3296,11 +3623,11 @@ var Battle = (function() {
 			case 'switch':
 				if (i > side.active.length || i > side.pokemon.length) continue;
 				if (side.currentRequest === 'move') {
-					if (side.pokemon[i].trapped) {
+					if (pokemon.trapped) {
 						//this.debug("Can't switch: The active pokemon is trapped");
 						side.emitCallback('trapped', i);
 						return false;
-					} else if (side.pokemon[i].maybeTrapped) {
+					} else if (pokemon.maybeTrapped) {
 						var finalDecision = true;
 						for (var j = i + 1; j < side.active.length; ++j) {
 							if (side.active[j] && !side.active[j].fainted) {
@@ -3323,8 +3650,8 @@ var Battle = (function() {
 					this.debug("Can't switch: You can't switch to yourself");
 					return false;
 				}
-				if (this.battleType !== 'triples' && data < side.active.length) {
-					this.debug("Can't switch: You can't switch to an active pokemon except in triples");
+				if (data < side.active.length) {
+					this.debug("Can't switch: You can't switch to an active pokemon");
 					return false;
 				}
 				if (side.pokemon[data].fainted) {
@@ -3339,11 +3666,22 @@ var Battle = (function() {
 
 				decisions.push({
 					choice: 'switch',
-					pokemon: side.pokemon[i],
+					pokemon: pokemon,
 					target: side.pokemon[data]
 				});
 				break;
 
+			case 'shift':
+				if (this.gameType !== 'triples' || i === 1) {
+					this.debug("Can't shift: Only the Pokemon on the sides can shift, and only in triples");
+					return false;
+				}
+				decisions.push({
+					choice: 'shift',
+					pokemon: side.pokemon[i]
+				});
+				break;
+
 			case 'move':
 				var targetLoc = 0;
 
@@ -3355,8 +3693,9 @@ var Battle = (function() {
 				if (data.substr(data.length-3) === ' -3') targetLoc = -3;
 
 				if (targetLoc) data = data.substr(0, data.lastIndexOf(' '));
+				// in rotation battles, moves always go for the foe in front
+				if (this.gameType === 'rotation') targetLoc = 0;
 
-				var pokemon = side.pokemon[i];
 				var validMoves = pokemon.getValidMoves();
 				var moveid = '';
 				if (data.search(/^[0-9]+$/) >= 0) {
@@ -3428,6 +3767,7 @@ var Battle = (function() {
 	// players
 
 	Battle.prototype.join = function(slot, name, avatar, team) {
+		if (this.gameType === 'multi') return this.joinMulti(slot, name, avatar, team);
 		if (this.p1 && this.p1.isActive && this.p2 && this.p2.isActive) return false;
 		if ((this.p1 && this.p1.isActive && this.p1.name === name) || (this.p2 && this.p2.isActive && this.p2.name === name)) return false;
 		if (this.p1 && this.p1.isActive || slot === 'p2') {
@@ -3456,7 +3796,56 @@ var Battle = (function() {
 		this.start();
 		return true;
 	};
+	// Multi battles have four players: p3 is p1's partner, and p4 is p2's.
+	// Each controls one of their side's active slots, and the side's name
+	// is both of theirs.
+	Battle.prototype.multiPlayers = null;
+	Battle.prototype.joinMulti = function(slot, name, avatar, team) {
+		if (slot !== 'p1' && slot !== 'p2' && slot !== 'p3' && slot !== 'p4') return false;
+		if (!this.multiPlayers) this.multiPlayers = {};
+		if (this.multiPlayers[slot] && this.multiPlayers[slot].isActive) return false;
+		this.multiPlayers[slot] = {name: name, avatar: avatar, team: team, isActive: true};
+		this.add('player', slot, name, avatar);
+
+		var sideid = (slot === 'p1' || slot === 'p3' ? 'p1' : 'p2');
+		var players = this.getMultiPlayers(sideid);
+		if (!players[0] || !players[1]) return true;
+		var side = this[sideid];
+		if (!side) {
+			side = new BattleSide('', this, (sideid === 'p1' ? 0 : 1), [players[0].team, players[1].team]);
+			this[sideid] = side;
+			this.sides[side.n] = side;
+		}
+		side.name = players[0].name+' & '+players[1].name;
+		side.isActive = players[0].isActive && players[1].isActive;
+		this.start();
+		return true;
+	};
+	Battle.prototype.getMultiPlayers = function(sideid) {
+		return [this.multiPlayers[sideid], this.multiPlayers[sideid === 'p1' ? 'p3' : 'p4']];
+	};
+	/**
+	 * The side a player slot (p1 to p4) plays on.
+	 */
+	Battle.prototype.getSide = function(slot) {
+		if (this.gameType === 'multi') {
+			if (slot === 'p3') slot = 'p1';
+			if (slot === 'p4') slot = 'p2';
+		}
+		if (slot === 'p1' || slot === 'p2') return this[slot];
+		return null;
+	};
 	Battle.prototype.rename = function(slot, name, avatar) {
+		if (this.gameType === 'multi' && this.multiPlayers && this.multiPlayers[slot]) {
+			var player = this.multiPlayers[slot];
+			player.name = name;
+			if (avatar) player.avatar = avatar;
+			this.add('player', slot, name, player.avatar);
+			var side = this.getSide(slot);
+			var players = (side ? this.getMultiPlayers(side.id) : []);
+			if (players[0] && players[1]) side.name = players[0].name+' & '+players[1].name;
+			return;
+		}
 		if (slot === 'p1' || slot === 'p2') {
 			var side = this[slot];
 			side.name = name;
@@ -3465,6 +3854,17 @@ var Battle = (function() {
 		}
 	};
 	Battle.prototype.leave = function(slot) {
+		if (this.gameType === 'multi' && this.multiPlayers && this.multiPlayers[slot]) {
+			this.multiPlayers[slot].isActive = false;
+			this.add('player', slot);
+			var side = this.getSide(slot);
+			if (side) {
+				side.emitRequest(null);
+				side.isActive = false;
+				this.active = false;
+			}
+			return true;
+		}
 		if (slot === 'p1' || slot === 'p2') {
 			var side = this[slot];
 			if (!side) {
@@ -3480,6 +3880,28 @@ var Battle = (function() {
 		}
 		return true;
 	};
+	Battle.prototype.runAI = function() {
+		// an AI's choice can finish the turn and bring up another request
+		// for it, so keep going until no AI has anything left to choose
+		for (var count=0; count<100 && !this.ended; count++) {
+			var side = null;
+			for (var i=0; i<this.sides.length; i++) {
+				var curSide = this.sides[i];
+				if (curSide && curSide.ai && curSide.currentRequest && !curSide.decision && curSide.request) {
+					side = curSide;
+					break;
+				}
+			}
+			if (!side) return;
+			var rqid = this.rqid;
+			this.choose(side.id, BattleAI.choose(this, side, side.request), rqid);
+			if (this.rqid === rqid && !side.decision) {
+				// the AI chose something invalid; leave the side to the timer
+				side.ai = '';
+				return;
+			}
+		}
+	};
 
 	// IPC
 
@@ -3491,7 +3913,7 @@ var Battle = (function() {
 	};
 	// This function is called by this process's 'message' event.
 	Battle.prototype.receive = function(data, more) {
-		this.messageLog.push(data.join(' '));
+		this.inputLog.push(data.slice(1).join('|') + (more ? '\n' + more : ''));
 		var logPos = this.log.length;
 		var alreadyEnded = this.ended;
 		switch (data[1]) {
@@ -3524,11 +3946,23 @@ var Battle = (function() {
 			break;
 
 		case 'choose':
-			this.choose(data[2], data[3], data[4]);
+			if (this.gameType === 'multi') {
+				this.chooseMulti(data[2], data[3], data[4]);
+			} else {
+				this.choose(data[2], data[3], data[4]);
+			}
 			break;
 
 		case 'undo':
-			this.undoChoice(data[2]);
+			if (this.gameType === 'multi') {
+				this.undoChoiceMulti(data[2]);
+			} else {
+				this.undoChoice(data[2]);
+			}
+			break;
+
+		case 'ai':
+			if (this[data[2]]) this[data[2]].ai = data[3] || '';
 			break;
 
 		case 'eval':
@@ -3547,7 +3981,14 @@ var Battle = (function() {
 			break;
 		}
 
+		this.runAI();
 		this.sendUpdates(logPos, alreadyEnded);
+
+		// until the first turn, teams and players are still being sorted
+		// out, so every message gets a snapshot
+		if (!this.ended && (this.turn !== this.snapshotTurn || !this.turn)) {
+			this.sendSnapshot();
+		}
 	};
 	Battle.prototype.sendUpdates = function(logPos, alreadyEnded) {
 		if (this.p1 && this.p2) {
@@ -3576,7 +4017,12 @@ var Battle = (function() {
 						p2: this.p2.name,
 						p1team: this.p1.team,
 						p2team: this.p2.team,
-						log: this.log
+						log: this.log,
+						// for re-simulating the battle; never send these to
+						// the players, since the seed predicts every roll
+						format: this.format,
+						seed: this.startingSeed,
+						inputLog: this.inputLog
 					}
 					this.send('log', JSON.stringify(log));
 				}
@@ -3587,6 +4033,198 @@ var Battle = (function() {
 		}
 	};
 
+	// Snapshots
+
+	// A snapshot is the battle's state as JSON: every own property of the
+	// battle, its sides and its Pokemon. Objects referred to more than once
+	// (including the battle, sides and Pokemon) are written the first time
+	// and referred to by path after that, and moves, items, statuses and
+	// the like are referred to by id, since they come from data/ anyway.
+	//
+	// Snapshots are taken at the start of each turn and sent to
+	// simulator.js, which keeps the latest one along with every message
+	// sent to the battle since. If the process goes away, Battle.restore
+	// rebuilds the battle from those in a new process.
+	//
+	// The log and inputLog only ever grow, so they're left out of the
+	// snapshot: each snapshot comes with just the lines added to them
+	// since the last one, and simulator.js puts them back together.
+
+	var effectGetters = {
+		Move: 'getMove',
+		Item: 'getItem',
+		Ability: 'getAbility',
+		Format: 'getFormat',
+		Type: 'getType',
+		Template: 'getTemplate',
+		Effect: 'getEffect'
+	};
+	// {$effect: kind, id} if `value` is one of the battle's data objects,
+	// or null if it's something else (a move copy, for instance)
+	var getEffectRef = function(battle, value) {
+		if (value.isCopy || typeof value.id !== 'string') return null;
+		var kind = 'Effect';
+		if (value.baseStats && value.speciesid) {
+			kind = 'Template';
+		} else if (effectGetters[value.effectType]) {
+			kind = value.effectType;
+		} else if (!value.effectType) {
+			return null;
+		}
+		if (battle[effectGetters[kind]](value.id) !== value) return null;
+		return {$effect: kind, id: value.id};
+	};
+
+	var unsnapshotted = {log: 1, inputLog: 1};
+
+	Battle.prototype.snapshotTurn = -1;
+	Battle.prototype.snapshotLogLength = 0;
+	Battle.prototype.snapshotInputLength = 0;
+	Battle.prototype.getSnapshot = function() {
+		var battle = this;
+		var seen = [this];
+		var paths = [[]];
+		var serialize = function(value, path) {
+			if (typeof value === 'function') return undefined;
+			if (!value || typeof value !== 'object') return value;
+			var index = seen.indexOf(value);
+			if (index >= 0) return {$ref: paths[index]};
+			if (value.effectType || value.baseStats) {
+				var effectRef = getEffectRef(battle, value);
+				if (effectRef) return effectRef;
+			}
+			seen.push(value);
+			paths.push(path);
+			if (Array.isArray(value)) {
+				return value.map(function(element, i) {
+					return serialize(element, path.concat(i));
+				});
+			}
+			var result = {};
+			if (value instanceof BattlePokemon) {
+				result.$type = 'BattlePokemon';
+			} else if (value instanceof BattleSide) {
+				result.$type = 'BattleSide';
+			} else if (value.isCopy && value.effectType === 'Move') {
+				result.$moveCopy = value.id;
+			}
+			for (var i in value) {
+				if (!value.hasOwnProperty(i)) continue;
+				result[i] = serialize(value[i], path.concat(i));
+			}
+			return result;
+		};
+		var state = {};
+		for (var i in this) {
+			if (!this.hasOwnProperty(i) || unsnapshotted[i]) continue;
+			state[i] = serialize(this[i], [i]);
+		}
+		return JSON.stringify(state);
+	};
+	Battle.prototype.sendSnapshot = function() {
+		var added = {
+			log: this.log.slice(this.snapshotLogLength),
+			inputLog: this.inputLog.slice(this.snapshotInputLength)
+		};
+		this.snapshotTurn = this.turn;
+		this.snapshotLogLength = this.log.length;
+		this.snapshotInputLength = this.inputLog.length;
+		// simulator.js uses the length of inputLog to work out which
+		// messages came after the snapshot
+		this.send('snapshot', [this.inputLog.length, JSON.stringify(added), this.getSnapshot()]);
+	};
+
+	/**
+	 * Rebuilds a battle from a snapshot (or from scratch, if `snapshot` is
+	 * empty), then replays `inputs`, the messages it was sent since then.
+	 * `log` and `inputLog` are the battle's log and inputLog as of the
+	 * snapshot, which the snapshot itself leaves out.
+	 *
+	 * Nothing is sent while replaying. Afterwards, if `seen` is given, we
+	 * send whatever simulator.js didn't get from the old process: the log
+	 * after line `seen.logLength`, and requests newer than `seen.rqid`.
+	 */
+	Battle.restore = function(roomid, formatarg, rated, snapshot, log, inputLog, inputs, seen) {
+		var battle = Battle.construct(roomid, formatarg, rated);
+		if (snapshot) {
+			var refs = [];
+			var deserialize = function(value, parent, key) {
+				if (!value || typeof value !== 'object') return value;
+				if (value.$ref) {
+					// filled in once everything it could point to exists
+					refs.push([parent, key, value.$ref]);
+					return null;
+				}
+				if (value.$effect) return battle[effectGetters[value.$effect]](value.id);
+				var result;
+				if (Array.isArray(value)) {
+					result = [];
+					for (var i=0; i<value.length; i++) {
+						result[i] = deserialize(value[i], result, i);
+					}
+					return result;
+				}
+				if (value.$type === 'BattlePokemon') {
+					result = Object.create(BattlePokemon.prototype);
+					result.getHealth = BattlePokemon.getHealth.bind(result);
+					result.getDetails = BattlePokemon.getDetails.bind(result);
+				} else if (value.$type === 'BattleSide') {
+					result = Object.create(BattleSide.prototype);
+				} else if (value.$moveCopy) {
+					result = battle.getMoveCopy(value.$moveCopy);
+				} else {
+					result = {};
+				}
+				for (var i in value) {
+					if (i === '$type' || i === '$moveCopy') continue;
+					result[i] = deserialize(value[i], result, i);
+				}
+				return result;
+			};
+			var state = JSON.parse(snapshot);
+			for (var i in state) {
+				battle[i] = deserialize(state[i], battle, i);
+			}
+			for (var i=0; i<refs.length; i++) {
+				var target = battle;
+				var path = refs[i][2];
+				for (var j=0; j<path.length; j++) {
+					target = target[path[j]];
+				}
+				refs[i][0][refs[i][1]] = target;
+			}
+			battle.log = log.slice();
+			battle.inputLog = inputLog.slice();
+		}
+
+		var requests = [];
+		battle.send = function(type, data) {
+			if (type === 'request') requests.push(data);
+		};
+		for (var i=0; i<inputs.length; i++) {
+			var message = inputs[i];
+			var more = '';
+			var nlIndex = message.indexOf("\n");
+			if (nlIndex > 0) {
+				more = message.substr(nlIndex+1);
+				message = message.substr(0, nlIndex);
+			}
+			battle.receive([roomid].concat(message.split('|')), more);
+		}
+		delete battle.send;
+
+		if (seen) {
+			battle.sendUpdates(seen.logLength, !!seen.ended);
+			for (var i=0; i<requests.length; i++) {
+				var rqid = parseInt(requests[i].split("\n")[1], 10);
+				if (rqid === battle.rqid && rqid > (parseInt(seen.rqid, 10) || 0)) {
+					battle.send('request', requests[i]);
+				}
+			}
+		}
+		return battle;
+	};
+
 	Battle.prototype.destroy = function() {
 		// deallocate ourself
 
@@ -0,0 +1,374 @@
+/**
+ * Battle log index
+ * Pokemon Showdown - http://pokemonshowdown.com/
+ *
+ * BattleRoom.logBattle writes every rated battle to
+ * logs/YYYY-MM/FORMAT/YYYY-MM-DD/ROOMID.log.json, which is fine for
+ * keeping them around but useless for finding one again. This keeps a
+ * summary of every logged battle (players, format, date, winner,
+ * ratings, how it ended, and the Pokemon each side brought) in
+ * logs/battleindex.json, one battle per line, so /battlesearch can
+ * query it.
+ *
+ * If the index doesn't exist yet, it's rebuilt from the existing logs
+ * the first time it's needed. /reindexbattles does the same on demand.
+ *
+ * @license MIT license
+ */
+
+const INDEX_FILE = 'logs/battleindex.json';
+
+module.exports = (function() {
+	var entries = [];
+	var indexed = {}; // roomid:true for everything in entries
+	var loaded = false;
+	var loadQueue = [];
+	var rebuilding = false;
+	var rebuildPending = []; // battles logged while rebuilding
+
+	/**
+	 * Summarizes a battle log into an index entry.
+	 *
+	 * `logData` is the object written to the .log.json file; `log` in it
+	 * is the replay log, which is where we get the winner from.
+	 */
+	var makeEntry = function(roomid, format, date, logData) {
+		var entry = {
+			id: roomid,
+			format: toId(format),
+			date: date,
+			p1: logData.p1 || '',
+			p2: logData.p2 || '',
+			winner: '',
+			p1rating: getRating(logData.p1rating),
+			p2rating: getRating(logData.p2rating),
+			endType: logData.endType || 'normal',
+			turns: logData.turns || 0,
+			p1team: getSpecies(logData.p1team),
+			p2team: getSpecies(logData.p2team)
+		};
+		var log = logData.log || [];
+		for (var i = log.length - 1; i >= 0; i--) {
+			if (log[i].substr(0, 5) === '|win|') {
+				entry.winner = log[i].substr(5);
+				break;
+			}
+			if (log[i] === '|tie') break;
+		}
+		return entry;
+	};
+	var getRating = function(rating) {
+		if (!rating) return 0;
+		// old logs have ratings from the login server, which called it acre
+		return Math.round(rating.elo || rating.acre || 0);
+	};
+	var getSpecies = function(team) {
+		if (!team) return [];
+		return team.map(function(set) {
+			return set.species || set.name;
+		});
+	};
+
+	var load = function(callback) {
+		if (loaded) {
+			callback();
+			return;
+		}
+		loadQueue.push(callback);
+		if (loadQueue.length > 1) return;
+
+		fs.readFile(INDEX_FILE, {encoding: 'utf8'}, function(err, data) {
+			if (err) {
+				// file doesn't exist yet, so index all the logs we have
+				rebuild(finishLoading);
+				return;
+			}
+			setEntries(parseIndex(data));
+			finishLoading();
+		});
+	};
+	var finishLoading = function() {
+		loaded = true;
+		var queue = loadQueue;
+		loadQueue = [];
+		for (var i = 0; i < queue.length; i++) {
+			queue[i]();
+		}
+	};
+	var setEntries = function(newEntries) {
+		entries = newEntries;
+		indexed = {};
+		for (var i = 0; i < entries.length; i++) {
+			indexed[entries[i].id] = true;
+		}
+	};
+	var parseIndex = function(data) {
+		var result = [];
+		var lines = data.split('\n');
+		for (var i = 0; i < lines.length; i++) {
+			if (!lines[i]) continue;
+			try {
+				result.push(JSON.parse(lines[i]));
+			} catch (e) {} // probably a half-written line from a crash
+		}
+		return result;
+	};
+
+	/**
+	 * Adds a battle that was just logged.
+	 */
+	var add = function(roomid, format, date, logData) {
+		var entry = makeEntry(roomid, format, date, logData);
+		load(function() {
+			if (rebuilding) {
+				rebuildPending.push(entry);
+				return;
+			}
+			addEntry(entry);
+		});
+	};
+	var addEntry = function(entry) {
+		// a rebuild may have found the log file already
+		if (indexed[entry.id]) return;
+		entries.push(entry);
+		indexed[entry.id] = true;
+		fs.appendFile(INDEX_FILE, JSON.stringify(entry) + '\n', function() {});
+	};
+
+	/**
+	 * Reads every log in logs/ and rewrites the index from scratch.
+	 * Calls back with the number of battles indexed.
+	 */
+	var rebuild = function(callback) {
+		if (rebuilding) return false;
+		rebuilding = true;
+		var newEntries = [];
+
+		// folders are walked one at a time so we don't run out of file
+		// descriptors on a big logs folder
+		var readdir = function(path, pattern, callback) {
+			fs.readdir(path, function(err, files) {
+				if (err) files = [];
+				callback(files.filter(function(file) {
+					return pattern.test(file);
+				}).sort());
+			});
+		};
+		var each = function(list, iterator, callback) {
+			var i = 0;
+			var next = function() {
+				if (i >= list.length) return callback();
+				iterator(list[i++], next);
+			};
+			next();
+		};
+
+		readdir('logs', /^[0-9]{4}-[0-9]{2}$/, function(months) {
+			each(months, function(month, nextMonth) {
+				readdir('logs/' + month, /^[a-z0-9]+$/, function(formats) {
+					each(formats, function(format, nextFormat) {
+						var formatPath = 'logs/' + month + '/' + format;
+						readdir(formatPath, /^[0-9]{4}-[0-9]{2}-[0-9]{2}$/, function(dates) {
+							each(dates, function(date, nextDate) {
+								var datePath = formatPath + '/' + date;
+								readdir(datePath, /\.log\.json$/, function(files) {
+									each(files, function(file, nextFile) {
+										fs.readFile(datePath + '/' + file, {encoding: 'utf8'}, function(err, data) {
+											if (!err) {
+												try {
+													var roomid = file.slice(0, -'.log.json'.length);
+													newEntries.push(makeEntry(roomid, format, date, JSON.parse(data)));
+												} catch (e) {
+													console.log('Skipping unreadable battle log ' + datePath + '/' + file);
+												}
+											}
+											nextFile();
+										});
+									}, nextDate);
+								});
+							}, nextFormat);
+						});
+					}, nextMonth);
+				});
+			}, function() {
+				var data = newEntries.map(function(entry) {
+					return JSON.stringify(entry) + '\n';
+				}).join('');
+				fs.writeFile(INDEX_FILE + '.0', data, function() {
+					// rename is atomic on POSIX, but will throw an error on Windows
+					fs.rename(INDEX_FILE + '.0', INDEX_FILE, function(err) {
+						var done = function() {
+							setEntries(newEntries);
+							rebuilding = false;
+							rebuildPending.splice(0).forEach(addEntry);
+							callback(newEntries.length);
+						};
+						if (err) {
+							// This should only happen on Windows.
+							fs.writeFile(INDEX_FILE, data, done);
+							return;
+						}
+						done();
+					});
+				});
+			});
+		});
+		return true;
+	};
+
+	/**
+	 * Returns the date range a `date:` search term covers, as a pair of
+	 * YYYY-MM-DD strings, or null if it isn't a date we understand.
+	 */
+	var parseDate = function(value) {
+		var now = new Date();
+		switch (toId(value)) {
+		case 'today':
+			var today = now.format('{yyyy}-{MM}-{dd}');
+			return [today, today];
+		case 'thismonth':
+			var month = now.format('{yyyy}-{MM}');
+			return [month + '-01', month + '-31'];
+		case 'lastmonth':
+			var month = new Date(now.getFullYear(), now.getMonth() - 1, 1).format('{yyyy}-{MM}');
+			return [month + '-01', month + '-31'];
+		}
+		value = value.trim();
+		if (/^[0-9]{4}$/.test(value)) return [value + '-01-01', value + '-12-31'];
+		if (/^[0-9]{4}-[0-9]{2}$/.test(value)) return [value + '-01', value + '-31'];
+		if (/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/.test(value)) return [value, value];
+		return null;
+	};
+
+	/**
+	 * Parses a search string like "user: X, format: Point Score,
+	 * date: lastmonth, end: forfeit" into a filter function.
+	 *
+	 * Returns an error message string if the search is invalid.
+	 */
+	var parseSearch = function(search) {
+		var filters = [];
+		var terms = search.split(',');
+		for (var i = 0; i < terms.length; i++) {
+			var term = terms[i];
+			if (!term.trim()) continue;
+			var colonIndex = term.indexOf(':');
+			if (colonIndex < 0) return 'Search terms should look like "key: value", but "' + term.trim() + '" doesn\'t.';
+			var key = toId(term.substr(0, colonIndex));
+			var value = term.substr(colonIndex + 1);
+			var id = toId(value);
+			if (!id) return 'No value given for "' + key + '".';
+
+			switch (key) {
+			case 'user':
+			case 'player':
+				filters.push(function(id) {
+					return function(entry) {
+						return toId(entry.p1) === id || toId(entry.p2) === id;
+					};
+				}(id));
+				break;
+			case 'winner':
+				filters.push(function(id) {
+					return function(entry) {
+						return toId(entry.winner) === id;
+					};
+				}(id));
+				break;
+			case 'loser':
+				filters.push(function(id) {
+					return function(entry) {
+						if (!entry.winner) return false;
+						return (toId(entry.p1) === id || toId(entry.p2) === id) && toId(entry.winner) !== id;
+					};
+				}(id));
+				break;
+			case 'format':
+			case 'tier':
+				filters.push(function(id) {
+					return function(entry) {
+						return entry.format === id;
+					};
+				}(id));
+				break;
+			case 'date':
+			case 'month':
+				var range = parseDate(value);
+				if (!range) return '"' + value.trim() + '" is not a date. Use YYYY, YYYY-MM, YYYY-MM-DD, today, thismonth or lastmonth.';
+				filters.push(function(range) {
+					return function(entry) {
+						return entry.date >= range[0] && entry.date <= range[1];
+					};
+				}(range));
+				break;
+			case 'end':
+			case 'endtype':
+				filters.push(function(id) {
+					return function(entry) {
+						return entry.endType === id;
+					};
+				}(id));
+				break;
+			case 'pokemon':
+			case 'poke':
+				filters.push(function(id) {
+					var hasPokemon = function(species) {
+						return toId(species) === id;
+					};
+					return function(entry) {
+						return entry.p1team.some(hasPokemon) || entry.p2team.some(hasPokemon);
+					};
+				}(id));
+				break;
+			case 'rating':
+				var rating = parseInt(value, 10);
+				if (isNaN(rating)) return '"' + value.trim() + '" is not a rating.';
+				filters.push(function(rating) {
+					return function(entry) {
+						return entry.p1rating >= rating || entry.p2rating >= rating;
+					};
+				}(rating));
+				break;
+			default:
+				return '"' + key + '" is not something you can search by.';
+			}
+		}
+		if (!filters.length) return 'You need to search for something.';
+		return function(entry) {
+			for (var i = 0; i < filters.length; i++) {
+				if (!filters[i](entry)) return false;
+			}
+			return true;
+		};
+	};
+
+	/**
+	 * Calls back with matching entries, newest first, or with an error
+	 * message string if the search didn't make sense.
+	 */
+	var search = function(query, callback) {
+		var filter = parseSearch(query);
+		if (typeof filter === 'string') {
+			callback(filter);
+			return;
+		}
+		load(function() {
+			var results = [];
+			for (var i = entries.length - 1; i >= 0; i--) {
+				if (filter(entries[i])) results.push(entries[i]);
+			}
+			results.sort(function(a, b) {
+				if (a.date === b.date) return 0;
+				return a.date < b.date ? 1 : -1;
+			});
+			callback(results);
+		});
+	};
+
+	return {
+		add: add,
+		rebuild: rebuild,
+		search: search,
+		makeEntry: makeEntry
+	};
+})();
@@ -0,0 +1,185 @@
+/**
+ * Battle runner
+ * Pokemon Showdown - http://pokemonshowdown.com/
+ *
+ * Runs a battle from the command line, without the server or a client,
+ * for testing formats and mods:
+ *
+ *   node battle-runner.js FORMAT [options] [SCRIPT]
+ *
+ * Options:
+ *
+ *   --p1 FILE, --p2 FILE   the players' teams, as JSON (the same format
+ *                          /utm takes); random teams if left out, which
+ *                          the seed doesn't cover
+ *   --seed A,B,C,D         the PRNG seed, four numbers from 0 to 65535;
+ *                          the seed used is always printed first
+ *   --requests             print the requests the players get, too
+ *
+ * SCRIPT is a file of choices, one per line, like:
+ *
+ *   p1 team 1
+ *   p2 move 2
+ *   p1 switch 3
+ *   p1 move 1, move 2    (in doubles)
+ *   p2 undo
+ *
+ * Blank lines and lines starting with # are ignored. Without a script,
+ * choices are read from standard input, so you can play both sides.
+ *
+ * The battle is printed in the protocol described in protocol-doc.md, as
+ * the replay sees it (exact HP for both sides).
+ *
+ * @license MIT license
+ */
+
+var Battle = require('./battle-engine.js').Battle;
+var replayLog = require('./resimulate.js').replayLog;
+
+/**
+ * Starts a battle. `options` can have p1team, p2team, seed and
+ * `onRequest(sideid, request)`. Calls `output(lines)` with new lines of
+ * the battle log as they happen.
+ */
+var createBattle = function(formatid, options, output) {
+	Battle.prototype.send = function(type, data) {
+		if (type !== 'request' || !options.onRequest) return;
+		var parts = data.split("\n");
+		options.onRequest(parts[0], JSON.parse(parts[2]));
+	};
+
+	var battle = Battle.construct('battle-' + formatid + '-1', formatid, false);
+	if (options.seed) {
+		battle.seed = options.seed.slice();
+		battle.startingSeed = options.seed.slice();
+	}
+	var logPos = 0;
+	battle.flush = function() {
+		if (battle.log.length > logPos) {
+			// |callback| lines are the engine talking to the client, not
+			// part of the battle
+			output(replayLog(battle.log.slice(logPos)).filter(function(line) {
+				return line.substr(0, 10) !== '|callback|';
+			}));
+		}
+		logPos = battle.log.length;
+	};
+	battle.receive([battle.id, 'join', 'p1', 'Player 1', ''], options.p1team ? JSON.stringify(options.p1team) : '');
+	battle.receive([battle.id, 'join', 'p2', 'Player 2', ''], options.p2team ? JSON.stringify(options.p2team) : '');
+	battle.flush();
+	return battle;
+};
+
+/**
+ * Runs one line of a script. Returns an error message if the line
+ * doesn't make sense.
+ */
+var runLine = function(battle, line) {
+	line = line.trim();
+	if (!line || line.charAt(0) === '#') return;
+	var spaceIndex = line.indexOf(' ');
+	var sideid = (spaceIndex < 0 ? line : line.substr(0, spaceIndex));
+	var choice = (spaceIndex < 0 ? '' : line.substr(spaceIndex + 1).trim());
+	if (sideid !== 'p1' && sideid !== 'p2') return 'Choices should start with p1 or p2: ' + line;
+	if (choice === 'undo') {
+		battle.receive([battle.id, 'undo', sideid]);
+	} else {
+		if (!choice) return 'No choice given for ' + sideid + '.';
+		battle.receive([battle.id, 'choose', sideid, choice]);
+	}
+	battle.flush();
+};
+
+/**
+ * A one-line summary of what a request is asking for.
+ */
+var describeRequest = function(sideid, request) {
+	if (request.wait) return sideid + ': waiting for the other side';
+	if (request.teamPreview) return sideid + ': team 1-' + request.side.pokemon.length;
+	if (request.forceSwitch) return sideid + ': switch (forced)';
+	var actives = request.active.map(function(active) {
+		return active.moves.map(function(move, i) {
+			return (i + 1) + ' ' + move.move + (move.disabled ? ' (disabled)' : '');
+		}).join(', ');
+	});
+	return sideid + ': move ' + actives.join(' / ') + ', or switch';
+};
+
+exports.createBattle = createBattle;
+exports.runLine = runLine;
+
+if (require.main === module) {
+	var usage = 'Usage: node battle-runner.js FORMAT [--p1 TEAM.json] [--p2 TEAM.json] [--seed A,B,C,D] [--requests] [SCRIPT]';
+	var args = process.argv.slice(2);
+	var formatid = toId(args.shift());
+	var options = {};
+	var showRequests = false;
+	var scriptFile = '';
+	while (args.length) {
+		var arg = args.shift();
+		if (arg === '--p1' || arg === '--p2') {
+			options[arg.substr(2) + 'team'] = JSON.parse(fs.readFileSync(args.shift(), 'utf8'));
+		} else if (arg === '--seed') {
+			options.seed = (args.shift() || '').split(',').map(function(n) {
+				return clampIntRange(parseInt(n, 10), 0, 0xFFFF);
+			});
+			if (options.seed.length !== 4) {
+				console.log('The seed should be four numbers, like 1,2,3,4');
+				process.exit(1);
+			}
+		} else if (arg === '--requests') {
+			showRequests = true;
+		} else {
+			scriptFile = arg;
+		}
+	}
+	if (!formatid || Tools.getFormat(formatid).effectType !== 'Format') {
+		console.log(formatid ? formatid + ' is not a format.' : usage);
+		process.exit(1);
+	}
+
+	var interactive = !scriptFile && process.stdin.isTTY;
+	var requests = {};
+	options.onRequest = function(sideid, request) {
+		requests[sideid] = request;
+		if (showRequests) console.log('|request|' + sideid + '|' + JSON.stringify(request));
+	};
+	var prompt = function() {
+		if (!interactive || battle.ended) return;
+		for (var sideid in requests) {
+			if (battle[sideid].decision) continue;
+			console.log('> ' + describeRequest(sideid, requests[sideid]));
+		}
+	};
+	if (!options.seed) {
+		options.seed = [0, 0, 0, 0].map(function() {
+			return Math.floor(Math.random() * 0x10000);
+		});
+	}
+	// clients skip message types they don't know, so this is still valid
+	console.log('|seed|' + options.seed.join(','));
+
+	var battle = createBattle(formatid, options, function(lines) {
+		for (var i = 0; i < lines.length; i++) {
+			console.log(lines[i]);
+		}
+	});
+	prompt();
+
+	var input = scriptFile ? fs.createReadStream(scriptFile) : process.stdin;
+	var lines = require('readline').createInterface({input: input, terminal: false});
+	lines.on('line', function(line) {
+		if (battle.ended) return;
+		var error = runLine(battle, line);
+		if (error) console.log('|error|' + error);
+		if (battle.ended) {
+			lines.close();
+			return;
+		}
+		prompt();
+	});
+	lines.on('close', function() {
+		if (!battle.ended) console.log('|error|The script ended on turn ' + battle.turn + ', before the battle did.');
+		process.exit(battle.ended ? 0 : 1);
+	});
+}
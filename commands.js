@@ -11,7 +11,16 @@
  * @license MIT license
  */
 
-var crypto = require('crypto');
+/**
+ * Splits the name of a saved team off the end of a target like
+ * "OU, team: Rain", for the commands that start battles. Returns
+ * [the rest of the target, the team's name].
+ */
+function splitTeamName(target) {
+	var match = /,\s*team\s*:([^,]*)$/i.exec(target);
+	if (!match) return [target, ''];
+	return [target.substr(0, match.index), match[1].trim()];
+}
 
 var commands = exports.commands = {
 
@@ -947,7 +956,7 @@ var commands = exports.commands = {
 		} else if (target === 'battles') {
 
 			Simulator.SimulatorProcess.respawn();
-			return this.sendReply('Battles have been hotpatched. Any battles started after now will use the new code; however, in-progress battles will continue to use the old code.');
+			return this.sendReply('Battles have been hotpatched. Battles in progress have been restored from their last turn in the new simulator processes, so they use the new code too.');
 
 		} else if (target === 'formats') {
 			try {
@@ -1017,7 +1026,7 @@ var commands = exports.commands = {
 		Rooms.global.lockdown = true;
 		for (var id in Rooms.rooms) {
 			if (id !== 'global') Rooms.rooms[id].addRaw('<div class="broadcast-red"><b>The server is restarting soon.</b><br />Please finish your battles quickly. No new battles can be started until the server resets in a few minutes.</div>');
-			if (Rooms.rooms[id].requestKickInactive && !Rooms.rooms[id].battle.ended) Rooms.rooms[id].requestKickInactive(user, true);
+			if (Rooms.rooms[id].startTimer && !Rooms.rooms[id].battle.ended) Rooms.rooms[id].startTimer(user, true);
 		}
 
 		this.logEntry(user.name + ' used /lockdown');
@@ -1281,26 +1290,22 @@ var commands = exports.commands = {
 
 	savereplay: function(target, room, user, connection) {
 		if (!room || !room.battle) return;
-		var logidx = 2; // spectator log (no exact HP)
+		var log;
 		if (room.battle.ended) {
 			// If the battle is finished when /savereplay is used, include
 			// exact HP in the replay log.
-			logidx = 3;
-		}
-		var data = room.getLog(logidx).join("\n");
-		var datahash = crypto.createHash('md5').update(data.replace(/[^(\x20-\x7F)]+/g,'')).digest('hex');
-
-		LoginServer.request('prepreplay', {
-			id: room.id.substr(7),
-			loghash: datahash,
-			p1: room.p1.name,
-			p2: room.p2.name,
-			format: room.format
-		}, function(success) {
-			connection.send('|queryresponse|savereplay|'+JSON.stringify({
-				log: data,
-				id: room.id.substr(7)
-			}));
+			log = room.getLog(3);
+		} else if (room.spectatorDelay || room.hideInfo) {
+			// a replay is public, so it can't show more than spectators see
+			log = room.getSpectatorLog(0, 0);
+		} else {
+			log = room.getLog(2); // spectator log (no exact HP)
+		}
+		var self = this;
+		Replays.save(room, log, function(id) {
+			if (!id) return self.sendReply('The replay could not be saved.');
+			var url = Replays.getUrl(id);
+			self.sendReply('|raw|Replay saved: <a href="'+sanitize(url)+'" target="_blank">'+sanitize(url)+'</a>');
 		});
 	},
 
@@ -1368,8 +1373,8 @@ var commands = exports.commands = {
 	},
 
 	kickinactive: function(target, room, user) {
-		if (room.requestKickInactive) {
-			room.requestKickInactive(user);
+		if (room.startTimer) {
+			room.startTimer(user);
 		} else {
 			this.sendReply('You can only kick inactive players from inside a room.');
 		}
@@ -1377,11 +1382,11 @@ var commands = exports.commands = {
 
 	timer: function(target, room, user) {
 		target = toId(target);
-		if (room.requestKickInactive) {
+		if (room.startTimer) {
 			if (target === 'off' || target === 'stop') {
-				room.stopKickInactive(user, user.can('timer'));
+				room.stopTimer(user, user.can('timer'));
 			} else if (target === 'on' || !target) {
-				room.requestKickInactive(user, user.can('timer'));
+				room.startTimer(user, user.can('timer'));
 			} else {
 				this.sendReply("'"+target+"' is not a recognized timer state.");
 			}
@@ -1422,7 +1427,8 @@ var commands = exports.commands = {
 	cancelsearch: 'search',
 	search: function(target, room, user) {
 		if (target) {
-			Rooms.global.searchBattle(user, target);
+			var parts = splitTeamName(target);
+			Rooms.global.searchBattle(user, parts[0], parts[1]);
 		} else {
 			Rooms.global.cancelSearch(user);
 		}
@@ -1438,8 +1444,41 @@ var commands = exports.commands = {
 		if (targetUser.blockChallenges && !user.can('bypassblocks', targetUser)) {
 			return this.popupReply("The user '"+this.targetUsername+"' is not accepting challenges right now.");
 		}
-		if (!user.prepBattle(target, 'challenge', connection)) return;
-		user.makeChallenge(targetUser, target);
+		var teamName = splitTeamName(target);
+		target = teamName[0];
+		teamName = teamName[1];
+		var parts = target.split(',');
+		var format = parts[0].trim();
+		var partners = null;
+		if (Tools.getFormat(format).gameType === 'multi') {
+			// /challenge OPPONENT, FORMAT, PARTNER, OPPONENT'S PARTNER
+			if (parts.length < 3) {
+				return this.popupReply("Multi battles need four players: /challenge OPPONENT, FORMAT, YOUR PARTNER, OPPONENT'S PARTNER");
+			}
+			partners = [];
+			var players = [user, targetUser];
+			for (var i=1; i<3; i++) {
+				var partner = Users.get(parts[i]);
+				if (!partner || !partner.connected) {
+					return this.popupReply("The user '"+parts[i].trim()+"' was not found.");
+				}
+				if (partner.blockChallenges && !user.can('bypassblocks', partner)) {
+					return this.popupReply("The user '"+partner.name+"' is not accepting challenges right now.");
+				}
+				players.push(partner);
+				partners.push(partner);
+			}
+			for (var i=0; i<players.length; i++) {
+				if (players.indexOf(players[i]) !== i) {
+					return this.popupReply("Multi battles need four different players.");
+				}
+				if (players[i].botDifficulty) {
+					return this.popupReply("AI players can't play multi battles.");
+				}
+			}
+		}
+		if (!user.prepBattle(format, 'challenge', connection, teamName)) return;
+		user.makeChallenge(targetUser, format, partners);
 	},
 
 	idle: 'blockchallenges',
@@ -1459,6 +1498,9 @@ var commands = exports.commands = {
 	},
 
 	accept: function(target, room, user, connection) {
+		var teamName = splitTeamName(target);
+		target = teamName[0];
+		teamName = teamName[1];
 		var userid = toUserid(target);
 		var format = '';
 		if (user.challengesFrom[userid]) format = user.challengesFrom[userid].format;
@@ -1466,7 +1508,7 @@ var commands = exports.commands = {
 			this.popupReply(target+" cancelled their challenge before you could accept it.");
 			return false;
 		}
-		if (!user.prepBattle(format, 'challenge', connection)) return;
+		if (!user.prepBattle(format, 'challenge', connection, teamName)) return;
 		user.acceptChallengeFrom(userid);
 	},
 
@@ -1477,11 +1519,221 @@ var commands = exports.commands = {
 	saveteam: 'useteam',
 	utm: 'useteam',
 	useteam: function(target, room, user) {
-		try {
-			user.team = JSON.parse(target);
-		} catch (e) {
-			this.popupReply('Not a valid team.');
+		var team = TeamParser.parseTeam(target);
+		if (!team) return this.popupReply('Not a valid team.');
+		user.team = team;
+	},
+
+	teams: function(target, room, user) {
+		var spaceIndex = target.indexOf(' ');
+		var cmd = toId(spaceIndex < 0 ? target : target.substr(0, spaceIndex));
+		var subcommands = {save: 1, show: 1, use: 1, rename: 1, 'delete': 1, share: 1, accept: 1, decline: 1};
+		if (!subcommands[cmd]) cmd = '';
+		else target = (spaceIndex < 0 ? '' : target.substr(spaceIndex+1));
+
+		if (!user.authenticated) {
+			return this.sendReply('/teams - Only registered users can keep teams on the server.');
+		}
+
+		if (!cmd) {
+			var formatid = '';
+			if (target.trim()) {
+				var format = Tools.getFormat(target);
+				if (format.effectType !== 'Format') return this.sendReply('/teams - "'+target.trim()+'" is not a format.');
+				formatid = format.id;
+			}
+			var teams = TeamStorage.getTeams(user.userid, formatid);
+			if (!teams.length) return this.sendReply('You don\'t have any'+(formatid ? ' '+Tools.getFormat(formatid).name : '')+' teams saved. Save one with /teams save [format], [name], [team].');
+			var buffer = '<b>Your teams</b>';
+			var lastFormat = '';
+			for (var i=0; i<teams.length; i++) {
+				if (teams[i].format !== lastFormat) {
+					lastFormat = teams[i].format;
+					buffer += '<br />'+sanitize(Tools.getFormat(lastFormat).name || lastFormat)+': ';
+				} else {
+					buffer += ', ';
+				}
+				buffer += sanitize(teams[i].name);
+			}
+			return this.sendReplyBox(buffer);
+		}
+
+		if (cmd === 'accept' || cmd === 'decline') {
+			var offer = user.teamOffers[toUserid(target)];
+			if (!offer) return this.sendReply('/teams '+cmd+' - '+(target.trim() || 'No one')+' hasn\'t offered you a team.');
+			var format = Tools.getFormat(offer.format);
+			if (cmd === 'decline') {
+				delete user.teamOffers[toUserid(target)];
+				return this.sendReply('You turned down '+offer.from+'\'s '+format.name+' team "'+offer.name+'".');
+			}
+			if (TeamStorage.getTeam(user.userid, format.id, offer.name)) {
+				return this.sendReply('/teams accept - You already have a '+format.name+' team called "'+offer.name+'". Rename or delete it first.');
+			}
+			var problems = TeamStorage.saveTeam(user.userid, format.id, offer.name, offer.team);
+			if (problems) return this.sendReply('/teams accept - '+problems[0]);
+			delete user.teamOffers[toUserid(target)];
+			return this.sendReply(offer.from+'\'s '+format.name+' team "'+offer.name+'" was added to your teams.');
+		}
+
+		// the team itself can have commas in it, so only split off what
+		// comes before it
+		var parts = target.split(',');
+		var format = Tools.getFormat(parts[0]);
+		if (format.effectType !== 'Format') return this.parse('/help teams');
+		var name = (parts[1] || '').trim();
+		if (!toId(name)) return this.parse('/help teams');
+
+		switch (cmd) {
+		case 'save':
+			var teamText = parts.slice(2).join(',').trim();
+			var team = (teamText ? TeamParser.parseTeam(teamText) : user.team);
+			if (!team) return this.sendReply('/teams save - That\'s not a team. Paste its text export, or its packed or JSON form.');
+			var problems = TeamStorage.saveTeam(user.userid, format.id, name, team);
+			if (problems) {
+				return this.sendReplyBox('Your team wasn\'t saved:<br />- '+problems.map(sanitize).join('<br />- '));
+			}
+			this.sendReply('Your '+format.name+' team "'+name+'" was saved.');
+			break;
+
+		case 'show':
+			if (!this.canBroadcast()) return;
+			var team = TeamStorage.getTeam(user.userid, format.id, name);
+			if (!team) return this.sendReply('/teams show - You don\'t have a '+format.name+' team called "'+name+'".');
+			this.sendReplyBox('<b>'+sanitize(name)+'</b> ('+sanitize(format.name)+')<br />'+sanitize(TeamParser.exportTeam(team)).replace(/\n/g, '<br />'));
+			break;
+
+		case 'use':
+			var team = TeamStorage.getTeam(user.userid, format.id, name);
+			if (!team) return this.sendReply('/teams use - You don\'t have a '+format.name+' team called "'+name+'".');
+			user.team = team;
+			this.sendReply('You\'re now using your '+format.name+' team "'+name+'".');
+			break;
+
+		case 'rename':
+			var newName = (parts[2] || '').trim();
+			var error = TeamStorage.renameTeam(user.userid, format.id, name, newName);
+			if (error) return this.sendReply('/teams rename - '+error);
+			this.sendReply('Your '+format.name+' team "'+name+'" is now called "'+newName+'".');
+			break;
+
+		case 'delete':
+			if (!TeamStorage.deleteTeam(user.userid, format.id, name)) {
+				return this.sendReply('/teams delete - You don\'t have a '+format.name+' team called "'+name+'".');
+			}
+			this.sendReply('Your '+format.name+' team "'+name+'" was deleted.');
+			break;
+
+		case 'share':
+			var team = TeamStorage.getTeam(user.userid, format.id, name);
+			if (!team) return this.sendReply('/teams share - You don\'t have a '+format.name+' team called "'+name+'".');
+			var targetUser = Users.get(parts[2] || '');
+			if (!targetUser || !targetUser.connected) return this.sendReply('/teams share - User '+(parts[2] || '').trim()+' not found.');
+			if (!targetUser.authenticated) return this.sendReply('/teams share - '+targetUser.name+' isn\'t registered, so they can\'t keep teams on the server.');
+			if (targetUser === user) return this.sendReply('/teams share - That\'s your own team.');
+			if (TeamStorage.getTeam(targetUser.userid, format.id, name)) {
+				return this.sendReply('/teams share - '+targetUser.name+' already has a '+format.name+' team called "'+name+'".');
+			}
+			// nothing is saved until they accept, and a newer offer
+			// replaces an older one
+			targetUser.teamOffers[user.userid] = {from: user.name, format: format.id, name: name, team: team};
+			targetUser.popup(user.name+' wants to share their '+format.name+' team "'+name+'" with you. Type /teams accept '+user.name+' to add it to your teams, or /teams decline '+user.name+' to turn it down.');
+			this.sendReply('You offered your '+format.name+' team "'+name+'" to '+targetUser.name+'. It\'ll be added to their teams if they accept.');
+			break;
+		}
+	},
+
+	checklegal: function(target, room, user) {
+		if (!this.canBroadcast()) return;
+		var commaIndex = target.indexOf(',');
+		if (commaIndex < 0) return this.parse('/help checklegal');
+		var format = Tools.getFormat(target.substr(0, commaIndex));
+		if (format.effectType !== 'Format') {
+			return this.sendReply('/checklegal - "'+target.substr(0, commaIndex).trim()+'" is not a format.');
+		}
+		var team = TeamParser.parseTeam(target.substr(commaIndex+1));
+		if (!team) {
+			return this.sendReply('/checklegal - That\'s not a Pokemon. Paste its text export, or its packed form.');
+		}
+
+		var describeWay = function(way) {
+			var buf = 'gen '+way.gen+' '+way.method;
+			if (way.method === 'level-up') buf += ' at level '+way.level;
+			if (way.method === 'event') buf += ' #'+way.event;
+			buf += ' ('+way.species+')';
+			if (way.tooLow) buf += ' - its level is too low';
+			if (way.unsketchable) buf += ' - it can\'t be Sketched';
+			if (way.method === 'egg') {
+				if (way.chainbreed) {
+					buf += ', chainbred from anything in its egg groups';
+				} else if (way.selfOnly) {
+					buf += ', only chainbred from an earlier gen of itself';
+				} else if (way.parents && way.parents.length) {
+					buf += ', bred from '+way.parents.slice(0, 8).join(', ')+(way.parents.length > 8 ? ' and '+(way.parents.length-8)+' more' : '');
+				}
+			}
+			return buf;
+		};
+
+		var buffer = '';
+		for (var i=0; i<team.length && i<6; i++) {
+			var result = Tools.explainSet(team[i], format.id);
+			var species = sanitize(team[i].species);
+			if (buffer) buffer += '<br />';
+			buffer += '<b>'+species+'</b>: '+(result.problems ? 'not legal in '+sanitize(format.name) : 'legal in '+sanitize(format.name))+'<br />';
+			if (result.problems) {
+				buffer += '- '+result.problems.map(sanitize).join('<br />- ')+'<br />';
+			}
+			for (var j=0; j<result.moves.length; j++) {
+				var move = result.moves[j];
+				buffer += '&bull; <b>'+sanitize(move.move)+'</b>: ';
+				if (move.result === 'unlearnable') {
+					buffer += species+' can\'t learn it';
+				} else if (move.result === 'oversketched') {
+					buffer += 'it can only Sketch one move';
+				} else if (move.result === 'incompatible') {
+					if (move.conflict.moves.length) {
+						buffer += 'conflicts with '+sanitize(move.conflict.moves.join(' and '))+', which '+(move.conflict.moves.length > 1 ? 'need' : 'needs')+' '+species;
+					} else {
+						buffer += 'conflicts with its ability, which needs '+species;
+					}
+					buffer += ' to come from '+sanitize(move.conflict.sources.join(' or '));
+				} else {
+					buffer += 'legal';
+				}
+				var ways = move.ways;
+				if (move.result === 'unlearnable') {
+					// only the ways that say why they don't work
+					ways = ways.filter(function(way) {
+						return way.tooLow || way.unsketchable;
+					});
+				}
+				// Sketch and some events give the same description more than once
+				ways = ways.map(describeWay).filter(function(way, i, ways) {
+					return ways.indexOf(way) === i;
+				});
+				if (ways.length) buffer += '<br />&nbsp;&nbsp;'+(move.result === 'unlearnable' ? 'ruled out' : 'learned by')+': '+sanitize(ways.join('; '));
+				buffer += '<br />';
+			}
+		}
+		this.sendReplyBox(buffer);
+	},
+
+	validate: function(target, room, user) {
+		var commaIndex = target.indexOf(',');
+		if (commaIndex < 0) return this.parse('/help validate');
+		var format = Tools.getFormat(target.substr(0, commaIndex));
+		if (format.effectType !== 'Format') {
+			return this.sendReply('/validate - "'+target.substr(0, commaIndex).trim()+'" is not a format.');
+		}
+		var team = TeamParser.parseTeam(target.substr(commaIndex+1));
+		if (!team) {
+			return this.sendReply('/validate - That\'s not a team. Paste its text export, or its packed or JSON form.');
+		}
+		var problems = Tools.validateTeam(team, format.id);
+		if (!problems) {
+			return this.sendReply('Your team is valid for '+format.name+'.');
 		}
+		this.sendReplyBox('Your team isn\'t valid for '+sanitize(format.name)+':<br />- '+problems.map(sanitize).join('<br />- '));
 	},
 
 	/*********************************************************
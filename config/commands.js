@@ -219,7 +219,43 @@ var commands = exports.commands = {
 		}
 		if (!atLeastOne) this.sendReply("No results found.");
 	},
-	
+
+	bs: 'battlesearch',
+	battlesearch: function(target, room, user) {
+		if (!this.can('modlog')) return false;
+		if (!target) return this.parse('/help battlesearch');
+		var self = this;
+		BattleIndex.search(target, function(results) {
+			if (typeof results === 'string') {
+				return self.sendReply('/battlesearch - '+results);
+			}
+			if (!results.length) {
+				return self.sendReply('No logged battles match "'+target+'".');
+			}
+			var buffer = '<b>'+results.length+' battle'+(results.length === 1 ? '' : 's')+' found</b>'+(results.length > 30 ? ' (showing the 30 most recent)' : '')+'<br />' +
+				'<table border="1" cellspacing="0" cellpadding="3"><tr><th>Date</th><th>Format</th><th>Players</th><th>Winner</th><th>End</th><th>Battle</th></tr>';
+			for (var i = 0; i < results.length && i < 30; i++) {
+				var entry = results[i];
+				var players = sanitize(entry.p1)+(entry.p1rating ? ' ('+entry.p1rating+')' : '')+' vs. '+sanitize(entry.p2)+(entry.p2rating ? ' ('+entry.p2rating+')' : '');
+				buffer += '<tr><td>'+entry.date+'</td><td>'+entry.format+'</td>' +
+					'<td title="'+sanitize(entry.p1team.join(', ')+' vs. '+entry.p2team.join(', '))+'">'+players+'</td>' +
+					'<td>'+(entry.winner ? sanitize(entry.winner) : '<em>tie</em>')+'</td><td>'+entry.endType+'</td><td>'+entry.id+'</td></tr>';
+			}
+			buffer += '</table>';
+			self.sendReplyBox(buffer);
+		});
+	},
+
+	reindexbattles: function(target, room, user) {
+		if (!this.can('hotpatch')) return false;
+		var self = this;
+		var started = BattleIndex.rebuild(function(count) {
+			self.sendReply('Finished indexing battle logs: '+count+' battles indexed.');
+		});
+		if (!started) return this.sendReply('The battle logs are already being indexed.');
+		this.sendReply('Indexing battle logs; this may take a while...');
+	},
+
 	////////////////////- CUSTOM COMMANDS ADDED IN -////////////////////	
 	
 	gdeclarered: 'gdeclare',
@@ -870,6 +906,147 @@ var commands = exports.commands = {
 		this.sendReplyBox(''+type.id+' attacks are '+factor+'x effective against '+defender+'.');
 	},
 
+	top: 'ladder',
+	ladder: function(target, room, user) {
+		if (!this.canBroadcast()) return;
+		var format = Tools.getFormat(target);
+		if (!format.effectType || format.effectType !== 'Format') {
+			return this.sendReply('/ladder [format] - "'+target+'" is not a format.');
+		}
+		var self = this;
+		Ladders.get(format.id).getTop(function(list) {
+			if (!list.length) {
+				self.sendReplyBox('Nobody has played a rated '+sanitize(format.name)+' battle yet.');
+				room.update();
+				return;
+			}
+			var buffer = '<b>'+sanitize(format.name)+' ladder</b><br />' +
+				'<table border="1" cellspacing="0" cellpadding="3"><tr><th></th><th>Name</th><th>Elo</th><th>Glicko</th><th>W</th><th>L</th><th>T</th></tr>';
+			for (var i = 0; i < list.length && i < 20; i++) {
+				var entry = list[i][1];
+				buffer += '<tr><td>'+(i+1)+'</td><td>'+sanitize(entry.name)+'</td><td><strong>'+Math.round(entry.elo)+'</strong></td>' +
+					'<td>'+Math.round(entry.gr)+' &plusmn; '+Math.round(entry.rd)+'</td><td>'+entry.w+'</td><td>'+entry.l+'</td><td>'+entry.t+'</td></tr>';
+			}
+			buffer += '</table>';
+			self.sendReplyBox(buffer);
+			room.update();
+		});
+	},
+
+	rating: 'rank',
+	ranking: 'rank',
+	rank: function(target, room, user) {
+		if (!this.canBroadcast()) return;
+		var targets = target.split(',');
+		var userid = toUserid(targets[0]) || user.userid;
+		var name = Users.getExact(userid) ? Users.getExact(userid).name : (toName(targets[0]) || user.name);
+
+		var formats = [];
+		if (targets[1]) {
+			var format = Tools.getFormat(targets[1]);
+			if (!format.effectType || format.effectType !== 'Format') {
+				return this.sendReply('/rank [username], [format] - "'+targets[1].trim()+'" is not a format.');
+			}
+			formats.push(format);
+		} else {
+			for (var i in Tools.data.Formats) {
+				var format = Tools.getFormat(i);
+				if (format.effectType !== 'Format' || format.rated === false) continue;
+				formats.push(format);
+			}
+		}
+		if (!formats.length) return this.sendReplyBox(sanitize(name)+' has not played any rated battles.');
+
+		var self = this;
+		var results = [];
+		var pending = formats.length;
+		formats.forEach(function(format, i) {
+			Ladders.get(format.id).getRank(userid, function(rank, entry, total) {
+				if (entry) {
+					results[i] = '<tr><td>'+sanitize(format.name)+'</td><td>#'+rank+' of '+total+'</td><td><strong>'+Math.round(entry.elo)+'</strong></td>' +
+						'<td>'+Math.round(entry.gr)+' &plusmn; '+Math.round(entry.rd)+'</td><td>'+entry.w+'-'+entry.l+'-'+entry.t+'</td></tr>';
+				}
+				if (--pending) return;
+				results = results.compact();
+				if (!results.length) {
+					self.sendReplyBox(sanitize(name)+' has not played any rated battles'+(targets[1]?' in '+sanitize(formats[0].name):'')+'.');
+				} else {
+					self.sendReplyBox('<b>'+sanitize(name)+'\'s ratings</b><br />' +
+						'<table border="1" cellspacing="0" cellpadding="3"><tr><th>Format</th><th>Rank</th><th>Elo</th><th>Glicko</th><th>W-L-T</th></tr>' +
+						results.join('')+'</table>');
+				}
+				room.update();
+			});
+		});
+	},
+
+	usage: function(target, room, user) {
+		if (!this.canBroadcast()) return;
+		var targets = target.split(',');
+		var format = Tools.getFormat(targets[0]);
+		if (!format.effectType || format.effectType !== 'Format') {
+			return this.sendReply('/usage [format], [month], [pokemon] - "'+targets[0].trim()+'" is not a format.');
+		}
+		var month = UsageStats.currentMonth();
+		var template = null;
+		for (var i = 1; i < targets.length; i++) {
+			var arg = targets[i].trim();
+			if (/^[0-9]{4}-[0-9]{2}$/.test(arg)) {
+				month = arg;
+			} else if (Tools.getTemplate(arg).exists) {
+				template = Tools.getTemplate(arg);
+			} else {
+				return this.sendReply('/usage [format], [month], [pokemon] - "'+arg+'" is not a month (YYYY-MM) or a Pokemon.');
+			}
+		}
+
+		var self = this;
+		UsageStats.get(format.id, month, function(stats) {
+			if (!stats.teams) {
+				self.sendReplyBox('No '+sanitize(format.name)+' battles were logged in '+month+'.');
+				room.update();
+				return;
+			}
+			var buffer = '<b>'+sanitize(format.name)+' usage, '+month+'</b> ('+stats.battles+' battle'+(stats.battles === 1 ? '' : 's')+')<br />';
+
+			if (!template) {
+				var ranking = UsageStats.getRanking(stats);
+				buffer += '<table border="1" cellspacing="0" cellpadding="3"><tr><th></th><th>Pokemon</th><th>Usage</th><th>Weighted</th><th>Win rate</th></tr>';
+				for (var i = 0; i < ranking.length && i < 30; i++) {
+					buffer += '<tr><td>'+(i+1)+'</td><td>'+ranking[i].species+'</td><td>'+ranking[i].usage.toFixed(2)+'%</td>' +
+						'<td>'+ranking[i].weighted.toFixed(2)+'%</td><td>'+ranking[i].winrate.toFixed(1)+'%</td></tr>';
+				}
+				buffer += '</table>';
+				self.sendReplyBox(buffer);
+				room.update();
+				return;
+			}
+
+			var entry = stats.pokemon[template.species];
+			if (!entry) {
+				self.sendReplyBox(buffer+template.species+' wasn\'t used.');
+				room.update();
+				return;
+			}
+			var ranking = UsageStats.getRanking(stats);
+			for (var i = 0; i < ranking.length; i++) {
+				if (ranking[i].species !== template.species) continue;
+				buffer += '<b>#'+(i+1)+' '+template.species+'</b>: '+ranking[i].usage.toFixed(2)+'% usage, ' +
+					ranking[i].weighted.toFixed(2)+'% weighted by rating, '+ranking[i].winrate.toFixed(1)+'% win rate<br />';
+			}
+			var tables = [['Items', 'items'], ['Abilities', 'abilities'], ['Moves', 'moves'], ['Teammates', 'teammates']];
+			for (var i = 0; i < tables.length; i++) {
+				var top = UsageStats.getTop(entry, tables[i][1], 6);
+				if (!top.length) continue;
+				buffer += '<b>'+tables[i][0]+'</b>: '+top.map(function(item) {
+					return sanitize(item[0])+' ('+item[1].toFixed(1)+'%)';
+				}).join(', ')+'<br />';
+			}
+			self.sendReplyBox(buffer);
+			room.update();
+		});
+	},
+
 	uptime: function(target, room, user) {
 		if (!this.canBroadcast()) return;
 		var uptime = process.uptime();
@@ -1227,6 +1404,56 @@ var commands = exports.commands = {
 			'</div>');
 	},
 
+	points: function(target, room, user) {
+		if (!this.canBroadcast()) return;
+		target = target.trim();
+		var format = Tools.getFormat('pointscore');
+		// the format is optional, so only take what's before the first
+		// comma if it's a format
+		var commaIndex = target.indexOf(',');
+		var formatName = (commaIndex < 0 ? target : target.substr(0, commaIndex));
+		if (formatName && Tools.getFormat(formatName).effectType === 'Format') {
+			format = Tools.getFormat(formatName);
+			target = (commaIndex < 0 ? '' : target.substr(commaIndex+1).trim());
+		}
+		Tools.getBanlistTable(format);
+		if (!format.banlistTable['Rule:pointsystem']) {
+			return this.sendReply('/points - '+format.name+' doesn\'t use the Point System.');
+		}
+
+		var team = (target ? TeamParser.parseTeam(target) : user.team);
+		if (!team || !Array.isArray(team) || !team.length) {
+			return this.sendReply('/points [format], [team] - Paste a team, or set one with /utm first.');
+		}
+
+		var maxPoints = format.budget || Tools.getFormat('pointsystem').budget;
+		var used = 0;
+		var buffer = '<b>'+sanitize(format.name)+' points</b><br />';
+		buffer += '<table border="1" cellspacing="0" cellpadding="3"><tr><th>Pokemon</th><th>Item</th><th>Ability</th><th>Moves</th><th>Total</th></tr>';
+		for (var i=0; i<team.length; i++) {
+			var set = team[i] || {};
+			var points = Tools.getPoints(set);
+			var template = Tools.getTemplate(string(set.species));
+			var moves = [];
+			for (var j=0; j<points.moves.length; j++) {
+				if (points.moves[j]) moves.push(sanitize(Tools.getMove(string(set.moves[j])).name)+': '+points.moves[j]);
+			}
+			buffer += '<tr><td>'+sanitize(template.species||string(set.species))+' ('+(template.tier||'no tier')+'): '+points.species+'</td>' +
+				'<td>'+(set.item ? sanitize(Tools.getItem(string(set.item)).name)+': '+points.item : '')+'</td>' +
+				'<td>'+(set.ability ? sanitize(Tools.getAbility(string(set.ability)).name)+': '+points.ability : '')+'</td>' +
+				'<td>'+(moves.join(', ') || 0)+'</td><td><b>'+points.total+'</b></td></tr>';
+			used += points.total;
+		}
+		buffer += '</table>';
+		buffer += 'Used: <b>'+used+'/'+maxPoints+'</b> points. ';
+		if (used > maxPoints) {
+			buffer += '<font color="red">'+(used-maxPoints)+' over budget.</font>';
+		} else {
+			buffer += (maxPoints-used)+' left.';
+		}
+		this.sendReplyBox(buffer);
+	},
+
 	pointscore: function(target, room, user) {
 		if (!this.canBroadcast()) return;
 		this.sendReplyBox('Point Score is a custom rule set which uses points to adjust how you make a team:<br />' +
@@ -1829,10 +2056,48 @@ var commands = exports.commands = {
 			this.sendReply('/ip - Get your own IP address.');
 			this.sendReply('/ip [username] - Get a user\'s IP address. Requires: @ & ~');
 		}
-		if (target === 'all' || target === 'rating' || target === 'ranking' || target === 'rank' || target === 'ladder') {
+		if (target === 'all' || target === 'rating' || target === 'ranking' || target === 'rank') {
+			matched = true;
+			this.sendReply('/rank - Get your own ratings in every format.');
+			this.sendReply('/rank [username], [format] - Get a user\'s rating and ladder position. Format is optional.');
+			this.sendReply('!rank [username], [format] - Show everyone that information. Requires: + % @ & ~');
+		}
+		if (target === 'all' || target === 'usage') {
+			matched = true;
+			this.sendReply('/usage [format], [month] - Shows the most used Pokemon in a format, from the battle logs. Month is YYYY-MM, and defaults to this month.');
+			this.sendReply('/usage [format], [month], [pokemon] - Shows a Pokemon\'s usage, win rate, and its most common items, abilities, moves and teammates.');
+			this.sendReply('!usage [format], [month], [pokemon] - Show everyone that information. Requires: + % @ & ~');
+		}
+		if (target === 'all' || target === 'teams') {
+			matched = true;
+			this.sendReply('/teams [format] - Lists the teams you\'ve saved on the server, for every format or just one. Only for registered users.');
+			this.sendReply('/teams save [format], [name], [team] - Saves a team, which has to be valid in the format. Paste the team, or leave it out to save the last team you used.');
+			this.sendReply('/teams show [format], [name] - Shows one of your teams in its text export. !teams show shows everyone.');
+			this.sendReply('/teams use [format], [name] - Uses one of your teams for your next battles.');
+			this.sendReply('/teams rename [format], [name], [new name] - Renames one of your teams.');
+			this.sendReply('/teams delete [format], [name] - Deletes one of your teams.');
+			this.sendReply('/teams share [format], [name], [user] - Offers a copy of one of your teams to another registered user.');
+			this.sendReply('/teams accept [user] - Adds the team [user] offered you to your teams. /teams decline [user] turns it down.');
+			this.sendReply('To battle with a saved team, add "team: [name]" to /challenge, /accept or /search, like: /challenge Zarel, OU, team: Rain');
+		}
+		if (target === 'all' || target === 'checklegal') {
+			matched = true;
+			this.sendReply('/checklegal [format], [pokemon] - Checks whether a Pokemon is legal in a format, and explains how it can learn each of its moves: which gen and method (level-up, TM, tutor, egg, event), which parents it can get egg moves from, and which moves conflict. Paste the Pokemon in its text export or packed form.');
+			this.sendReply('!checklegal [format], [pokemon] - Show everyone that information. Requires: + % @ & ~');
+		}
+		if (target === 'all' || target === 'validate') {
 			matched = true;
-			this.sendReply('/rating - Get your own rating.');
-			this.sendReply('/rating [username] - Get user\'s rating.');
+			this.sendReply('/validate [format], [team] - Checks whether a team is legal in a format, and lists every problem with it. Paste the team in its text export or packed form.');
+		}
+		if (target === 'all' || target === 'points') {
+			matched = true;
+			this.sendReply('/points [format], [team] - Shows what each Pokemon in a team costs under the Point System, and how many points are left. The team can be pasted in its text export or packed form, and defaults to the one you set with /utm. Format defaults to Point Score.');
+			this.sendReply('!points [format], [team] - Show everyone that information. Requires: + % @ & ~');
+		}
+		if (target === 'all' || target === 'ladder' || target === 'top') {
+			matched = true;
+			this.sendReply('/ladder [format] - Shows the top 20 players of a format\'s ladder.');
+			this.sendReply('!ladder [format] - Show everyone that information. Requires: + % @ & ~');
 		}
 		if (target === 'all' || target === 'nick') {
 			matched = true;
@@ -1975,6 +2240,12 @@ var commands = exports.commands = {
 			matched = true;
 			this.sendReply('/modlog [n] - If n is a number or omitted, display the last n lines of the moderator log. Defaults to 15. If n is not a number, search the moderator log for "n". Requires: % @ & ~');
 		}
+		if (target === '%' || target === 'battlesearch' || target === 'bs') {
+			matched = true;
+			this.sendReply('/battlesearch OR /bs [key]: [value], [key]: [value], ... - Search the logs of rated battles. Requires: % @ & ~');
+			this.sendReply('Keys: user, winner, loser, format, pokemon, end (normal/forfeit/forced), rating (minimum), date (YYYY, YYYY-MM, YYYY-MM-DD, today, thismonth or lastmonth).');
+			this.sendReply('For example: /battlesearch user: Lynn, format: Point Score, date: lastmonth, end: forfeit');
+		}
 		if (target === "%" || target === 'kickbattle ') {
 			matched = true;
 			this.sendReply('/kickbattle [username], [reason] - Kicks an user from a battle with reason. Requires: % @ & ~');
@@ -2060,17 +2331,21 @@ var commands = exports.commands = {
 			matched = true;
 			this.sendReply('/kill - kills the server. Can\'t be done unless the server is in lockdown state. Requires: ~');
 		}
+		if (target === '~' || target === 'reindexbattles') {
+			matched = true;
+			this.sendReply('/reindexbattles - rebuilds the /battlesearch index from the battle logs. Requires: ~');
+		}
 		if (target === 'all' || target === 'help' || target === 'h' || target === '?' || target === 'commands') {
 			matched = true;
 			this.sendReply('/help OR /h OR /? - Gives you help.');
 		}
 		if (!target) {
-			this.sendReply('COMMANDS: /msg, /reply, /ip, /rating, /nick, /avatar, /rooms, /whois, /help, /away, /back, /timestamps');
-			this.sendReply('INFORMATIONAL COMMANDS: /data, /groups, /opensource, /avatars, /faq, /rules, /intro, /tiers, /othermetas, /learn, /analysis, /calc (replace / with ! to broadcast. (Requires: + % @ & ~))');
+			this.sendReply('COMMANDS: /msg, /reply, /ip, /rank, /ladder, /nick, /avatar, /rooms, /whois, /help, /away, /back, /timestamps');
+			this.sendReply('INFORMATIONAL COMMANDS: /data, /usage, /groups, /opensource, /avatars, /faq, /rules, /intro, /tiers, /othermetas, /learn, /analysis, /calc (replace / with ! to broadcast. (Requires: + % @ & ~))');
 			this.sendReply('For details on all commands, use /help all');
 			if (user.group !== config.groupsranking[0]) {
 				this.sendReply('DRIVER COMMANDS: /mute, /unmute, /announce, /forcerename, /alts')
-				this.sendReply('MODERATOR COMMANDS: /ban, /unban, /unbanall, /ip, /modlog, /redirect, /kick');
+				this.sendReply('MODERATOR COMMANDS: /ban, /unban, /unbanall, /ip, /modlog, /battlesearch, /redirect, /kick');
 				this.sendReply('LEADER COMMANDS: /promote, /demote, /forcewin, /forcetie, /declare');
 				this.sendReply('For details on all moderator commands, use /help @');
 			}
@@ -179,6 +179,32 @@ exports.customavatars = {
 // which case users won't be given any information on how to appeal.
 exports.appealurl = 'http://phoenixleague.forumotion.co.uk/f10-ban-appeal';
 
+// replayurl - the address replays saved with /savereplay are linked to.
+//   Replays are stored and served by this server at /replay/, so this should
+//   be this server's address followed by /replay/ - don't forget the http://
+//   and the trailing slash.
+exports.replayurl = 'http://localhost:8000/replay/';
+
+// tourpoints - league points awarded for tournament placements.
+//   Each entry lists the points for 1st place, 2nd place, 3rd place and so
+//   on; placements past the end of the list get nothing. Players who tie
+//   (like the two losing semifinalists) all get the points for the higher
+//   place. `default` is used for tiers that aren't listed.
+exports.tourpoints = {
+	'default': [10, 6, 4, 4, 2, 2, 2, 2],
+	'ou': [15, 10, 6, 6, 3, 3, 3, 3]
+};
+
+// bots - AI players, which anyone can /challenge for practice.
+//   Each entry is the AI's name and how well it plays: 'random' (random
+//   moves), 'normal' (the strongest-looking move) or 'hard' (the move that
+//   does the most damage). AIs always use a random team.
+exports.bots = {
+	'AI Random': 'random',
+	'AI Normal': 'normal',
+	'AI Hard': 'hard'
+};
+
 // permissions and groups:
 //   Each entry in `groupsranking' specifies the ranking of the groups.
 //   Each entry in `groups' is a seperate group. Some of the members are "special"
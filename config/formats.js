@@ -1,5 +1,10 @@
 // Note: This is the list of formats
 // The rules that formats use are stored in data/formats.js
+// Formats can set the battle timer with `timer: {bank: 210, turn: 150, increment: 10}`
+// (in seconds: each player's time bank, the most they can take over one
+// decision, and the time added to their bank each turn)
+// Formats with a Budget rule in their ruleset (like 'Point System' or
+// 'BST Budget') can change its budget with `budget: 1500`
 
 exports.Formats = [
 
@@ -266,6 +271,96 @@ exports.Formats = [
 		// no restrictions, for serious (other than team preview)
 		ruleset: ['Team Preview']
 	},
+	{
+		name: "Doubles Multi Battle",
+		section: 'Doubles',
+
+		// four players, who each bring three Pokemon; challenge with
+		// /challenge OPPONENT, FORMAT, PARTNER, OPPONENT'S PARTNER
+		gameType: 'multi',
+		searchShow: false,
+		ruleset: ['Pokemon', 'Sleep Clause Mod', 'Species Clause', 'OHKO Clause', 'Moody Clause', 'Evasion Moves Clause', 'Evasion Abilities Clause', 'HP Percentage Mod'],
+		banlist: ['Unreleased', 'Illegal', 'Dark Void', 'Soul Dew', 'Sky Drop',
+			'Mewtwo',
+			'Lugia',
+			'Ho-Oh',
+			'Kyogre',
+			'Groudon',
+			'Rayquaza',
+			'Dialga',
+			'Palkia',
+			'Giratina', 'Giratina-Origin',
+			'Arceus', 'Arceus-Bug', 'Arceus-Dark', 'Arceus-Dragon', 'Arceus-Electric', 'Arceus-Fighting', 'Arceus-Fire', 'Arceus-Flying', 'Arceus-Ghost', 'Arceus-Grass', 'Arceus-Ground', 'Arceus-Ice', 'Arceus', 'Arceus-Poison', 'Arceus-Psychic', 'Arceus-Rock', 'Arceus-Steel', 'Arceus-Water',
+			'Reshiram',
+			'Zekrom',
+			'Kyurem-White'
+		]
+	},
+	{
+		name: "Multi Battle Custom Game",
+		section: 'Doubles',
+
+		gameType: 'multi',
+		searchShow: false,
+		canUseRandomTeam: true,
+		debug: true,
+		maxLevel: 1000,
+		defaultLevel: 100,
+		// no restrictions, for serious
+		ruleset: []
+	},
+
+	// Triples
+	///////////////////////////////////////////////////////////////////
+
+	{
+		name: "Smogon Triples",
+		section: 'Triples',
+
+		gameType: 'triples',
+		ruleset: ['Pokemon', 'Team Preview', 'Sleep Clause Mod', 'Species Clause', 'OHKO Clause', 'Moody Clause', 'Evasion Moves Clause', 'Evasion Abilities Clause', 'HP Percentage Mod'],
+		banlist: ['Unreleased', 'Illegal', 'Dark Void', 'Soul Dew', 'Sky Drop', 'Perish Song',
+			'Mewtwo',
+			'Lugia',
+			'Ho-Oh',
+			'Kyogre',
+			'Groudon',
+			'Rayquaza',
+			'Dialga',
+			'Palkia',
+			'Giratina', 'Giratina-Origin',
+			'Arceus', 'Arceus-Bug', 'Arceus-Dark', 'Arceus-Dragon', 'Arceus-Electric', 'Arceus-Fighting', 'Arceus-Fire', 'Arceus-Flying', 'Arceus-Ghost', 'Arceus-Grass', 'Arceus-Ground', 'Arceus-Ice', 'Arceus', 'Arceus-Poison', 'Arceus-Psychic', 'Arceus-Rock', 'Arceus-Steel', 'Arceus-Water',
+			'Reshiram',
+			'Zekrom',
+			'Kyurem-White'
+		]
+	},
+	{
+		name: "Triples Custom Game",
+		section: 'Triples',
+
+		gameType: 'triples',
+		searchShow: false,
+		canUseRandomTeam: true,
+		debug: true,
+		maxLevel: 1000,
+		defaultLevel: 100,
+		// no restrictions, for serious (other than team preview)
+		ruleset: ['Team Preview']
+	},
+	{
+		name: "Rotation Custom Game",
+		section: 'Triples',
+
+		gameType: 'rotation',
+		searchShow: false,
+		canUseRandomTeam: true,
+		debug: true,
+		maxLevel: 1000,
+		defaultLevel: 100,
+		// no restrictions, for serious (other than team preview)
+		ruleset: ['Team Preview']
+	},
 
 	// Other Metagames
 	///////////////////////////////////////////////////////////////////
@@ -382,6 +477,20 @@ exports.Formats = [
 		ruleset: ['Pokemon', 'Standard', 'Same Type Clause', 'Evasion Abilities Clause', 'Team Preview'],
 		banlist: ['Uber', 'Drizzle ++ Swift Swim', 'Soul Dew']
 	},
+	{
+		name: "Inverse Battle",
+		section: "Other Metagames",
+
+		ruleset: ['Pokemon', 'Standard', 'Inverse', 'Evasion Abilities Clause', 'Team Preview'],
+		banlist: ['Uber', 'Soul Dew']
+	},
+	{
+		name: "Stat Budget",
+		section: "Other Metagames",
+
+		ruleset: ['Pokemon', 'Standard', 'BST Budget', 'Evasion Abilities Clause', 'Team Preview'],
+		banlist: ['Soul Dew']
+	},
 	{
 		name: "Glitchmons",
 		section: "Other Metagames",
@@ -1785,7 +1785,7 @@ exports.BattleMovedex = {
 			var attackType = this.getMove(target.lastMove).type;
 			for (var type in this.data.TypeChart) {
 				if (source.hasType(type) || target.hasType(type)) continue;
-				var typeCheck = this.data.TypeChart[type].damageTaken[attackType];
+				var typeCheck = this.getDamageTaken(attackType, type);
 				if (typeCheck === 2 || typeCheck === 3) {
 					possibleTypes.push(type);
 				}
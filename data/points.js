@@ -0,0 +1,187 @@
+// Point Score costs, used by the Point System rule in formats.js (see
+// "README - Point Score.md"). A Pokemon costs the points for its species,
+// or for its tier if its species isn't listed, plus the points for its
+// item, ability and moves. Anything that isn't listed costs nothing.
+exports.BattlePoints = {
+	tiers: {
+		Uber: 800,
+		OU: 400,
+		BL: 350,
+		UU: 300,
+		BL2: 250,
+		RU: 200,
+		NU: 150,
+		NFE: 150,
+		LC: 150
+	},
+	species: {
+	},
+	items: {
+		aguavberry: 50,
+		airballoon: 50,
+		apicotberry: 50,
+		aspearberry: 50,
+		babiriberry: 50,
+		berryjuice: 50,
+		bigroot: 50,
+		bindingband: 50,
+		blackbelt: 50,
+		blacksludge: 50,
+		blackglasses: 50,
+		brightpowder: 50,
+		buggem: 50,
+		cellbattery: 50,
+		charcoal: 50,
+		chartiberry: 50,
+		cheriberry: 50,
+		chestoberry: 50,
+		chilanberry: 50,
+		choiceband: 100,
+		choicescarf: 100,
+		choicespecs: 100,
+		chopleberry: 50,
+		cobaberry: 50,
+		colburberry: 50,
+		custapberry: 50,
+		damprock: 50,
+		darkgem: 50,
+		deepseascale: 50,
+		deepseatooth: 50,
+		destinyknot: 50,
+		dracoplate: 50,
+		dragonfang: 50,
+		dragongem: 50,
+		dreadplate: 50,
+		earthplate: 50,
+		ejectbutton: 50,
+		electricgem: 50,
+		enigmaberry: 50,
+		eviolite: 100,
+		expertbelt: 50,
+		fightinggem: 50,
+		figyberry: 50,
+		firegem: 50,
+		fistplate: 50,
+		flameorb: 50,
+		flameplate: 50,
+		floatstone: 50,
+		flyinggem: 50,
+		focusband: 50,
+		focussash: 50,
+		fullincense: 50,
+		ganlonberry: 50,
+		ghostgem: 50,
+		grassgem: 50,
+		gripclaw: 50,
+		groundgem: 50,
+		habanberry: 50,
+		hardstone: 50,
+		heatrock: 50,
+		iapapaberry: 50,
+		icegem: 50,
+		icicleplate: 50,
+		icyrock: 50,
+		insectplate: 50,
+		ironball: 50,
+		ironplate: 50,
+		jabocaberry: 50,
+		kasibberry: 50,
+		kebiaberry: 50,
+		kingsrock: 50,
+		laggingtail: 50,
+		lansatberry: 50,
+		laxincense: 50,
+		leftovers: 100,
+		leppaberry: 50,
+		liechiberry: 50,
+		lifeorb: 50,
+		lightball: 50,
+		lightclay: 50,
+		luckypunch: 50,
+		lumberry: 100,
+		machobrace: 50,
+		magnet: 50,
+		magoberry: 50,
+		meadowplate: 50,
+		mentalherb: 50,
+		metalcoat: 50,
+		metalpowder: 50,
+		metronome: 50,
+		micleberry: 50,
+		mindplate: 50,
+		miracleseed: 50,
+		muscleband: 50,
+		mysticwater: 50,
+		nevermeltice: 50,
+		normalgem: 50,
+		occaberry: 50,
+		oddincense: 50,
+		oranberry: 50,
+		passhoberry: 50,
+		payapaberry: 50,
+		pechaberry: 50,
+		persimberry: 50,
+		petayaberry: 50,
+		poisonbarb: 50,
+		poisongem: 50,
+		powerherb: 50,
+		psychicgem: 50,
+		quickclaw: 50,
+		quickpowder: 50,
+		rawstberry: 50,
+		razorclaw: 50,
+		razorfang: 50,
+		redcard: 50,
+		rindoberry: 50,
+		ringtarget: 50,
+		rockgem: 50,
+		rockincense: 50,
+		rockyhelmet: 50,
+		roseincense: 50,
+		rowapberry: 50,
+		salacberry: 50,
+		scopelens: 50,
+		seaincense: 50,
+		sharpbeak: 50,
+		shedshell: 50,
+		shellbell: 50,
+		shucaberry: 50,
+		silkscarf: 50,
+		silverpowder: 50,
+		sitrusberry: 50,
+		skyplate: 50,
+		smoothrock: 50,
+		softsand: 50,
+		spelltag: 50,
+		splashplate: 50,
+		spookyplate: 50,
+		starfberry: 50,
+		steelgem: 50,
+		stick: 50,
+		stickybarb: 50,
+		stoneplate: 50,
+		tangaberry: 50,
+		thickclub: 50,
+		toxicorb: 50,
+		twistedspoon: 50,
+		wacanberry: 50,
+		watergem: 50,
+		waveincense: 50,
+		whiteherb: 50,
+		widelens: 50,
+		wikiberry: 50,
+		wiseglasses: 50,
+		yacheberry: 50,
+		zapplate: 50,
+		zoomlens: 50
+	},
+	abilities: {
+		airlock: 200,
+		drizzle: 200,
+		drought: 200,
+		sandstream: 200,
+		snowwarning: 200
+	},
+	moves: {
+	}
+};
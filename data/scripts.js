@@ -112,7 +112,9 @@ exports.BattleScripts = {
 			damage = this.moveHit(target, pokemon, move);
 		} else if (move.target === 'allAdjacent' || move.target === 'allAdjacentFoes') {
 			var targets = [];
-			if (move.target === 'allAdjacent') {
+			// in rotation battles, only the Pokemon in front are in reach
+			var isRotation = (this.gameType === 'rotation');
+			if (move.target === 'allAdjacent' && !isRotation) {
 				var allyActive = pokemon.side.active;
 				for (var i=0; i<allyActive.length; i++) {
 					if (allyActive[i] && Math.abs(i-pokemon.position)<=1 && i != pokemon.position && !allyActive[i].fainted) {
@@ -121,9 +123,9 @@ exports.BattleScripts = {
 				}
 			}
 			var foeActive = pokemon.side.foe.active;
-			var foePosition = foeActive.length-pokemon.position-1;
+			var foePosition = (isRotation ? 0 : foeActive.length-pokemon.position-1);
 			for (var i=0; i<foeActive.length; i++) {
-				if (foeActive[i] && Math.abs(i-foePosition)<=1 && !foeActive[i].fainted) {
+				if (foeActive[i] && Math.abs(i-foePosition)<=(isRotation ? 0 : 1) && !foeActive[i].fainted) {
 					targets.push(foeActive[i]);
 				}
 			}
@@ -478,9 +480,16 @@ exports.BattleScripts = {
 		return damage;
 	},
 	isAdjacent: function(pokemon1, pokemon2) {
-		if (!pokemon1.fainted && !pokemon2.fainted && pokemon2.position !== pokemon1.position && Math.abs(pokemon2.position-pokemon1.position) <= 1) {
-			return true;
+		if (pokemon1.fainted || pokemon2.fainted) return false;
+		if (this.gameType === 'rotation') {
+			// only the two Pokemon in front face each other
+			return pokemon1.side !== pokemon2.side && !pokemon1.position && !pokemon2.position;
+		}
+		if (pokemon1.side === pokemon2.side) {
+			return pokemon2.position !== pokemon1.position && Math.abs(pokemon2.position-pokemon1.position) <= 1;
 		}
+		// foes face each other, so the foe's slots count from the other end
+		return Math.abs(pokemon2.side.active.length-pokemon2.position-1-pokemon1.position) <= 1;
 	},
 	getTeam: function(side, team) {
 		var format = side.battle.getFormat();
@@ -0,0 +1,298 @@
+/**
+ * Local ladder
+ * Pokemon Showdown - http://pokemonshowdown.com/
+ *
+ * Keeps per-format ratings on this server instead of asking the login
+ * server for them. Every player gets an Elo rating (which is what users
+ * see and what matchmaking uses) plus a Glicko-2 rating, deviation and
+ * volatility, so we know how much to trust a rating.
+ *
+ * Ratings are stored in config/ladders/FORMATID.json
+ *
+ * @license MIT license
+ */
+
+const LADDER_DIR = 'config/ladders/';
+
+const DEFAULT_RATING = 1500;
+const DEFAULT_DEVIATION = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const MIN_DEVIATION = 30;
+
+// Glicko-2 system constant; smaller values stop volatility from
+// changing too quickly
+const GLICKO_TAU = 0.5;
+const GLICKO_SCALE = 173.7178;
+
+module.exports = (function() {
+	var ladders = {};
+
+	function Ladder(formatid) {
+		this.formatid = formatid;
+		this.file = LADDER_DIR + formatid + '.json';
+		this.ratings = {};
+		this.loaded = false;
+		this.loadQueue = [];
+	}
+
+	Ladder.prototype.writing = false;
+	Ladder.prototype.writePending = false;
+
+	/**
+	 * Calls `callback` once the ratings have been read from disk.
+	 */
+	Ladder.prototype.load = function(callback) {
+		if (this.loaded) {
+			callback.call(this);
+			return;
+		}
+		this.loadQueue.push(callback);
+		if (this.loadQueue.length > 1) return;
+
+		var self = this;
+		fs.readFile(this.file, function(err, data) {
+			if (!err) {
+				try {
+					self.ratings = JSON.parse(data) || {};
+				} catch (e) {
+					console.log('Ladder file for ' + self.formatid + ' is corrupt: ' + e.message);
+				}
+			} // else, file doesn't exist [yet]
+			self.loaded = true;
+			var queue = self.loadQueue;
+			self.loadQueue = [];
+			for (var i = 0; i < queue.length; i++) {
+				queue[i].call(self);
+			}
+		});
+	};
+	Ladder.prototype.save = function() {
+		if (this.writing) {
+			this.writePending = true;
+			return;
+		}
+		this.writing = true;
+		var self = this;
+		var data = JSON.stringify(this.ratings).replace(/\},"/g, '},\n"');
+		var finishWriting = function() {
+			self.writing = false;
+			if (self.writePending) {
+				self.writePending = false;
+				self.save();
+			}
+		};
+		fs.mkdir(LADDER_DIR, '0755', function() {
+			fs.writeFile(self.file + '.0', data, function() {
+				// rename is atomic on POSIX, but will throw an error on Windows
+				fs.rename(self.file + '.0', self.file, function(err) {
+					if (err) {
+						// This should only happen on Windows.
+						fs.writeFile(self.file, data, finishWriting);
+						return;
+					}
+					finishWriting();
+				});
+			});
+		});
+	};
+
+	/**
+	 * Returns a user's rating entry, or a fresh one if they haven't
+	 * played this format yet. Only meaningful once the ladder is loaded.
+	 */
+	Ladder.prototype.getEntry = function(userid) {
+		userid = toUserid(userid);
+		if (this.ratings[userid]) return this.ratings[userid];
+		return {
+			name: userid,
+			elo: DEFAULT_RATING,
+			gr: DEFAULT_RATING,
+			rd: DEFAULT_DEVIATION,
+			vol: DEFAULT_VOLATILITY,
+			w: 0,
+			l: 0,
+			t: 0,
+			lastgame: 0
+		};
+	};
+	Ladder.prototype.getRating = function(userid, callback) {
+		this.load(function() {
+			callback(this.getEntry(userid));
+		});
+	};
+
+	/**
+	 * Rating deviation of a user, for matchmaking. Doesn't wait for the
+	 * ladder to load; anyone searching has already had their rating read.
+	 */
+	Ladder.prototype.getDeviation = function(userid) {
+		if (!this.loaded) return DEFAULT_DEVIATION;
+		return this.getEntry(userid).rd;
+	};
+
+	/**
+	 * Sorted list of [userid, entry] pairs, highest Elo first.
+	 */
+	Ladder.prototype.getTop = function(callback) {
+		this.load(function() {
+			var list = [];
+			for (var userid in this.ratings) {
+				list.push([userid, this.ratings[userid]]);
+			}
+			list.sort(function(a, b) {
+				return b[1].elo - a[1].elo;
+			});
+			callback(list);
+		});
+	};
+	Ladder.prototype.getRank = function(userid, callback) {
+		userid = toUserid(userid);
+		this.getTop(function(list) {
+			for (var i = 0; i < list.length; i++) {
+				if (list[i][0] === userid) {
+					callback(i + 1, list[i][1], list.length);
+					return;
+				}
+			}
+			callback(0, null, list.length);
+		});
+	};
+
+	/**
+	 * Records the result of a battle between p1 and p2, where p1score is
+	 * 1 for a p1 win, 0 for a p2 win and 0.5 for a tie.
+	 *
+	 * Calls back with the updated entries of both players, each with
+	 * `oldelo` set to their Elo before the battle.
+	 */
+	Ladder.prototype.updateRating = function(p1, p2, p1score, callback) {
+		this.load(function() {
+			var p1id = toUserid(p1);
+			var p2id = toUserid(p2);
+			var p1entry = this.getEntry(p1id);
+			var p2entry = this.getEntry(p2id);
+
+			var p1new = calculate(p1entry, p2entry, p1score);
+			var p2new = calculate(p2entry, p1entry, 1 - p1score);
+			p1new.name = p1;
+			p2new.name = p2;
+
+			this.ratings[p1id] = p1new;
+			this.ratings[p2id] = p2new;
+			this.save();
+
+			var p1rating = Object.clone(p1new);
+			p1rating.userid = p1id;
+			p1rating.oldelo = p1entry.elo;
+			var p2rating = Object.clone(p2new);
+			p2rating.userid = p2id;
+			p2rating.oldelo = p2entry.elo;
+			callback(p1rating, p2rating);
+		});
+	};
+
+	/**
+	 * New rating entry for `entry` after a game against `opp` with the
+	 * given score.
+	 */
+	var calculate = function(entry, opp, score) {
+		var games = entry.w + entry.l + entry.t;
+		var result = {
+			name: entry.name,
+			elo: updateElo(entry.elo, opp.elo, score, games),
+			w: entry.w + (score > 0.99 ? 1 : 0),
+			l: entry.l + (score < 0.01 ? 1 : 0),
+			t: entry.t + (score > 0.99 || score < 0.01 ? 0 : 1),
+			lastgame: Date.now()
+		};
+		var glicko = updateGlicko(entry, opp, score);
+		result.gr = glicko.gr;
+		result.rd = glicko.rd;
+		result.vol = glicko.vol;
+		return result;
+	};
+
+	var updateElo = function(elo, oppElo, score, games) {
+		// new players move faster, so they find their place quicker
+		var K = 32;
+		if (games < 20) K = 50;
+		else if (elo > 2000) K = 24;
+
+		var expected = 1 / (1 + Math.pow(10, (oppElo - elo) / 400));
+		elo += K * (score - expected);
+		if (elo < 1000) elo = 1000;
+		return elo;
+	};
+
+	/**
+	 * Glicko-2, treating every battle as its own rating period.
+	 * See http://www.glicko.net/glicko/glicko2.pdf
+	 */
+	var updateGlicko = function(entry, opp, score) {
+		var mu = (entry.gr - DEFAULT_RATING) / GLICKO_SCALE;
+		var phi = entry.rd / GLICKO_SCALE;
+		var sigma = entry.vol;
+		var oppMu = (opp.gr - DEFAULT_RATING) / GLICKO_SCALE;
+		var oppPhi = opp.rd / GLICKO_SCALE;
+
+		var g = 1 / Math.sqrt(1 + 3 * oppPhi * oppPhi / (Math.PI * Math.PI));
+		var E = 1 / (1 + Math.exp(-g * (mu - oppMu)));
+		var v = 1 / (g * g * E * (1 - E));
+		var delta = v * g * (score - E);
+
+		// new volatility, by the Illinois algorithm
+		var a = Math.log(sigma * sigma);
+		var f = function(x) {
+			var ex = Math.exp(x);
+			var d = phi * phi + v + ex;
+			return ex * (delta * delta - phi * phi - v - ex) / (2 * d * d) - (x - a) / (GLICKO_TAU * GLICKO_TAU);
+		};
+		var A = a, B;
+		if (delta * delta > phi * phi + v) {
+			B = Math.log(delta * delta - phi * phi - v);
+		} else {
+			var k = 1;
+			while (f(a - k * GLICKO_TAU) < 0) k++;
+			B = a - k * GLICKO_TAU;
+		}
+		var fA = f(A), fB = f(B);
+		for (var i = 0; i < 100 && Math.abs(B - A) > 0.000001; i++) {
+			var C = A + (A - B) * fA / (fB - fA);
+			var fC = f(C);
+			if (fC * fB < 0) {
+				A = B;
+				fA = fB;
+			} else {
+				fA = fA / 2;
+			}
+			B = C;
+			fB = fC;
+		}
+		var newSigma = Math.exp(A / 2);
+
+		var phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+		var newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+		var newMu = mu + newPhi * newPhi * g * (score - E);
+
+		return {
+			gr: newMu * GLICKO_SCALE + DEFAULT_RATING,
+			rd: clampIntRange(newPhi * GLICKO_SCALE, MIN_DEVIATION, DEFAULT_DEVIATION),
+			vol: newSigma
+		};
+	};
+
+	var Ladders = {};
+
+	Ladders.get = function(formatid) {
+		formatid = toId(formatid);
+		if (!ladders[formatid]) ladders[formatid] = new Ladder(formatid);
+		return ladders[formatid];
+	};
+
+	Ladders.Ladder = Ladder;
+	Ladders.DEFAULT_RATING = DEFAULT_RATING;
+	Ladders.DEFAULT_DEVIATION = DEFAULT_DEVIATION;
+	Ladders.MIN_DEVIATION = MIN_DEVIATION;
+
+	return Ladders;
+})();
@@ -0,0 +1,181 @@
+/**
+ * League points
+ * Pokemon Showdown - http://pokemonshowdown.com/
+ *
+ * Awards league points for tournament placements, using the point tables
+ * in config.tourpoints, and keeps a leaderboard for each season.
+ *
+ * Everything is stored in config/league.json, next to chatrooms.json.
+ * Past seasons are kept when a new one starts, so their leaderboards can
+ * still be looked up.
+ *
+ * @license MIT license
+ */
+
+const LEAGUE_FILE = 'config/league.json';
+
+const DEFAULT_POINTS = [10, 6, 4, 4, 2, 2, 2, 2];
+
+module.exports = (function() {
+	var data = {
+		season: 1,
+		seasons: {}
+	};
+	try {
+		data = JSON.parse(fs.readFileSync(LEAGUE_FILE));
+	} catch (e) {} // file doesn't exist [yet]
+
+	var getSeason = function(season) {
+		if (!season) season = data.season;
+		if (!data.seasons[season]) {
+			if (season != data.season) return null;
+			data.seasons[season] = {
+				started: Date.now(),
+				ended: 0,
+				players: {},
+				tours: []
+			};
+		}
+		return data.seasons[season];
+	};
+
+	var writing = false;
+	var writePending = false;
+	var save = function() {
+		if (writing) {
+			writePending = true;
+			return;
+		}
+		writing = true;
+		var json = JSON.stringify(data);
+		var finishWriting = function() {
+			writing = false;
+			if (writePending) {
+				writePending = false;
+				save();
+			}
+		};
+		fs.writeFile(LEAGUE_FILE + '.0', json, function() {
+			// rename is atomic on POSIX, but will throw an error on Windows
+			fs.rename(LEAGUE_FILE + '.0', LEAGUE_FILE, function(err) {
+				if (err) {
+					// This should only happen on Windows.
+					fs.writeFile(LEAGUE_FILE, json, finishWriting);
+					return;
+				}
+				finishWriting();
+			});
+		});
+	};
+
+	/**
+	 * The points table for a tier: points for 1st, 2nd, 3rd...
+	 */
+	var getTable = function(tier) {
+		var tables = config.tourpoints || {};
+		return tables[toId(tier)] || tables['default'] || DEFAULT_POINTS;
+	};
+
+	/**
+	 * Awards points for a finished tournament.
+	 *
+	 * `placings` is a list of groups of entrants who tied for a place,
+	 * best first. Each entrant is a list of players (more than one only
+	 * in team tournaments, where every member gets the team's points),
+	 * and each player is [userid, name]. Returns the points each player
+	 * got, as a list of [name, points] in the same order.
+	 */
+	var award = function(roomid, tier, placings) {
+		var season = getSeason();
+		var table = getTable(tier);
+		var awarded = [];
+		var place = 1;
+		for (var i = 0; i < placings.length; i++) {
+			var points = table[place - 1] || 0;
+			for (var j = 0; j < placings[i].length; j++) {
+				for (var k = 0; k < placings[i][j].length; k++) {
+					var userid = placings[i][j][k][0];
+					var name = placings[i][j][k][1];
+					var entry = season.players[userid];
+					if (!entry) {
+						entry = season.players[userid] = {
+							name: name,
+							points: 0,
+							tiers: {},
+							tours: 0,
+							wins: 0
+						};
+					}
+					entry.name = name;
+					entry.points += points;
+					entry.tiers[tier] = (entry.tiers[tier] || 0) + points;
+					entry.tours++;
+					if (place === 1) entry.wins++;
+					awarded.push([name, points]);
+				}
+			}
+			// a tie for 2nd between two entrants means the next place is 4th
+			place += placings[i].length;
+		}
+		season.tours.push({
+			room: roomid,
+			tier: tier,
+			date: Date.now(),
+			placings: placings.map(function(group) {
+				var names = [];
+				for (var j = 0; j < group.length; j++) {
+					for (var k = 0; k < group[j].length; k++) names.push(group[j][k][1]);
+				}
+				return names;
+			})
+		});
+		save();
+		return awarded;
+	};
+
+	/**
+	 * Sorted list of [userid, entry, points] for a season (the current one
+	 * by default), counting only points from `tier` if it's given.
+	 * Returns null if there's no such season.
+	 */
+	var getLeaderboard = function(season, tier) {
+		var seasonData = getSeason(season);
+		if (!seasonData) return null;
+		tier = toId(tier);
+		var list = [];
+		for (var userid in seasonData.players) {
+			var entry = seasonData.players[userid];
+			var points = (tier ? entry.tiers[tier] || 0 : entry.points);
+			if (tier && !(tier in entry.tiers)) continue;
+			list.push([userid, entry, points]);
+		}
+		list.sort(function(a, b) {
+			if (a[2] !== b[2]) return b[2] - a[2];
+			return b[1].wins - a[1].wins;
+		});
+		return list;
+	};
+
+	/**
+	 * Ends the current season and starts the next one. Returns the number
+	 * of the new season.
+	 */
+	var newSeason = function() {
+		getSeason().ended = Date.now();
+		data.season++;
+		getSeason();
+		save();
+		return data.season;
+	};
+
+	return {
+		award: award,
+		getTable: getTable,
+		getLeaderboard: getLeaderboard,
+		getSeason: getSeason,
+		currentSeason: function() {
+			return data.season;
+		},
+		newSeason: newSeason
+	};
+})();
@@ -326,8 +326,7 @@ exports.BattleMovedex = {
 					this.effectData.duration++;
 				}
 				var moves = pokemon.moves;
-				moves = moves.randomize();
-				var move = this.getMove(moves[0]);
+				var move = this.getMove(moves[this.random(moves.length)]);
 				this.add('-start', pokemon, 'Disable', move.name);
 				this.effectData.move = move.id;
 				return;
@@ -712,15 +711,11 @@ exports.BattleMovedex = {
 			if (source.transformed) return false;
 			var moveslot = source.moves.indexOf('mimic');
 			if (moveslot === -1) return false;
-			var moves = target.moves;
-			moves = moves.randomize();
-			for (var i=0; i<moves.length; i++) {
-				if (!(moves[i] in disallowedMoves)) {
-					var move = moves[i];
-					break;
-				}
-			}
-			var move = this.getMove(move);
+			var moves = target.moves.filter(function(move) {
+				return !(move in disallowedMoves);
+			});
+			if (!moves.length) return false;
+			var move = this.getMove(moves[this.random(moves.length)]);
 			source.moveset[moveslot] = {
 				move: move.name,
 				id: move.id,
@@ -645,7 +645,7 @@ exports.BattleScripts = {
 			// Last, we check deppending on ratio if the move hits
 			if (critRatio) {
 				critRatio = critRatio.floor();
-				var random = Math.random() * 100;
+				var random = this.random() * 100;
 				move.crit = (random.floor() <= critRatio);
 			}
 		}
@@ -726,7 +726,7 @@ exports.BattleScripts = {
 		}
 
 		// Randomizer, it's a number between 217 and 255
-		var randFactor = Math.floor(Math.random()*39)+217;
+		var randFactor = this.random(217, 256);
 		baseDamage *= Math.floor(randFactor * 100 / 255) / 100;
 
 		// If damage is less than 1, we return 1
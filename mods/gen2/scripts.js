@@ -178,7 +178,7 @@ exports.BattleScripts = {
 		}
 
 		// Randomizer, it's a number between 217 and 255
-		var randFactor = Math.floor(Math.random()*39)+217;
+		var randFactor = this.random(217, 256);
 		baseDamage *= Math.floor(randFactor * 100 / 255) / 100;
 
 		// If damage is less than 1, we return 1
@@ -1622,7 +1622,7 @@ exports.BattleMovedex = {
 					var illusionMove = this.getMove(illusionMove);
 					return illusionMove.category !== 'Status';
 				}, this);
-				if (illusionMoves.length) move.name = this.getMove(illusionMoves.sample()).name;
+				if (illusionMoves.length) move.name = this.getMove(illusionMoves[this.random(illusionMoves.length)]).name;
 			}
 		}
 	},
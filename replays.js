@@ -0,0 +1,245 @@
+/**
+ * Replays
+ * Pokemon Showdown - http://pokemonshowdown.com/
+ *
+ * Stores replays saved with /savereplay on this server, instead of
+ * uploading them to the replay server, and serves them over HTTP:
+ *
+ *   /replay/BATTLEID        a page that plays the replay back
+ *   /replay/BATTLEID.json   the replay itself, log and all
+ *
+ * BATTLEID is the battle room's id without the "battle-", like
+ * "ou-1234". Replays are stored in logs/replays/BATTLEID.json
+ *
+ * @license MIT license
+ */
+
+const REPLAY_DIR = 'logs/replays/';
+
+module.exports = (function() {
+	var isValidId = function(id) {
+		return /^[a-z0-9]+-[0-9]+$/.test(id);
+	};
+
+	/**
+	 * Saves a replay of `room` using the given log (an array of lines).
+	 * Calls back with the replay's id, or with false if it couldn't be
+	 * written.
+	 */
+	var save = function(room, log, callback) {
+		var id = room.id.substr(7);
+		var replay = {
+			id: id,
+			format: room.format,
+			p1: room.p1 ? room.p1.name : '',
+			p2: room.p2 ? room.p2.name : '',
+			uploadtime: Math.floor(Date.now() / 1000),
+			log: log.join('\n')
+		};
+		if (!isValidId(id)) {
+			callback(false);
+			return;
+		}
+		fs.mkdir(REPLAY_DIR, '0755', function() {
+			fs.writeFile(REPLAY_DIR + id + '.json', JSON.stringify(replay), function(err) {
+				if (err) {
+					console.log('Could not save replay ' + id + ': ' + err.message);
+					callback(false);
+					return;
+				}
+				callback(id);
+			});
+		});
+	};
+
+	var get = function(id, callback) {
+		if (!isValidId(id)) {
+			callback(null);
+			return;
+		}
+		fs.readFile(REPLAY_DIR + id + '.json', {encoding: 'utf8'}, function(err, data) {
+			if (err) {
+				callback(null);
+				return;
+			}
+			var replay = null;
+			try {
+				replay = JSON.parse(data);
+			} catch (e) {}
+			callback(replay);
+		});
+	};
+
+	var getUrl = function(id) {
+		return (config.replayurl || '/replay/') + id;
+	};
+
+	/**
+	 * Handles an HTTP request for `path`, which is the part of the URL
+	 * after "/replay/". Calls `notFound` if there's no such replay.
+	 */
+	var serve = function(path, response, notFound) {
+		path = path.split('?')[0];
+		var isJSON = false;
+		if (path.substr(-5) === '.json') {
+			isJSON = true;
+			path = path.slice(0, -5);
+		}
+		get(path, function(replay) {
+			if (!replay) {
+				notFound();
+				return;
+			}
+			if (isJSON) {
+				response.writeHead(200, {
+					'Content-Type': 'application/json; charset=utf-8',
+					'Access-Control-Allow-Origin': '*'
+				});
+				response.end(JSON.stringify(replay));
+				return;
+			}
+			response.writeHead(200, {'Content-Type': 'text/html; charset=utf-8'});
+			response.end(renderPlayer(replay));
+		});
+	};
+
+	var renderPlayer = function(replay) {
+		var title = sanitize(replay.format) + ' replay: ' + sanitize(replay.p1) + ' vs. ' + sanitize(replay.p2);
+		// the log goes in a <script> block, so it mustn't be able to close it
+		var log = replay.log.replace(/<\//g, '<\\/');
+		return [
+			'<!DOCTYPE html>',
+			'<meta charset="utf-8" />',
+			'<title>' + title + '</title>',
+			'<style>',
+			'body { font-family: Verdana, sans-serif; font-size: 10pt; max-width: 640px; margin: 0 auto; padding: 10px; }',
+			'#controls button { margin-right: 4px; }',
+			'#battle { border: 1px solid #AAAAAA; padding: 8px; height: 400px; overflow: auto; margin-top: 8px; }',
+			'#battle h2 { font-size: 11pt; margin: 10px 0 4px 0; border-bottom: 1px solid #CCCCCC; }',
+			'#battle p { margin: 2px 0; }',
+			'#battle .chat { color: #666666; }',
+			'</style>',
+			'<h1>' + title + '</h1>',
+			'<p><a href="' + sanitize(replay.id) + '.json">Download the log</a></p>',
+			'<div id="controls">',
+			'<button id="first">&laquo; First</button><button id="prev">&lsaquo; Prev</button>',
+			'<button id="play">Play</button>',
+			'<button id="next">Next &rsaquo;</button><button id="last">Last &raquo;</button>',
+			' <span id="turn"></span>',
+			'</div>',
+			'<div id="battle"></div>',
+			'<script type="text/plain" id="log">' + log + '</script>',
+			'<script>',
+			PLAYER_SCRIPT,
+			'</script>',
+			''
+		].join('\n');
+	};
+
+	// The player splits the log up by turn and shows everything up to
+	// the current turn as text. It's intentionally simple; anything it
+	// doesn't understand is skipped.
+	var PLAYER_SCRIPT = [
+		'(function() {',
+		'	var lines = document.getElementById("log").textContent.replace(/<\\\\\\\//g, "</").split("\\n");',
+		'	var names = {};',
+		'	var turns = [[]];',
+		'	for (var i = 0; i < lines.length; i++) {',
+		'		var parts = lines[i].split("|");',
+		'		if (parts[1] === "turn") turns.push([]);',
+		'		turns[turns.length - 1].push(parts);',
+		'	}',
+		'	var pokemon = function(id) {',
+		'		id = id || "";',
+		'		var side = id.substr(0, 2);',
+		'		var name = id.substr(id.indexOf(":") + 1).trim();',
+		'		return names[side] ? names[side] + "\'s " + name : name;',
+		'	};',
+		'	var describe = function(parts) {',
+		'		switch (parts[1]) {',
+		'		case "player": if (parts[3]) names[parts[2]] = parts[3]; return "";',
+		'		case "switch": case "drag": return pokemon(parts[2]) + " came in! (" + parts[3].split(",")[0] + ")";',
+		'		case "move": return pokemon(parts[2]) + " used " + parts[3] + "!";',
+		'		case "-damage": return pokemon(parts[2]) + " took damage (" + parts[3] + ")" + (parts[4] ? " " + parts[4] : "") + ".";',
+		'		case "-heal": return pokemon(parts[2]) + " restored HP (" + parts[3] + ")" + (parts[4] ? " " + parts[4] : "") + ".";',
+		'		case "faint": return pokemon(parts[2]) + " fainted!";',
+		'		case "-supereffective": return "It\'s super effective!";',
+		'		case "-resisted": return "It\'s not very effective...";',
+		'		case "-immune": return "It doesn\'t affect " + pokemon(parts[2]) + "...";',
+		'		case "-crit": return "A critical hit!";',
+		'		case "-miss": return pokemon(parts[2]) + "\'s attack missed!";',
+		'		case "-fail": return "But it failed!";',
+		'		case "-status": return pokemon(parts[2]) + " got status: " + parts[3] + ".";',
+		'		case "-curestatus": return pokemon(parts[2]) + " was cured of " + parts[3] + ".";',
+		'		case "-boost": return pokemon(parts[2]) + "\'s " + parts[3] + " rose by " + parts[4] + ".";',
+		'		case "-unboost": return pokemon(parts[2]) + "\'s " + parts[3] + " fell by " + parts[4] + ".";',
+		'		case "-weather": return parts[2] === "none" ? "The weather cleared." : "Weather: " + parts[2] + (parts[3] ? " " + parts[3] : "") + ".";',
+		'		case "-message": case "message": return parts.slice(2).join("|");',
+		'		case "c": case "chat": return {chat: parts[2] + ": " + parts.slice(3).join("|")};',
+		'		case "win": return parts[2] + " won the battle!";',
+		'		case "tie": return "The battle ended in a tie.";',
+		'		}',
+		'		return "";',
+		'	};',
+		'	var battle = document.getElementById("battle");',
+		'	var current = 0;',
+		'	var render = function() {',
+		'		battle.innerHTML = "";',
+		'		names = {};',
+		'		for (var t = 0; t <= current; t++) {',
+		'			for (var i = 0; i < turns[t].length; i++) {',
+		'				var parts = turns[t][i];',
+		'				var el;',
+		'				if (parts[1] === "turn") {',
+		'					el = document.createElement("h2");',
+		'					el.textContent = "Turn " + parts[2];',
+		'				} else {',
+		'					var text = describe(parts);',
+		'					if (!text) continue;',
+		'					el = document.createElement("p");',
+		'					if (text.chat) {',
+		'						el.className = "chat";',
+		'						text = text.chat;',
+		'					}',
+		'					el.textContent = text;',
+		'				}',
+		'				battle.appendChild(el);',
+		'			}',
+		'		}',
+		'		battle.scrollTop = battle.scrollHeight;',
+		'		document.getElementById("turn").textContent = current ? "Turn " + current + " of " + (turns.length - 1) : "Start of battle";',
+		'	};',
+		'	var go = function(turn) {',
+		'		current = Math.max(0, Math.min(turns.length - 1, turn));',
+		'		render();',
+		'	};',
+		'	var timer = null;',
+		'	var stop = function() {',
+		'		clearInterval(timer);',
+		'		timer = null;',
+		'		document.getElementById("play").textContent = "Play";',
+		'	};',
+		'	document.getElementById("first").onclick = function() { stop(); go(0); };',
+		'	document.getElementById("prev").onclick = function() { stop(); go(current - 1); };',
+		'	document.getElementById("next").onclick = function() { stop(); go(current + 1); };',
+		'	document.getElementById("last").onclick = function() { stop(); go(turns.length - 1); };',
+		'	document.getElementById("play").onclick = function() {',
+		'		if (timer) return stop();',
+		'		if (current >= turns.length - 1) go(0);',
+		'		this.textContent = "Pause";',
+		'		timer = setInterval(function() {',
+		'			if (current >= turns.length - 1) return stop();',
+		'			go(current + 1);',
+		'		}, 2000);',
+		'	};',
+		'	go(0);',
+		'})();'
+	].join('\n');
+
+	return {
+		save: save,
+		get: get,
+		getUrl: getUrl,
+		serve: serve
+	};
+})();
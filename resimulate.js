@@ -0,0 +1,124 @@
+/**
+ * Battle re-simulator
+ * Pokemon Showdown - http://pokemonshowdown.com/
+ *
+ * Plays a logged battle again from its starting seed and the messages
+ * the battle received, and checks that it comes out the same way:
+ *
+ *   node resimulate.js logs/YYYY-MM/FORMAT/YYYY-MM-DD/ROOMID.log.json
+ *
+ * This prints the re-simulated battle turn by turn, then either says it
+ * matched the logged battle or shows the first line that doesn't. Add
+ * a turn number to stop after that turn instead.
+ *
+ * Only battles logged with a seed and an inputLog (see
+ * Battle.prototype.sendUpdates in battle-engine.js) can be re-simulated.
+ *
+ * @license MIT license
+ */
+
+var BattleEngine = require('./battle-engine.js');
+var Battle = BattleEngine.Battle;
+
+/**
+ * Re-simulates the battle in `logData` (a parsed .log.json file).
+ *
+ * Returns the battle's replay log, as an array of lines.
+ */
+var resimulate = function(logData) {
+	if (!logData.seed || !logData.inputLog) {
+		throw new Error("This battle was logged without a seed, so it can't be re-simulated.");
+	}
+
+	// nothing to send to; updates are read from battle.log instead
+	Battle.prototype.send = function() {};
+
+	var battle = Battle.construct('resimulation', logData.format, true);
+	battle.seed = logData.seed.slice();
+
+	// random teams are generated with Math.random, so use the ones the
+	// battle actually had
+	var teams = [logData.p1team, logData.p2team];
+	var getTeam = battle.getTeam;
+	battle.getTeam = function(side, team) {
+		if (teams[side.n]) return teams[side.n];
+		return getTeam.call(this, side, team);
+	};
+
+	for (var i = 0; i < logData.inputLog.length; i++) {
+		var message = logData.inputLog[i];
+		var more = '';
+		var nlIndex = message.indexOf('\n');
+		if (nlIndex > 0) {
+			more = message.substr(nlIndex + 1);
+			message = message.substr(0, nlIndex);
+		}
+		battle.receive([battle.id].concat(message.split('|')), more);
+	}
+	return replayLog(battle.log);
+};
+
+/**
+ * The replay log (exact damage) from a battle's log, like
+ * BattleRoom.prototype.getLog(3) in rooms.js.
+ */
+var replayLog = function(log) {
+	var result = [];
+	for (var i = 0; i < log.length; i++) {
+		if (log[i] === '|split') {
+			result.push(log[i + 4]);
+			i += 4;
+		} else {
+			result.push(log[i]);
+		}
+	}
+	return result;
+};
+
+/**
+ * Index of the first line where the two logs differ, or -1 if they
+ * are the same.
+ */
+var findDivergence = function(log, expected) {
+	var length = Math.max(log.length, expected.length);
+	for (var i = 0; i < length; i++) {
+		if (log[i] !== expected[i]) return i;
+	}
+	return -1;
+};
+
+exports.resimulate = resimulate;
+exports.replayLog = replayLog;
+exports.findDivergence = findDivergence;
+
+if (require.main === module) {
+	var file = process.argv[2];
+	var lastTurn = parseInt(process.argv[3], 10) || 0;
+	if (!file) {
+		console.log('Usage: node resimulate.js BATTLELOG.log.json [turn]');
+		process.exit(1);
+	}
+	var logData = JSON.parse(fs.readFileSync(file, 'utf8'));
+	var log = resimulate(logData);
+
+	for (var i = 0; i < log.length; i++) {
+		if (log[i].substr(0, 6) === '|turn|') {
+			if (lastTurn && parseInt(log[i].substr(6), 10) > lastTurn) break;
+			console.log('');
+		}
+		console.log(log[i]);
+	}
+	if (lastTurn) process.exit(0);
+
+	console.log('');
+	var expected = logData.log || [];
+	var divergence = findDivergence(log, expected);
+	if (divergence < 0) {
+		console.log('The re-simulated battle matches the log (' + log.length + ' lines).');
+		process.exit(0);
+	}
+	console.log('The re-simulated battle differs from the log at line ' + (divergence + 1) + ':');
+	console.log('  logged:       ' + (expected[divergence] === undefined ? '(end of log)' : expected[divergence]));
+	console.log('  re-simulated: ' + (log[divergence] === undefined ? '(end of log)' : log[divergence]));
+	process.exit(1);
+}
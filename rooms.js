@@ -260,12 +260,12 @@ var GlobalRoom = (function() {
 		}
 		return success;
 	};
-	GlobalRoom.prototype.searchBattle = function(user, formatid) {
+	GlobalRoom.prototype.searchBattle = function(user, formatid, teamName) {
 		if (!user.connected) return;
 
 		formatid = toId(formatid);
 
-		if (!user.prepBattle(formatid, 'search')) return;
+		if (!user.prepBattle(formatid, 'search', null, teamName)) return;
 
 		// tell the user they've started searching
 		var newSearchData = {
@@ -298,6 +298,10 @@ var GlobalRoom = (function() {
 		var searchRange = 250, formatid = search1.formatid, elapsed = Math.abs(search1.time-search2.time);
 		if (formatid === 'ou' || formatid === 'oucurrent' || formatid === 'randombattle') searchRange = 150;
 		searchRange += elapsed/300; // +1 every .3 seconds
+		// be more lenient with players whose ratings we aren't sure of yet
+		var ladder = Ladders.get(formatid);
+		var deviation = ladder.getDeviation(user1.userid) + ladder.getDeviation(user2.userid);
+		searchRange += (deviation - 2*Ladders.MIN_DEVIATION)/4;
 		if (searchRange > 1200) searchRange = 1200;
 		if (Math.abs(search1.rating - search2.rating) > searchRange) return false;
 
@@ -495,6 +499,43 @@ var GlobalRoom = (function() {
 			rooms.lobby.add('|b|'+newRoom.id+'|'+p1.getIdentity()+'|'+p2.getIdentity());
 		}
 	};
+	/**
+	 * Starts a multi battle: `players` are p1 to p4, where p3 and p4 are
+	 * p1's and p2's partners, and `teams` are their teams in that order.
+	 */
+	GlobalRoom.prototype.startMultiBattle = function(players, format, teams) {
+		players = players.map(function(player) {
+			return Users.get(player);
+		});
+		for (var i=0; i<players.length; i++) {
+			if (!players[i]) return false;
+			if (players.indexOf(players[i]) !== i) return false;
+		}
+		if (this.lockdown) {
+			for (var i=0; i<players.length; i++) {
+				players[i].popup("The server is shutting down. Battles cannot be started at this time.");
+			}
+			return false;
+		}
+
+		var i = this.lastBattle+1;
+		var formaturlid = format.toLowerCase().replace(/[^a-z0-9]+/g,'');
+		while(rooms['battle-'+formaturlid+i]) {
+			i++;
+		}
+		this.lastBattle = i;
+		var newRoom = this.addRoom('battle-'+formaturlid+'-'+i, format, players[0], players[1], this.id, false);
+		for (var i=0; i<players.length; i++) {
+			players[i].joinRoom(newRoom);
+		}
+		for (var i=0; i<players.length; i++) {
+			newRoom.joinBattle(players[i], teams[i]);
+		}
+		if (config.reportbattles && rooms.lobby) {
+			rooms.lobby.add('|b|'+newRoom.id+'|'+players[0].getIdentity()+'|'+players[1].getIdentity());
+		}
+		return true;
+	};
 	GlobalRoom.prototype.addRoom = function(room, format, p1, p2, parent, rated) {
 		room = newRoom(room, format, p1, p2, parent, rated);
 		if (this.id in room.i) return;
@@ -524,6 +565,13 @@ var GlobalRoom = (function() {
 })();
 
 var BattleRoom = (function() {
+	// messages in a battle's log that come from the room rather than the
+	// battle itself
+	var roomMessageTypes = {chat: 1, c: 1, join: 1, j: 1, J: 1, leave: 1, l: 1, L: 1, raw: 1, html: 1, inactive: 1, inactiveoff: 1};
+	function isRoomMessage(line) {
+		return !!roomMessageTypes[line.split('|')[1]];
+	}
+
 	function BattleRoom(roomid, format, p1, p2, parentid, rated) {
 		this.id = roomid;
 		this.title = ""+p1.name+" vs. "+p2.name;
@@ -554,20 +602,44 @@ var BattleRoom = (function() {
 		this.p1 = p1 || '';
 		this.p2 = p2 || '';
 
-		this.sideTicksLeft = [21, 21];
-		if (!rated) this.sideTicksLeft = [28,28];
-		this.sideTurnTicks = [0, 0];
-
 		this.log = [];
 	}
 	BattleRoom.prototype.type = 'battle';
 
+	// the battle timer, while it's on
 	BattleRoom.prototype.resetTimer = null;
 	BattleRoom.prototype.resetUser = '';
+	// The battle timer is a chess clock. Once it's started, each side's
+	// clock runs while we're waiting for that side's decision, and they
+	// lose when it runs out.
+	//   timer: the settings, from getTimerSettings
+	//   timeLeft: each side's time bank, in ms
+	//   turnTimeLeft: how long each side has for its current decision
+	//   clockStart: when each side's clock was last charged, or 0 if it
+	//     isn't running
+	BattleRoom.prototype.timer = null;
+	BattleRoom.prototype.timeLeft = null;
+	BattleRoom.prototype.turnTimeLeft = null;
+	BattleRoom.prototype.clockStart = null;
+	// The battle timer's defaults, in seconds, for formats that don't set
+	// `timer` in config/formats.js: each player's time bank, the most
+	// they can take over one decision, and the time added to their bank
+	// with each request.
+	BattleRoom.prototype.ratedTimer = {bank: 210, turn: 150, increment: 10};
+	BattleRoom.prototype.unratedTimer = {bank: 280, turn: 300, increment: 10};
 	BattleRoom.prototype.destroyTimer = null;
 	BattleRoom.prototype.active = false;
 	BattleRoom.prototype.lastUpdate = 0;
 
+	// Tournaments can keep spectators from relaying information to the
+	// players: spectatorDelay keeps spectators that many turns behind the
+	// battle, and hideInfo hides the teams shown at team preview from them
+	// until the battle is over. Chat isn't delayed.
+	BattleRoom.prototype.spectatorDelay = 0;
+	BattleRoom.prototype.hideInfo = false;
+	// how far into the log spectators have been sent the battle
+	BattleRoom.prototype.spectatorUpdate = 0;
+
 	BattleRoom.prototype.push = function(message) {
 		if (typeof message === 'string') {
 			this.log.push(message);
@@ -593,8 +665,6 @@ var BattleRoom = (function() {
 			var p2 = rated.p2;
 			if (Users.getExact(rated.p2)) p2 = Users.getExact(rated.p2).name;
 
-			//update.updates.push('[DEBUG] uri: '+config.loginserver+'action.php?act=ladderupdate&serverid='+config.serverid+'&p1='+encodeURIComponent(p1)+'&p2='+encodeURIComponent(p2)+'&score='+p1score+'&format='+toId(rated.format)+'&servertoken=[token]');
-
 			if (!rated.p1 || !rated.p2) {
 				this.push('|raw|ERROR: Ladder not updated: a player does not exist');
 			} else {
@@ -602,58 +672,33 @@ var BattleRoom = (function() {
 				if (winner && !winner.authenticated) {
 					this.send('|askreg|' + winner.userid, winner);
 				}
-				var p1rating, p2rating;
 				// update rankings
 				this.push('|raw|Ladder updating...');
 				var self = this;
-				LoginServer.request('ladderupdate', {
-					p1: p1,
-					p2: p2,
-					score: p1score,
-					format: toId(rated.format)
-				}, function(data, statusCode, error) {
+				Ladders.get(rated.format).updateRating(p1, p2, p1score, function(p1rating, p2rating) {
 					if (!self.battle) {
 						console.log('room expired before ladder update was received');
 						return;
 					}
-					if (!data) {
-						self.addRaw('Ladder (probably) updated, but score could not be retrieved ('+error+').');
-						self.update();
-						// log the battle anyway
-						if (!Tools.getFormat(self.format).noLog) {
-							self.logBattle(p1score);
-						}
-						return;
-					} else {
-						try {
-							p1rating = data.p1rating;
-							p2rating = data.p2rating;
-
-							//self.add("Ladder updated.");
-
-							var oldacre = Math.round(data.p1rating.oldacre);
-							var acre = Math.round(data.p1rating.acre);
-							var reasons = ''+(acre-oldacre)+' for '+(p1score>.99?'winning':(p1score<.01?'losing':'tying'));
-							if (reasons.substr(0,1) !== '-') reasons = '+'+reasons;
-							self.addRaw(sanitize(p1)+'\'s rating: '+oldacre+' &rarr; <strong>'+acre+'</strong><br />('+reasons+')');
-
-							var oldacre = Math.round(data.p2rating.oldacre);
-							var acre = Math.round(data.p2rating.acre);
-							var reasons = ''+(acre-oldacre)+' for '+(p1score>.99?'losing':(p1score<.01?'winning':'tying'));
-							if (reasons.substr(0,1) !== '-') reasons = '+'+reasons;
-							self.addRaw(sanitize(p2)+'\'s rating: '+oldacre+' &rarr; <strong>'+acre+'</strong><br />('+reasons+')');
-
-							Users.get(p1).cacheMMR(rated.format, data.p1rating);
-							Users.get(p2).cacheMMR(rated.format, data.p2rating);
-							self.update();
-						} catch(e) {
-							self.addRaw('There was an error calculating rating changes.');
-							self.update();
-						}
 
-						if (!Tools.getFormat(self.format).noLog) {
-							self.logBattle(p1score, p1rating, p2rating);
-						}
+					var oldelo = Math.round(p1rating.oldelo);
+					var elo = Math.round(p1rating.elo);
+					var reasons = ''+(elo-oldelo)+' for '+(p1score>.99?'winning':(p1score<.01?'losing':'tying'));
+					if (reasons.substr(0,1) !== '-') reasons = '+'+reasons;
+					self.addRaw(sanitize(p1)+'\'s rating: '+oldelo+' &rarr; <strong>'+elo+'</strong><br />('+reasons+')');
+
+					var oldelo = Math.round(p2rating.oldelo);
+					var elo = Math.round(p2rating.elo);
+					var reasons = ''+(elo-oldelo)+' for '+(p1score>.99?'losing':(p1score<.01?'winning':'tying'));
+					if (reasons.substr(0,1) !== '-') reasons = '+'+reasons;
+					self.addRaw(sanitize(p2)+'\'s rating: '+oldelo+' &rarr; <strong>'+elo+'</strong><br />('+reasons+')');
+
+					if (Users.get(p1)) Users.get(p1).cacheMMR(rated.format, p1rating);
+					if (Users.get(p2)) Users.get(p2).cacheMMR(rated.format, p2rating);
+					self.update();
+
+					if (!Tools.getFormat(self.format).noLog) {
+						self.logBattle(p1score, p1rating, p2rating);
 					}
 				});
 			}
@@ -679,10 +724,67 @@ var BattleRoom = (function() {
 		return log;
 	};
 	BattleRoom.prototype.getLogForUser = function(user) {
-		var slot = this.battle.getSlot(user);
-		if (slot < 0) slot = 2;
+		var slot = this.battle.getSide(user);
+		if (slot < 0) {
+			if (this.spectatorDelay || this.hideInfo) return this.getSpectatorLog(0, 0);
+			slot = 2;
+		}
 		return this.getLog(slot);
 	};
+	/**
+	 * The log index spectators can see the battle up to: everything up to
+	 * the start of the turn `spectatorDelay` turns ago.
+	 */
+	BattleRoom.prototype.getSpectatorCutoff = function() {
+		if (!this.spectatorDelay || this.battle.ended) return this.log.length;
+		var cutoff = this.log.length;
+		var turnsBack = 0;
+		for (var i = this.log.length - 1; i >= 0; --i) {
+			if (this.log[i].substr(0, 6) !== '|turn|') continue;
+			if (turnsBack++ === this.spectatorDelay) return i + 1;
+			// not that many turns yet: stop before the first one
+			cutoff = i;
+		}
+		return cutoff;
+	};
+	/**
+	 * The spectator log from index `start` on, for battles with a spectator
+	 * delay or hidden information. Battle messages stop at the cutoff, but
+	 * room messages (chat, joins and so on) from index `roomStart` on are
+	 * all included.
+	 */
+	BattleRoom.prototype.getSpectatorLog = function(start, roomStart) {
+		var cutoff = this.getSpectatorCutoff();
+		var hideInfo = this.hideInfo && !this.battle.ended;
+		var log = [];
+		for (var i = start; i < this.log.length; ++i) {
+			var line = this.log[i];
+			if (line === '|split') {
+				if (i < cutoff) log.push(this.log[i + 3]);
+				i += 4;
+			} else if (isRoomMessage(line)) {
+				if (i >= roomStart) log.push(line);
+			} else if (i < cutoff && !(hideInfo && line.substr(0, 6) === '|poke|')) {
+				log.push(line);
+			}
+		}
+		return log;
+	};
+	/**
+	 * The lines before index `end` that hideInfo kept from spectators.
+	 */
+	BattleRoom.prototype.getHiddenLines = function(end) {
+		var lines = [];
+		for (var i = 0; i < end; ++i) {
+			var line = this.log[i];
+			if (line === '|split') {
+				i += 4;
+			} else if (line.substr(0, 6) === '|poke|') {
+				lines.push(line);
+			}
+		}
+		return lines;
+	};
 	BattleRoom.prototype.update = function(excludeUser) {
 		if (this.log.length <= this.lastUpdate) return;
 		var logs = [[], [], []];
@@ -700,6 +802,15 @@ var BattleRoom = (function() {
 				logs[2].push(line);
 			}
 		}
+		if (this.spectatorDelay || this.hideInfo) {
+			logs[2] = this.getSpectatorLog(this.spectatorUpdate, this.lastUpdate);
+			if (this.hideInfo && this.battle.ended) {
+				// the battle's over, so spectators can see team preview now
+				logs[2] = this.getHiddenLines(this.spectatorUpdate).concat(logs[2]);
+				this.hideInfo = false;
+			}
+			this.spectatorUpdate = this.getSpectatorCutoff();
+		}
 		var roomid = this.id;
 		var self = this;
 		logs = logs.map(function(log) {
@@ -710,10 +821,12 @@ var BattleRoom = (function() {
 		var hasUsers = false;
 		for (var i in this.users) {
 			var user = this.users[i];
-			hasUsers = true;
+			// AI players never leave, so they don't keep the room open
+			if (!user.botDifficulty) hasUsers = true;
 			if (user === excludeUser) continue;
-			var slot = this.battle.getSlot(user);
+			var slot = this.battle.getSide(user);
 			if (slot < 0) slot = 2;
+			if (!logs[slot]) continue;
 			this.send(logs[slot], user);
 		}
 
@@ -745,7 +858,9 @@ var BattleRoom = (function() {
 			fs.mkdir(curpath, '0755', function() {
 				curpath += '/'+logsubfolder;
 				fs.mkdir(curpath, '0755', function() {
-					fs.writeFile(curpath+'/'+self.id+'.log.json', JSON.stringify(logData));
+					fs.writeFile(curpath+'/'+self.id+'.log.json', JSON.stringify(logData), function() {
+						BattleIndex.add(self.id, tier, logsubfolder, logData);
+					});
 				});
 			});
 		}); // asychronicity
@@ -763,6 +878,7 @@ var BattleRoom = (function() {
 	};
 	BattleRoom.prototype.tryDestroy = function() {
 		for (var i in this.users) {
+			if (this.users[i].botDifficulty) continue;
 			// don't destroy ourselves if there are users in this room
 			// theoretically, Room.update should've stopped tryDestroy's timer
 			// well before we get here
@@ -800,10 +916,9 @@ var BattleRoom = (function() {
 		if (!message) message = ' forfeited.';
 
 		if (side === undefined) {
-			if (user && user.userid === this.battle.playerids[0]) side = 0;
-			if (user && user.userid === this.battle.playerids[1]) side = 1;
+			side = this.battle.getSide(user);
+			if (side < 0) return false;
 		}
-		if (side === undefined) return false;
 
 		var ids = ['p1', 'p2'];
 		var otherids = ['p2', 'p1'];
@@ -823,67 +938,111 @@ var BattleRoom = (function() {
 		this.update();
 		return true;
 	};
-	BattleRoom.prototype.kickInactive = function() {
+	BattleRoom.prototype.getTimerSettings = function() {
+		var timer = Tools.getFormat(this.format).timer || {};
+		var defaults = (this.rated ? this.ratedTimer : this.unratedTimer);
+		return {
+			bank: timer.bank || defaults.bank,
+			turn: timer.turn || defaults.turn,
+			increment: (timer.increment !== undefined ? timer.increment : defaults.increment)
+		};
+	};
+	/**
+	 * The time `side` has left to make its current decision, in ms: its
+	 * bank or the per-turn limit, whichever runs out first.
+	 */
+	BattleRoom.prototype.getTimeLeft = function(side) {
+		return Math.max(Math.min(this.timeLeft[side], this.turnTimeLeft[side]), 0);
+	};
+	/**
+	 * Takes the time spent since the last call off the clocks that are
+	 * running.
+	 */
+	BattleRoom.prototype.chargeClocks = function() {
+		var now = Date.now();
+		for (var i=0; i<2; i++) {
+			if (!this.clockStart[i]) continue;
+			this.timeLeft[i] -= now - this.clockStart[i];
+			this.turnTimeLeft[i] -= now - this.clockStart[i];
+			this.clockStart[i] = now;
+		}
+	};
+	/**
+	 * Runs the clocks of the sides we're waiting for, and stops the other
+	 * ones. Called whenever a side makes or undoes a decision.
+	 */
+	BattleRoom.prototype.runClocks = function() {
+		if (!this.resetTimer) return;
+		this.chargeClocks();
+		var inactiveSide = this.getInactiveSide();
+		var now = Date.now();
+		for (var i=0; i<2; i++) {
+			if (inactiveSide < 0 || inactiveSide === i) {
+				if (!this.clockStart[i]) this.clockStart[i] = now;
+			} else {
+				this.clockStart[i] = 0;
+			}
+		}
+		this.scheduleTimer();
+	};
+	BattleRoom.prototype.scheduleTimer = function() {
+		clearTimeout(this.resetTimer);
+		// tick every 10 seconds, or when the first clock runs out
+		var delay = 10*1000;
+		for (var i=0; i<2; i++) {
+			if (this.clockStart[i]) delay = Math.min(delay, this.getTimeLeft(i));
+		}
+		this.resetTimer = setTimeout(this.tickTimer.bind(this), delay);
+	};
+	BattleRoom.prototype.tickTimer = function() {
 		clearTimeout(this.resetTimer);
 		this.resetTimer = null;
 
 		if (!this.battle || this.battle.ended || !this.battle.started) return false;
 
-		var inactiveSide = this.getInactiveSide();
-
-		var ticksLeft = [0, 0];
-		if (inactiveSide != 1) {
-			// side 0 is inactive
-			this.sideTurnTicks[0]--;
-			this.sideTicksLeft[0]--;
-		}
-		if (inactiveSide != 0) {
-			// side 1 is inactive
-			this.sideTurnTicks[1]--;
-			this.sideTicksLeft[1]--;
-		}
-		ticksLeft[0] = Math.min(this.sideTurnTicks[0], this.sideTicksLeft[0]);
-		ticksLeft[1] = Math.min(this.sideTurnTicks[1], this.sideTicksLeft[1]);
-
-		if (ticksLeft[0] && ticksLeft[1]) {
-			if (inactiveSide == 0 || inactiveSide == 1) {
-				// one side is inactive
-				var inactiveTicksLeft = ticksLeft[inactiveSide];
-				var inactiveUser = this.battle.getPlayer(inactiveSide);
-				if (inactiveTicksLeft % 3 == 0 || inactiveTicksLeft <= 4) {
-					this.send('|inactive|'+(inactiveUser?inactiveUser.name:'Player '+(inactiveSide+1))+' has '+(inactiveTicksLeft*10)+' seconds left.');
-				}
-			} else {
-				// both sides are inactive
-				var inactiveUser0 = this.battle.getPlayer(0);
-				if (ticksLeft[0] % 3 == 0 || ticksLeft[0] <= 4) {
-					this.send('|inactive|'+(inactiveUser0?inactiveUser0.name:'Player 1')+' has '+(ticksLeft[0]*10)+' seconds left.', inactiveUser0);
-				}
-
-				var inactiveUser1 = this.battle.getPlayer(1);
-				if (ticksLeft[1] % 3 == 0 || ticksLeft[1] <= 4) {
-					this.send('|inactive|'+(inactiveUser1?inactiveUser1.name:'Player 2')+' has '+(ticksLeft[1]*10)+' seconds left.', inactiveUser1);
+		this.chargeClocks();
+
+		var timedOut = -1;
+		for (var i=0; i<2; i++) {
+			if (!this.clockStart[i] || this.getTimeLeft(i) > 0) continue;
+			if (timedOut < 0 || this.timeLeft[i] < this.timeLeft[timedOut]) timedOut = i;
+		}
+
+		if (timedOut < 0) {
+			var inactiveSide = this.getInactiveSide();
+			for (var i=0; i<2; i++) {
+				if (!this.clockStart[i]) continue;
+				var secondsLeft = Math.ceil(this.getTimeLeft(i)/1000);
+				if (Math.round(secondsLeft/10) % 3 && secondsLeft > 40) continue;
+				// in multi battles, both partners share their side's clock
+				var players = this.battle.getSidePlayers(i);
+				var names = players.map(function(player) {
+					return player.name;
+				}).join(' and ');
+				var message = '|inactive|'+(names||'Player '+(i+1))+(players.length > 1 ? ' have ' : ' has ')+secondsLeft+' seconds left.';
+				if (inactiveSide < 0) {
+					// both sides are inactive: only tell each player their own time
+					for (var j=0; j<players.length; j++) {
+						this.send(message, players[j]);
+					}
+				} else {
+					this.send(message);
 				}
 			}
-			this.resetTimer = setTimeout(this.kickInactive.bind(this), 10*1000);
+			this.scheduleTimer();
 			return;
 		}
 
-		if (inactiveSide < 0) {
-			if (ticksLeft[0]) inactiveSide = 1;
-			else if (ticksLeft[1]) inactiveSide = 0;
-		}
-
-		this.forfeit(this.battle.getPlayer(inactiveSide),' lost due to inactivity.', inactiveSide);
+		this.forfeit(this.battle.getPlayer(timedOut),' lost due to inactivity.', timedOut);
 		this.resetUser = '';
 
 		if (this.parentid) {
 			getRoom(this.parentid).updateRooms();
 		}
 	};
-	BattleRoom.prototype.requestKickInactive = function(user, force) {
+	BattleRoom.prototype.startTimer = function(user, force) {
 		if (this.resetTimer) {
-			this.send('|inactive|The inactivity timer is already counting down.', user);
+			this.send('|inactive|The battle timer is already running.', user);
 			return false;
 		}
 		if (user) {
@@ -892,50 +1051,52 @@ var BattleRoom = (function() {
 			this.send('|inactive|Battle timer is now ON: inactive players will automatically lose when time\'s up. (requested by '+user.name+')');
 		}
 
-		// a tick is 10 seconds
-
-		var maxTicksLeft = 15; // 2 minutes 30 seconds
+		if (!this.timer) {
+			this.timer = this.getTimerSettings();
+			this.timeLeft = [this.timer.bank*1000, this.timer.bank*1000];
+		}
+		this.clockStart = [0, 0];
+		this.startTurn();
+		return true;
+	};
+	/**
+	 * Starts the clocks for a new request: the sides we're waiting for
+	 * get their increment and a fresh per-turn limit.
+	 */
+	BattleRoom.prototype.startTurn = function() {
+		var turn = this.timer.turn;
 		if (!this.battle.p1 || !this.battle.p2) {
-			// if a player has left, don't wait longer than 6 ticks (1 minute)
-			maxTicksLeft = 6;
+			// if a player has left, don't wait longer than a minute
+			turn = Math.min(turn, 60);
 		}
-		if (!this.rated) maxTicksLeft = 30;
-
-		this.sideTurnTicks = [maxTicksLeft, maxTicksLeft];
+		this.turnTimeLeft = [turn*1000, turn*1000];
 
 		var inactiveSide = this.getInactiveSide();
-		if (inactiveSide < 0) {
-			// add 10 seconds to bank if they're below 160 seconds
-			if (this.sideTicksLeft[0] < 16) this.sideTicksLeft[0]++;
-			if (this.sideTicksLeft[1] < 16) this.sideTicksLeft[1]++;
-		}
-		this.sideTicksLeft[0]++;
-		this.sideTicksLeft[1]++;
-		if (inactiveSide != 1) {
-			// side 0 is inactive
-			var ticksLeft0 = Math.min(this.sideTicksLeft[0] + 1, maxTicksLeft);
-			this.send('|inactive|You have '+(ticksLeft0*10)+' seconds to make your decision.', this.battle.getPlayer(0));
-		}
-		if (inactiveSide != 0) {
-			// side 1 is inactive
-			var ticksLeft1 = Math.min(this.sideTicksLeft[1] + 1, maxTicksLeft);
-			this.send('|inactive|You have '+(ticksLeft1*10)+' seconds to make your decision.', this.battle.getPlayer(1));
+		var now = Date.now();
+		for (var i=0; i<2; i++) {
+			this.clockStart[i] = 0;
+			if (inactiveSide >= 0 && inactiveSide !== i) continue;
+			this.clockStart[i] = now;
+			this.timeLeft[i] += this.timer.increment*1000;
+			var message = '|inactive|You have '+Math.ceil(this.getTimeLeft(i)/1000)+' seconds to make your decision ('+Math.ceil(this.timeLeft[i]/1000)+' seconds left in total).';
+			var players = this.battle.getSidePlayers(i);
+			for (var j=0; j<players.length; j++) {
+				this.send(message, players[j]);
+			}
 		}
-
-		this.resetTimer = setTimeout(this.kickInactive.bind(this), 10*1000);
-		return true;
+		this.scheduleTimer();
 	};
-	BattleRoom.prototype.nextInactive = function() {
+	BattleRoom.prototype.nextTimerTurn = function() {
 		if (this.resetTimer) {
 			this.update();
-			clearTimeout(this.resetTimer);
-			this.resetTimer = null;
-			this.requestKickInactive();
+			this.chargeClocks();
+			this.startTurn();
 		}
 	};
-	BattleRoom.prototype.stopKickInactive = function(user, force) {
+	BattleRoom.prototype.stopTimer = function(user, force) {
 		if (!force && user && user.userid !== this.resetUser) return false;
 		if (this.resetTimer) {
+			this.chargeClocks();
 			clearTimeout(this.resetTimer);
 			this.resetTimer = null;
 			this.send('|inactiveoff|Battle timer is now OFF.');
@@ -1042,7 +1203,11 @@ var BattleRoom = (function() {
 		rooms.global.battleCount += (this.battle.active?1:0) - (this.active?1:0);
 		this.active = this.battle.active;
 		if (this.active) {
-			this.title = ""+this.battle.p1+" vs. "+this.battle.p2;
+			if (this.battle.players.length > 2) {
+				this.title = ""+this.battle.p1+" & "+this.battle.p3+" vs. "+this.battle.p2+" & "+this.battle.p4;
+			} else {
+				this.title = ""+this.battle.p1+" vs. "+this.battle.p2;
+			}
 			this.send('|title|'+this.title);
 		}
 		this.update();
@@ -15,6 +15,7 @@ var simulators = {};
 
 var SimulatorProcess = (function() {
 	function SimulatorProcess() {
+		var self = this;
 		this.process = require('child_process').fork('battle-engine.js');
 		this.process.on('message', function(message) {
 			var lines = message.split('\n');
@@ -23,6 +24,10 @@ var SimulatorProcess = (function() {
 				sim.receive(lines);
 			}
 		});
+		this.process.on('exit', function() {
+			// processes we're done with exit when we disconnect them
+			if (self.active) SimulatorProcess.replace(self);
+		});
 		this.send = this.process.send.bind(this.process);
 	}
 	SimulatorProcess.prototype.load = 0;
@@ -34,12 +39,35 @@ var SimulatorProcess = (function() {
 			this.processes.push(new SimulatorProcess());
 		}
 	};
+	// Battles in progress are moved to the new processes from their last
+	// snapshot (see Simulator.prototype.reattach), so they use the new
+	// code too.
 	SimulatorProcess.respawn = function() {
-		this.processes.splice(0).forEach(function(process) {
+		var oldProcesses = this.processes.splice(0);
+		oldProcesses.forEach(function(process) {
 			process.active = false;
-			if (!process.load) process.process.disconnect();
 		});
 		this.spawn();
+		for (var id in simulators) {
+			if (oldProcesses.indexOf(simulators[id].process) >= 0) {
+				simulators[id].reattach();
+			}
+		}
+		oldProcesses.forEach(function(process) {
+			if (!process.load && process.process.connected) process.process.disconnect();
+		});
+	};
+	// Called when a process exits by itself, which means it crashed.
+	SimulatorProcess.replace = function(process) {
+		console.log('A simulator process exited; restoring its battles in a new one.');
+		process.active = false;
+		var index = this.processes.indexOf(process);
+		if (index >= 0) this.processes.splice(index, 1, new SimulatorProcess());
+		for (var id in simulators) {
+			if (simulators[id].process === process) {
+				simulators[id].reattach();
+			}
+		}
 	};
 	SimulatorProcess.acquire = function() {
 		var process = this.processes[0];
@@ -53,7 +81,7 @@ var SimulatorProcess = (function() {
 	};
 	SimulatorProcess.release = function(process) {
 		--process.load;
-		if (!process.load && !process.active) {
+		if (!process.load && !process.active && process.process.connected) {
 			process.process.disconnect();
 		}
 	};
@@ -82,14 +110,23 @@ var Simulator = (function(){
 		this.format = toId(format);
 		this.players = [null, null];
 		this.playerids = [null, null];
+		if (this.getFormat().gameType === 'multi') {
+			// p3 and p4 are p1's and p2's partners
+			this.players = [null, null, null, null];
+			this.playerids = [null, null, null, null];
+		}
 		this.playerTable = {};
 		this.requests = {};
+		this.rated = rated?'1':'';
 
 		this.process = SimulatorProcess.acquire();
 
 		simulators[id] = this;
 
-		this.send('init', this.format, rated?'1':'');
+		this.send('init', this.format, this.rated);
+		this.inputs = [];
+		this.snapshotLog = [];
+		this.snapshotInputLog = [];
 	}
 
 	Simulator.prototype.id = '';
@@ -105,6 +142,18 @@ var Simulator = (function(){
 
 	Simulator.prototype.requests = null;
 
+	// The battle's latest snapshot, and everything sent to it since then.
+	// inputCount is how many messages have been sent to it altogether, and
+	// logLength how many lines of its log we've received.
+	Simulator.prototype.snapshot = '';
+	Simulator.prototype.inputs = null;
+	// the battle's log and inputLog as of the latest snapshot, which
+	// leaves them out
+	Simulator.prototype.snapshotLog = null;
+	Simulator.prototype.snapshotInputLog = null;
+	Simulator.prototype.inputCount = 0;
+	Simulator.prototype.logLength = 0;
+
 	// log information
 	Simulator.prototype.logData = null;
 	Simulator.prototype.endType = 'normal';
@@ -113,7 +162,30 @@ var Simulator = (function(){
 		return Tools.getFormat(this.format);
 	};
 	Simulator.prototype.send = function() {
-		this.process.send(''+this.id+'|'+slice.call(arguments).join('|'));
+		var message = slice.call(arguments).join('|');
+		if (this.inputs) {
+			this.inputs.push(message);
+			this.inputCount++;
+		}
+		this.process.send(''+this.id+'|'+message);
+	};
+	/**
+	 * Restores the battle in a new simulator process, from its last
+	 * snapshot and the messages sent to it since.
+	 */
+	Simulator.prototype.reattach = function() {
+		var oldProcess = this.process;
+		this.process = SimulatorProcess.acquire();
+		var seen = {
+			log: this.snapshotLog,
+			inputLog: this.snapshotInputLog,
+			inputs: this.inputs,
+			logLength: this.logLength,
+			rqid: this.rqid,
+			ended: this.ended
+		};
+		this.process.send(''+this.id+'|restore|'+this.format+'|'+this.rated+'\n'+JSON.stringify(seen)+'\n'+this.snapshot);
+		SimulatorProcess.release(oldProcess);
 	};
 	Simulator.prototype.sendFor = function(user, action) {
 		var player = this.playerTable[toUserid(user)];
@@ -125,7 +197,7 @@ var Simulator = (function(){
 		this.send.apply(this, [action, player].concat(slice.call(arguments, 2)));
 	};
 	Simulator.prototype.sendForOther = function(user, action) {
-		var opposite = {'p1':'p2', 'p2':'p1'}
+		var opposite = {'p1':'p2', 'p2':'p1', 'p3':'p2', 'p4':'p1'}
 		var player = this.playerTable[toUserid(user)];
 		if (!player) return;
 
@@ -137,16 +209,18 @@ var Simulator = (function(){
 	Simulator.prototype.receive = function(lines) {
 		switch (lines[1]) {
 		case 'update':
-			this.active = !this.ended && this.p1 && this.p2;
+			this.logLength += lines.length - 2;
+			this.active = !this.ended && this.isFull();
 			this.room.push(lines.slice(2));
 			this.room.update();
 			if (this.inactiveQueued) {
-				this.room.nextInactive();
+				this.room.nextTimerTurn();
 				this.inactiveQueued = false;
 			}
 			break;
 
 		case 'winupdate':
+			this.logLength += lines.length - 3;
 			this.started = true;
 			this.ended = true;
 			this.active = false;
@@ -179,8 +253,20 @@ var Simulator = (function(){
 			this.logData = JSON.parse(lines[2]);
 			break;
 
+		case 'snapshot':
+			// the snapshot has every message up to number lines[2], and
+			// lines[3] has what was added to the log and inputLog since
+			// the last one
+			var added = JSON.parse(lines[3]);
+			this.snapshotLog.push.apply(this.snapshotLog, added.log);
+			this.snapshotInputLog.push.apply(this.snapshotInputLog, added.inputLog);
+			this.snapshot = lines[4];
+			this.inputs.splice(0, this.inputs.length - (this.inputCount - parseInt(lines[2], 10)));
+			break;
+
 		case 'inactiveside':
 			this.inactiveSide = parseInt(lines[2], 10);
+			this.room.runClocks();
 			break;
 		}
 	};
@@ -208,14 +294,25 @@ var Simulator = (function(){
 	};
 
 	Simulator.prototype.isEmpty = function() {
-		if (this.p1) return false;
-		if (this.p2) return false;
+		for (var i=0; i<this.players.length; i++) {
+			if (this.players[i]) return false;
+		}
 		return true;
 	};
 
 	Simulator.prototype.isFull = function() {
-		if (this.p1 && this.p2) return true;
-		return false;
+		for (var i=0; i<this.players.length; i++) {
+			if (!this.players[i]) return false;
+		}
+		return true;
+	};
+	/**
+	 * Which side (0 or 1) a player is on, or -1 for spectators.
+	 */
+	Simulator.prototype.getSide = function(user) {
+		var slot = this.getSlot(user);
+		if (slot < 0) return -1;
+		return slot % 2;
 	};
 
 	Simulator.prototype.setPlayer = function(user, slot) {
@@ -256,6 +353,17 @@ var Simulator = (function(){
 		}
 		return this.players[slot];
 	};
+	/**
+	 * The players on side `side` (0 or 1): just the one, except in multi
+	 * battles, where p3 and p4 are p1's and p2's partners.
+	 */
+	Simulator.prototype.getSidePlayers = function(side) {
+		var players = [];
+		for (var i=side; i<this.players.length; i+=2) {
+			if (this.players[i]) players.push(this.players[i]);
+		}
+		return players;
+	};
 	Simulator.prototype.getSlot = function(player) {
 		return this.players.indexOf(player);
 	};
@@ -274,8 +382,9 @@ var Simulator = (function(){
 		if (!this.started) {
 			teamMessage = "\n"+JSON.stringify(team);
 		}
-		if (this.p1 && this.p2) this.started = true;
+		if (this.isFull()) this.started = true;
 		this.sendFor(user, 'join', user.name, user.avatar+teamMessage);
+		if (user.botDifficulty) this.sendFor(user, 'ai', user.botDifficulty);
 		return true;
 	};
 
@@ -304,6 +413,9 @@ var Simulator = (function(){
 	};
 
 	Simulator.prototype.destroy = function() {
+		this.inputs = null;
+		this.snapshotLog = null;
+		this.snapshotInputLog = null;
 		this.send('dealloc');
 
 		this.players = null;
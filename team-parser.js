@@ -0,0 +1,280 @@
+/**
+ * Team parser
+ * Pokemon Showdown - http://pokemonshowdown.com/
+ *
+ * Converts teams between the JSON the client sends (an array of sets,
+ * like Tools.validateTeam takes), the text export players paste:
+ *
+ *   Scizor @ Choice Band
+ *   Ability: Technician
+ *   EVs: 248 HP / 252 Atk / 8 SpD
+ *   Adamant Nature
+ *   - Bullet Punch
+ *   - U-turn
+ *
+ * and the packed form, which fits a team on one line. In the packed
+ * form, sets are separated by ] and each set is:
+ *
+ *   NAME|SPECIES|ITEM|ABILITY|MOVES|NATURE|EVS|GENDER|IVS|SHINY|LEVEL|HAPPINESS
+ *
+ * where SPECIES is left out if it's the same as NAME, ITEM, ABILITY and
+ * MOVES are ids, EVS and IVS are lists of the six stats (blank for 0 EVs
+ * or 31 IVs), SHINY is S or blank, and LEVEL and HAPPINESS are blank for
+ * 100 and 255. Any | or ] in a set's text is left out when packing.
+ *
+ * @license MIT license
+ */
+
+module.exports = (function() {
+	var statIds = ['hp', 'atk', 'def', 'spa', 'spd', 'spe'];
+	var statNames = {hp: 'HP', atk: 'Atk', def: 'Def', spa: 'SpA', spd: 'SpD', spe: 'Spe'};
+
+	/**
+	 * Reads a team in any of the three forms. Returns null if it isn't
+	 * one.
+	 */
+	var parseTeam = function(buf) {
+		buf = string(buf).trim();
+		if (!buf) return null;
+		if (buf.charAt(0) === '[') {
+			try {
+				var team = JSON.parse(buf);
+				return (Array.isArray(team) ? team : null);
+			} catch (e) {
+				return null;
+			}
+		}
+		if (buf.indexOf('\n') < 0 && buf.indexOf('|') >= 0) return unpackTeam(buf);
+		return importTeam(buf);
+	};
+
+	/**
+	 * Reads a team in the text export. Returns null if there are no sets
+	 * in it.
+	 */
+	var importTeam = function(text) {
+		var team = [];
+		var set = null;
+		var lines = string(text).split('\n');
+		for (var i=0; i<lines.length; i++) {
+			var line = lines[i].trim();
+			if (!line || line === '---') {
+				set = null;
+			} else if (!set) {
+				set = {name: '', species: '', item: '', ability: '', moves: [], nature: '', evs: {}, ivs: {}};
+				for (var j=0; j<statIds.length; j++) {
+					set.evs[statIds[j]] = 0;
+					set.ivs[statIds[j]] = 31;
+				}
+				team.push(set);
+
+				var atIndex = line.lastIndexOf(' @ ');
+				if (atIndex >= 0) {
+					set.item = line.substr(atIndex+3).trim();
+					line = line.substr(0, atIndex).trim();
+				}
+				if (line.substr(-4) === ' (M)' || line.substr(-4) === ' (F)') {
+					set.gender = line.substr(-2, 1);
+					line = line.substr(0, line.length-4);
+				}
+				var parenIndex = line.lastIndexOf(' (');
+				if (line.substr(-1) === ')' && parenIndex >= 0) {
+					set.name = line.substr(0, parenIndex);
+					set.species = line.substr(parenIndex+2, line.length-parenIndex-3);
+				} else {
+					set.name = line;
+					set.species = line;
+				}
+				set.species = Tools.getTemplate(set.species).species || set.species;
+			} else if (line.substr(0, 7) === 'Trait: ' || line.substr(0, 9) === 'Ability: ') {
+				set.ability = line.substr(line.indexOf(':')+1).trim();
+			} else if (line.substr(0, 7) === 'Level: ') {
+				set.level = parseInt(line.substr(7), 10);
+			} else if (line.substr(0, 11) === 'Happiness: ') {
+				set.happiness = parseInt(line.substr(11), 10);
+			} else if (line === 'Shiny: Yes') {
+				set.shiny = true;
+			} else if (line.substr(0, 5) === 'EVs: ') {
+				readStats(set.evs, line.substr(5));
+			} else if (line.substr(0, 5) === 'IVs: ') {
+				readStats(set.ivs, line.substr(5));
+			} else if (/^[A-Za-z]+ [Nn]ature/.test(line)) {
+				set.nature = line.substr(0, line.indexOf(' '));
+			} else if (line.charAt(0) === '-' || line.charAt(0) === '~') {
+				var move = line.substr(1).trim();
+				if (move.substr(0, 14) === 'Hidden Power [') {
+					move = 'Hidden Power ' + move.substr(14).replace(']', '');
+				}
+				set.moves.push(move);
+			}
+		}
+		return (team.length ? team : null);
+	};
+
+	/**
+	 * Reads stats like "252 Atk / 4 SpD / 252 Spe" into `stats`.
+	 */
+	var readStats = function(stats, text) {
+		var parts = text.split('/');
+		for (var i=0; i<parts.length; i++) {
+			var part = parts[i].trim();
+			var spaceIndex = part.indexOf(' ');
+			if (spaceIndex < 0) continue;
+			var statid = toId(part.substr(spaceIndex+1));
+			if (!(statid in stats)) continue;
+			var value = parseInt(part.substr(0, spaceIndex), 10);
+			if (!isNaN(value)) stats[statid] = value;
+		}
+	};
+
+	/**
+	 * The text export of a team.
+	 */
+	var exportTeam = function(team) {
+		var buf = '';
+		for (var i=0; i<team.length; i++) {
+			var set = team[i];
+			var species = string(set.species) || string(set.name);
+			if (set.name && set.name !== species) {
+				buf += set.name + ' (' + species + ')';
+			} else {
+				buf += species;
+			}
+			if (set.gender === 'M' || set.gender === 'F') buf += ' (' + set.gender + ')';
+			if (set.item) buf += ' @ ' + Tools.getItem(string(set.item)).name;
+			buf += '\n';
+			if (set.ability) buf += 'Ability: ' + Tools.getAbility(string(set.ability)).name + '\n';
+			if (set.level && set.level != 100) buf += 'Level: ' + set.level + '\n';
+			if (set.shiny) buf += 'Shiny: Yes\n';
+			if (typeof set.happiness === 'number' && set.happiness !== 255) buf += 'Happiness: ' + set.happiness + '\n';
+			var evs = writeStats(set.evs, 0);
+			if (evs) buf += 'EVs: ' + evs + '\n';
+			if (set.nature) buf += set.nature + ' Nature\n';
+			var ivs = writeStats(set.ivs, 31);
+			if (ivs) buf += 'IVs: ' + ivs + '\n';
+			if (set.moves) {
+				for (var j=0; j<set.moves.length; j++) {
+					var move = Tools.getMove(string(set.moves[j])).name || string(set.moves[j]);
+					if (move.substr(0, 13) === 'Hidden Power ') {
+						move = 'Hidden Power [' + move.substr(13) + ']';
+					}
+					buf += '- ' + move + '\n';
+				}
+			}
+			buf += '\n';
+		}
+		return buf.trim();
+	};
+
+	/**
+	 * Stats like "252 Atk / 4 SpD / 252 Spe", leaving out the ones that
+	 * are `defaultValue`.
+	 */
+	var writeStats = function(stats, defaultValue) {
+		if (!stats) return '';
+		var parts = [];
+		for (var i=0; i<statIds.length; i++) {
+			var value = stats[statIds[i]];
+			if (value === undefined || value === defaultValue) continue;
+			parts.push(value + ' ' + statNames[statIds[i]]);
+		}
+		return parts.join(' / ');
+	};
+
+	/**
+	 * The packed form of a team.
+	 */
+	var packTeam = function(team) {
+		var buf = '';
+		for (var i=0; i<team.length; i++) {
+			var set = team[i];
+			if (buf) buf += ']';
+
+			buf += packText(set.name);
+			var speciesid = toId(set.species);
+			buf += '|' + (speciesid === toId(set.name) ? '' : packText(set.species));
+			buf += '|' + toId(set.item);
+			buf += '|' + toId(set.ability);
+			buf += '|' + (set.moves || []).map(toId).join(',');
+			buf += '|' + packText(set.nature);
+
+			var evs = packStats(set.evs, 0);
+			buf += '|' + evs;
+			buf += '|' + packText(set.gender);
+			var ivs = packStats(set.ivs, 31);
+			buf += '|' + ivs;
+			buf += '|' + (set.shiny ? 'S' : '');
+			buf += '|' + (set.level && set.level != 100 ? packText(set.level) : '');
+			buf += '|' + (typeof set.happiness === 'number' && set.happiness !== 255 ? set.happiness : '');
+		}
+		return buf;
+	};
+
+	var packText = function(text) {
+		return string(text).replace(/[\|\]]/g, '');
+	};
+
+	var packStats = function(stats, defaultValue) {
+		if (!stats) return '';
+		var values = [];
+		var allDefault = true;
+		for (var i=0; i<statIds.length; i++) {
+			var value = stats[statIds[i]];
+			if (value === undefined || value === defaultValue) {
+				values.push('');
+			} else {
+				values.push(packText(value).replace(/,/g, ''));
+				allDefault = false;
+			}
+		}
+		return (allDefault ? '' : values.join(','));
+	};
+
+	/**
+	 * Reads a team in the packed form. Returns null if it isn't one.
+	 */
+	var unpackTeam = function(buf) {
+		var team = [];
+		var sets = string(buf).split(']');
+		for (var i=0; i<sets.length; i++) {
+			var parts = sets[i].split('|');
+			if (parts.length !== 12) return null;
+			var set = {
+				name: parts[0],
+				species: Tools.getTemplate(parts[1] || parts[0]).species || parts[1] || parts[0],
+				item: (parts[2] ? Tools.getItem(parts[2]).name || parts[2] : ''),
+				ability: (parts[3] ? Tools.getAbility(parts[3]).name || parts[3] : ''),
+				moves: (parts[4] ? parts[4].split(',') : []).map(function(move) {
+					return Tools.getMove(move).name || move;
+				}),
+				nature: parts[5],
+				evs: unpackStats(parts[6], 0),
+				ivs: unpackStats(parts[8], 31)
+			};
+			if (parts[7]) set.gender = parts[7];
+			if (parts[9]) set.shiny = true;
+			if (parts[10]) set.level = parseInt(parts[10], 10);
+			if (parts[11]) set.happiness = parseInt(parts[11], 10);
+			team.push(set);
+		}
+		return team;
+	};
+
+	var unpackStats = function(buf, defaultValue) {
+		var values = (buf ? buf.split(',') : []);
+		var stats = {};
+		for (var i=0; i<statIds.length; i++) {
+			var value = parseInt(values[i], 10);
+			stats[statIds[i]] = (isNaN(value) ? defaultValue : value);
+		}
+		return stats;
+	};
+
+	return {
+		parseTeam: parseTeam,
+		importTeam: importTeam,
+		exportTeam: exportTeam,
+		packTeam: packTeam,
+		unpackTeam: unpackTeam
+	};
+})();
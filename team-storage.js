@@ -0,0 +1,168 @@
+/**
+ * Team storage
+ * Pokemon Showdown - http://pokemonshowdown.com/
+ *
+ * Keeps registered users' teams on the server, so they're still there
+ * after a disconnect or a restart. Each user can save any number of
+ * named teams for each format (up to MAX_TEAMS in all), and use them
+ * with /challenge, /accept and /search, or with /teams use.
+ *
+ * Everything is stored in config/teams.json, keyed by userid, then
+ * format, then the team name's id. Teams are stored in the packed form
+ * from team-parser.js.
+ *
+ * @license MIT license
+ */
+
+const TEAMS_FILE = 'config/teams.json';
+
+const MAX_TEAMS = 100;
+const MAX_NAME_LENGTH = 40;
+
+module.exports = (function() {
+	var data = {};
+	try {
+		data = JSON.parse(fs.readFileSync(TEAMS_FILE));
+	} catch (e) {} // file doesn't exist [yet]
+
+	var writing = false;
+	var writePending = false;
+	var save = function() {
+		if (writing) {
+			writePending = true;
+			return;
+		}
+		writing = true;
+		var json = JSON.stringify(data);
+		var finishWriting = function() {
+			writing = false;
+			if (writePending) {
+				writePending = false;
+				save();
+			}
+		};
+		fs.writeFile(TEAMS_FILE + '.0', json, function() {
+			// rename is atomic on POSIX, but will throw an error on Windows
+			fs.rename(TEAMS_FILE + '.0', TEAMS_FILE, function(err) {
+				if (err) {
+					// This should only happen on Windows.
+					fs.writeFile(TEAMS_FILE, json, finishWriting);
+					return;
+				}
+				finishWriting();
+			});
+		});
+	};
+
+	var countTeams = function(userid) {
+		var count = 0;
+		for (var formatid in data[userid]) {
+			count += Object.keys(data[userid][formatid]).length;
+		}
+		return count;
+	};
+
+	/**
+	 * A user's saved teams, as a list of {format, name} sorted by format
+	 * and name. Only teams for `formatid` if it's given.
+	 */
+	var getTeams = function(userid, formatid) {
+		var list = [];
+		var formats = data[userid] || {};
+		for (var id in formats) {
+			if (formatid && id !== formatid) continue;
+			for (var nameid in formats[id]) {
+				list.push({format: id, name: formats[id][nameid].name});
+			}
+		}
+		list.sort(function(a, b) {
+			if (a.format !== b.format) return (a.format < b.format ? -1 : 1);
+			return (a.name.toLowerCase() < b.name.toLowerCase() ? -1 : 1);
+		});
+		return list;
+	};
+
+	/**
+	 * A saved team, as an array of sets, or null if there's no team by
+	 * that name.
+	 */
+	var getTeam = function(userid, formatid, name) {
+		var entry = data[userid] && data[userid][formatid] && data[userid][formatid][toId(name)];
+		if (!entry) return null;
+		return TeamParser.unpackTeam(entry.team);
+	};
+
+	/**
+	 * Saves a team, replacing any team with the same name. The team has
+	 * to be valid in the format.
+	 *
+	 * Returns a list of problems, or false if it was saved.
+	 */
+	var saveTeam = function(userid, formatid, name, team) {
+		var format = Tools.getFormat(formatid);
+		name = string(name).trim();
+		if (format.effectType !== 'Format') return ["'"+formatid+"' is not a format."];
+		if (format.team) return [format.name+" doesn't use your own teams."];
+		if (!toId(name)) return ["Your team needs a name."];
+		if (name.length > MAX_NAME_LENGTH) return ["Team names can't be longer than "+MAX_NAME_LENGTH+" characters."];
+
+		var formats = data[userid] || {};
+		var exists = formats[format.id] && formats[format.id][toId(name)];
+		if (!exists && countTeams(userid) >= MAX_TEAMS) {
+			return ["You already have "+MAX_TEAMS+" teams saved. Delete some to make room."];
+		}
+
+		// validateTeam fixes up sets as it goes (nicknames lose the
+		// characters packTeam uses as delimiters, for one), so pack what it
+		// checked
+		var problems = Tools.validateTeam(team, format.id);
+		if (problems) return problems;
+
+		if (!data[userid]) data[userid] = {};
+		if (!data[userid][format.id]) data[userid][format.id] = {};
+		data[userid][format.id][toId(name)] = {name: name, team: TeamParser.packTeam(team)};
+		save();
+		return false;
+	};
+
+	/**
+	 * Returns false if there's no team by that name.
+	 */
+	var deleteTeam = function(userid, formatid, name) {
+		var formats = data[userid];
+		if (!formats || !formats[formatid] || !formats[formatid][toId(name)]) return false;
+		delete formats[formatid][toId(name)];
+		if (!Object.keys(formats[formatid]).length) delete formats[formatid];
+		if (!Object.keys(formats).length) delete data[userid];
+		save();
+		return true;
+	};
+
+	/**
+	 * Returns an error message, or '' if the team was renamed.
+	 */
+	var renameTeam = function(userid, formatid, name, newName) {
+		var formats = data[userid];
+		var entry = formats && formats[formatid] && formats[formatid][toId(name)];
+		newName = string(newName).trim();
+		if (!entry) return "You don't have a team called '"+name+"'.";
+		if (!toId(newName)) return "Your team needs a name.";
+		if (newName.length > MAX_NAME_LENGTH) return "Team names can't be longer than "+MAX_NAME_LENGTH+" characters.";
+		if (toId(newName) !== toId(name) && formats[formatid][toId(newName)]) {
+			return "You already have a team called '"+newName+"'.";
+		}
+		delete formats[formatid][toId(name)];
+		entry.name = newName;
+		formats[formatid][toId(newName)] = entry;
+		save();
+		return '';
+	};
+
+	return {
+		getTeams: getTeams,
+		getTeam: getTeam,
+		saveTeam: saveTeam,
+		deleteTeam: deleteTeam,
+		renameTeam: renameTeam
+	};
+})();
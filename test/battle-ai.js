@@ -0,0 +1,201 @@
+/**
+ * Battle AI tests
+ *
+ *   node test/battle-ai.js
+ */
+
+var assert = require('assert');
+var path = require('path');
+
+process.chdir(path.resolve(__dirname, '..'));
+var runner = require('../battle-runner.js');
+var BattleAI = require('../battle-ai.js');
+// the simulator's crash guard would log a failed assertion and carry on
+process.removeAllListeners('uncaughtException');
+
+var makeSet = function(species, item, moves, level) {
+	return {
+		species: species,
+		name: species,
+		item: item,
+		ability: '',
+		moves: moves,
+		nature: 'Hardy',
+		evs: {hp: 0, atk: 0, def: 0, spa: 0, spd: 0, spe: 0},
+		ivs: {hp: 31, atk: 31, def: 31, spa: 31, spd: 31, spe: 31},
+		level: level || 100
+	};
+};
+
+// Moves with every kind of target, so the AIs have to pick targets in
+// doubles and triples.
+var team = [
+	makeSet('Garchomp', 'Leftovers', ['Earthquake', 'Dragon Claw', 'Rock Slide', 'Protect']),
+	makeSet('Starmie', 'Leftovers', ['Surf', 'Thunderbolt', 'Recover', 'Ice Beam']),
+	makeSet('Togekiss', 'Leftovers', ['Air Slash', 'Helping Hand', 'Roost', 'Aura Sphere']),
+	makeSet('Scizor', 'Leftovers', ['Bullet Punch', 'U-turn', 'Swords Dance', 'Superpower']),
+	makeSet('Heatran', 'Leftovers', ['Heat Wave', 'Earth Power', 'Will-O-Wisp', 'Protect']),
+	makeSet('Blissey', 'Leftovers', ['Seismic Toss', 'Soft-Boiled', 'Toxic', 'Flamethrower'])
+];
+
+// Every choice an AI makes has to be one the player could have made.
+var choices = [];
+var aiChoose = BattleAI.choose;
+BattleAI.choose = function(battle, side, request) {
+	var choice = aiChoose.apply(this, arguments);
+	choices.push(choice);
+	checkChoice(battle, side, request, choice);
+	return choice;
+};
+
+var checkChoice = function(battle, side, request, choice) {
+	if (request.teamPreview) {
+		assert.ok(/^team [1-6]$/.test(choice), "bad team preview choice: " + choice);
+		return;
+	}
+	var parts = choice.split(',');
+	if (request.forceSwitch) {
+		var switchedIn = {};
+		assert.strictEqual(parts.length, side.active.length, choice);
+		for (var i = 0; i < parts.length; i++) {
+			if (parts[i] === 'pass') continue;
+			assert.ok(request.forceSwitch[i], "switched slot " + i + " without having to: " + choice);
+			var slot = parseInt(parts[i].substr(7), 10) - 1;
+			assert.ok(!switchedIn[slot], "switched in slot " + slot + " twice: " + choice);
+			switchedIn[slot] = true;
+			assert.ok(slot >= side.active.length, "switched in an active Pokemon: " + choice);
+			assert.ok(!side.pokemon[slot].fainted, "switched in a fainted Pokemon: " + choice);
+		}
+		return;
+	}
+	if (battle.gameType === 'rotation') {
+		var match = /^(rotate (left|right) )?move ([a-z0-9]+)$/.exec(choice);
+		assert.ok(match, "bad rotation choice: " + choice);
+		var index = (match[2] === 'left' ? 1 : match[2] === 'right' ? 2 : 0);
+		assert.ok(request.active[index], "rotated to a Pokemon that can't move: " + choice);
+		checkMove(battle, side.active[index], request.active[index], match[3], 0);
+		return;
+	}
+	assert.strictEqual(parts.length, side.active.length, choice);
+	for (var i = 0; i < parts.length; i++) {
+		if (parts[i] === 'pass') {
+			assert.ok(!request.active[i] || side.active[i].fainted, "passed with a Pokemon that can move: " + choice);
+			continue;
+		}
+		var words = parts[i].split(' ');
+		assert.strictEqual(words[0], 'move', choice);
+		checkMove(battle, side.active[i], request.active[i], words[1], parseInt(words[2], 10) || 0);
+	}
+};
+
+var checkMove = function(battle, pokemon, active, moveid, targetLoc) {
+	var usable = active.moves.filter(function(move) {
+		return !move.disabled;
+	});
+	if (!usable.length) {
+		// Struggle
+		assert.strictEqual(moveid, '1');
+		return;
+	}
+	var move = null;
+	for (var i = 0; i < usable.length; i++) {
+		if (usable[i].id === moveid) move = usable[i];
+	}
+	assert.ok(move, pokemon.name + " can't use " + moveid);
+	if (targetLoc) {
+		assert.ok(battle.validTargetLoc(targetLoc, pokemon, move.target), pokemon.name + " can't use " + moveid + " on " + targetLoc);
+	}
+};
+
+/**
+ * Plays a battle between two AIs to the end. Returns its log.
+ */
+var playAIBattle = function(formatid, seed, p1ai, p2ai) {
+	var log = [];
+	var battle = runner.createBattle(formatid, {seed: seed, p1team: team, p2team: team}, function(lines) {
+		log = log.concat(lines);
+	});
+	battle.receive([battle.id, 'ai', 'p1', p1ai]);
+	battle.receive([battle.id, 'ai', 'p2', p2ai]);
+	// runAI gives up after 100 choices in a row, so keep it going
+	for (var i = 0; i < 20 && !battle.ended; i++) battle.runAI();
+	battle.flush();
+	assert.ok(battle.ended, formatid + " between " + p1ai + " and " + p2ai + " AIs didn't end by turn " + battle.turn);
+	// an AI that chooses something invalid is switched off
+	assert.strictEqual(battle.p1.ai, p1ai, formatid + ": the " + p1ai + " AI made an invalid choice");
+	assert.strictEqual(battle.p2.ai, p2ai, formatid + ": the " + p2ai + " AI made an invalid choice");
+	assert.ok(log.some(function(line) {
+		return line.substr(0, 5) === '|win|' || line === '|tie';
+	}), formatid + " ended without a winner");
+	return log;
+};
+
+// The hard AI works out how much damage each move does with
+// Battle.getDamage, which runs item events: working out Flamethrower's
+// damage mustn't use up Infernape's Fire Gem, or Scizor's Occa Berry.
+var log = [];
+var battle = runner.createBattle('customgame', {
+	seed: [1, 2, 3, 4],
+	p1team: [makeSet('Scizor', 'Occa Berry', ['Roost'])],
+	p2team: [makeSet('Infernape', 'Fire Gem', ['Flamethrower', 'Close Combat'])]
+}, function(lines) {
+	log = log.concat(lines);
+});
+battle.receive([battle.id, 'ai', 'p2', 'hard']);
+battle.receive([battle.id, 'choose', 'p1', 'team 1']);
+
+var infernape = battle.p2.active[0];
+var scizor = battle.p1.active[0];
+assert.ok(battle.p2.decision, "the AI should have chosen a move");
+assert.strictEqual(infernape.item, 'firegem');
+assert.strictEqual(scizor.item, 'occaberry');
+assert.ok(!infernape.usedItemThisTurn);
+
+battle.receive([battle.id, 'choose', 'p1', 'move 1']);
+battle.flush();
+assert.ok(log.some(function(line) {
+	return /^\|-enditem\|p2a: Infernape\|Fire Gem\|\[from\] gem/.test(line);
+}), "the Fire Gem should be used when Infernape actually attacks");
+assert.ok(log.some(function(line) {
+	return /^\|-enditem\|p1a: Scizor\|Occa Berry\|\[eat\]/.test(line);
+}), "the Occa Berry should be eaten when Infernape actually attacks");
+
+// AI against AI, in every game type
+var formats = ['customgame', 'doublescustomgame', 'triplescustomgame', 'rotationcustomgame'];
+var matchups = [['random', 'normal'], ['normal', 'hard'], ['hard', 'random']];
+for (var i = 0; i < formats.length; i++) {
+	for (var j = 0; j < matchups.length; j++) {
+		playAIBattle(formats[i], [i, j, 7, 11], matchups[j][0], matchups[j][1]);
+	}
+}
+
+// Several Pokemon fainting at once in triples: the AI has to switch in a
+// different Pokemon for each of them.
+var battle = runner.createBattle('triplescustomgame', {
+	seed: [5, 6, 7, 8],
+	p1team: team,
+	p2team: [
+		makeSet('Aerodactyl', '', ['Rock Slide']),
+		makeSet('Tyranitar', '', ['Rock Slide']),
+		makeSet('Terrakion', '', ['Rock Slide'])
+	]
+}, function() {});
+battle.receive([battle.id, 'ai', 'p1', 'hard']);
+battle.receive([battle.id, 'choose', 'p2', 'team 123']);
+var firstActive = battle.p1.active.slice();
+for (var i = 0; i < firstActive.length; i++) firstActive[i].hp = 1;
+choices = [];
+battle.receive([battle.id, 'choose', 'p2', 'move 1, move 1, move 1']);
+assert.ok(firstActive.every(function(pokemon) {
+	return pokemon.fainted;
+}), "all three of p1's Pokemon should have fainted");
+assert.ok(choices.some(function(choice) {
+	return /^switch \d,switch \d,switch \d$/.test(choice);
+}), "the AI should have replaced all three at once");
+assert.strictEqual(battle.p1.ai, 'hard');
+for (var i = 0; i < battle.p1.active.length; i++) {
+	assert.ok(battle.p1.active[i].hp, "p1's slot " + i + " should have been filled");
+	assert.ok(firstActive.indexOf(battle.p1.active[i]) < 0);
+}
+
+console.log('battle-ai: ok');
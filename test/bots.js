@@ -0,0 +1,102 @@
+/**
+ * AI player tests
+ *
+ *   node test/bots.js
+ *
+ * Loads users.js on its own, with a stand-in for rooms.js that records
+ * the battles it's asked to start.
+ */
+
+var assert = require('assert');
+var path = require('path');
+
+process.chdir(path.resolve(__dirname, '..'));
+require('sugar');
+global.fs = require('fs');
+global.config = require('../config/config.js');
+config.bots = {'Test Bot': 'hard'};
+
+global.string = function(str) {
+	if (typeof str === 'string' || typeof str === 'number') return ''+str;
+	return '';
+};
+global.toId = function(text) {
+	if (text && text.id) text = text.id;
+	else if (text && text.userid) text = text.userid;
+	return string(text).toLowerCase().replace(/[^a-z0-9]+/g, '');
+};
+global.toUserid = toId;
+global.toName = function(name) {
+	name = string(name).replace(/[\|\s\[\]\,]+/g, ' ').trim();
+	if (name.length > 18) name = name.substr(0,18).trim();
+	return name;
+};
+global.sanitize = function(str) {
+	return (''+(str||'')).escapeHTML();
+};
+
+var noop = function() {};
+var makeRoom = function(id) {
+	return {
+		id: id,
+		onJoin: noop,
+		onJoinConnection: noop,
+		onRename: noop,
+		onUpdateIdentity: noop,
+		onLeave: noop
+	};
+};
+var battles = [];
+var rooms = {global: makeRoom('global'), lobby: makeRoom('lobby')};
+rooms.global.checkAutojoin = noop;
+rooms.global.startBattle = function(p1, p2, format, rated, p1team, p2team) {
+	battles.push({p1: p1, p2: p2, format: format, rated: rated, p1team: p1team, p2team: p2team});
+};
+global.Rooms = {
+	rooms: rooms,
+	global: rooms.global,
+	get: function(id, fallback) {
+		if (id && id.id) return id;
+		return rooms[id] || rooms[fallback];
+	}
+};
+
+var Users = require('../users.js');
+
+// createBots makes a user for each entry in config.bots, once
+Users.createBots();
+Users.createBots();
+var bot = Users.get('testbot');
+assert.ok(bot, "the bot should exist");
+assert.strictEqual(bot.name, 'Test Bot');
+assert.strictEqual(bot.botDifficulty, 'hard');
+assert.ok(bot.authenticated);
+assert.strictEqual(bot.team, null);
+assert.ok(bot.roomCount['global'], "the bot should be in the global room");
+assert.ok(bot.roomCount['lobby'], "the bot should be in the lobby");
+
+// a challenge to the bot is accepted straight away
+var user = new Users.User(new Users.Connection({write: noop}, true));
+user.forceRename('Challenger', true);
+user.team = '[{"species":"Pikachu","moves":["thunderbolt"]}]';
+user.makeChallenge(bot, 'ou');
+assert.strictEqual(battles.length, 1, "the bot should have accepted the challenge");
+assert.strictEqual(battles[0].p1, bot);
+assert.strictEqual(battles[0].p2, user);
+assert.strictEqual(battles[0].format, 'ou');
+assert.strictEqual(battles[0].rated, false);
+assert.strictEqual(battles[0].p1team, null, "the bot should get a random team");
+assert.strictEqual(battles[0].p2team, user.team);
+assert.strictEqual(user.challengeTo, null);
+assert.ok(!bot.challengesFrom[user.userid]);
+
+// a challenge to anyone else waits for them
+var other = new Users.User(new Users.Connection({write: noop}, true));
+other.forceRename('Someone', true);
+user.lastChallenge = 0;
+user.makeChallenge(other, 'ou');
+assert.strictEqual(battles.length, 1);
+assert.ok(other.challengesFrom[user.userid]);
+
+console.log('bots: ok');
+process.exit(0);
@@ -0,0 +1,79 @@
+/**
+ * League points tests
+ *
+ *   node test/league.js
+ *
+ * Runs in a temporary directory, so it never touches config/league.json.
+ */
+
+var assert = require('assert');
+var path = require('path');
+
+global.fs = require('fs');
+global.config = {};
+global.string = function(str) {
+	if (typeof str === 'string' || typeof str === 'number') return ''+str;
+	return '';
+};
+global.toId = function(text) {
+	return string(text).toLowerCase().replace(/[^a-z0-9]+/g, '');
+};
+
+var leaguePath = path.resolve(__dirname, '../league.js');
+var tmpDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'ps-league-'));
+fs.mkdirSync(path.join(tmpDir, 'config'));
+process.chdir(tmpDir);
+process.on('exit', function() {
+	// by now, League has finished writing config/league.json
+	var configDir = path.join(tmpDir, 'config');
+	fs.readdirSync(configDir).forEach(function(file) {
+		fs.unlinkSync(path.join(configDir, file));
+	});
+	fs.rmdirSync(configDir);
+	fs.rmdirSync(tmpDir);
+});
+
+var League = require(leaguePath);
+
+var team = function(name) {
+	return [1, 2, 3].map(function(i) {
+		return [toId(name + i), name + i];
+	});
+};
+var points = function(awarded) {
+	var byName = {};
+	for (var i = 0; i < awarded.length; i++) byName[awarded[i][0]] = awarded[i][1];
+	return byName;
+};
+
+// singles: two players tied for 3rd, so the next one is 5th
+var awarded = points(League.award('lobby', 'ou', [
+	[[['a', 'A']]],
+	[[['b', 'B']]],
+	[[['c', 'C']], [['d', 'D']]],
+	[[['e', 'E']]]
+]));
+assert.strictEqual(awarded.A, 10);
+assert.strictEqual(awarded.B, 6);
+assert.strictEqual(awarded.C, 4);
+assert.strictEqual(awarded.D, 4);
+assert.strictEqual(awarded.E, 2);
+
+// teams of three: places go by team, and every member gets their
+// team's points
+awarded = points(League.award('lobby', 'ou', [
+	[team('Winner')],
+	[team('Runnerup')],
+	[team('SemiA'), team('SemiB')]
+]));
+['Winner1', 'Winner2', 'Winner3'].forEach(function(name) {
+	assert.strictEqual(awarded[name], 10);
+});
+['Runnerup1', 'Runnerup2', 'Runnerup3'].forEach(function(name) {
+	assert.strictEqual(awarded[name], 6);
+});
+['SemiA1', 'SemiA3', 'SemiB1', 'SemiB3'].forEach(function(name) {
+	assert.strictEqual(awarded[name], 4);
+});
+
+console.log('league: ok');
@@ -14,7 +14,7 @@
 module.exports = (function () {
 	var moddedTools = {};
 
-	var dataTypes = ['FormatsData', 'Learnsets', 'Pokedex', 'Movedex', 'Statuses', 'TypeChart', 'Scripts', 'Items', 'Abilities', 'Formats', 'Aliases'];
+	var dataTypes = ['FormatsData', 'Learnsets', 'Pokedex', 'Movedex', 'Statuses', 'TypeChart', 'Scripts', 'Items', 'Abilities', 'Formats', 'Aliases', 'Points'];
 	var dataFiles = {
 		'Pokedex': 'pokedex.js',
 		'Movedex': 'moves.js',
@@ -26,7 +26,8 @@ module.exports = (function () {
 		'Formats': 'formats.js',
 		'FormatsData': 'formats-data.js',
 		'Learnsets': 'learnsets.js',
-		'Aliases': 'aliases.js'
+		'Aliases': 'aliases.js',
+		'Points': 'points.js'
 	};
 	function Tools(mod) {
 		if (!mod) {
@@ -117,19 +118,49 @@ module.exports = (function () {
 	Tools.prototype.effectToString = function() {
 		return this.name;
 	};
-	Tools.prototype.getImmunity = function(type, target) {
+	/**
+	 * How `targetType` takes damage from `type`, in TypeChart terms: 0 for
+	 * normal damage, 1 for a weakness, 2 for a resistance, 3 for an
+	 * immunity.
+	 *
+	 * A format, or a rule in its ruleset, can change this for attacking
+	 * types (not status or weather immunities) with an
+	 * `effectiveness(damageTaken, type, targetType)` function, like the
+	 * Inverse rule. Battles always use their own format; otherwise, pass
+	 * one.
+	 */
+	Tools.prototype.getDamageTaken = function(type, targetType, format) {
+		if (!this.data.TypeChart[targetType] || !this.data.TypeChart[targetType].damageTaken) return 0;
+		var damageTaken = this.data.TypeChart[targetType].damageTaken[type] || 0;
+		if (!this.data.TypeChart[type] || (!format && !this.format)) return damageTaken;
+
+		format = this.getFormat(format);
+		if (format.effectiveness) {
+			damageTaken = format.effectiveness.call(this, damageTaken, type, targetType);
+		}
+		if (format.ruleset) {
+			for (var i=0; i<format.ruleset.length; i++) {
+				var rule = this.getEffect(format.ruleset[i]);
+				if (rule.effectiveness) {
+					damageTaken = rule.effectiveness.call(this, damageTaken, type, targetType);
+				}
+			}
+		}
+		return damageTaken;
+	};
+	Tools.prototype.getImmunity = function(type, target, format) {
 		for (var i=0; i<target.types.length; i++) {
-			if (this.data.TypeChart[target.types[i]] && this.data.TypeChart[target.types[i]].damageTaken && this.data.TypeChart[target.types[i]].damageTaken[type] === 3) {
+			if (this.getDamageTaken(type, target.types[i], format) === 3) {
 				return false;
 			}
 		}
 		return true;
 	};
-	Tools.prototype.getEffectiveness = function(type, target) {
+	Tools.prototype.getEffectiveness = function(type, target, format) {
 		var totalTypeMod = 0;
 		for (var i=0; i<target.types.length; i++) {
 			if (!this.data.TypeChart[target.types[i]]) continue;
-			var typeMod = this.data.TypeChart[target.types[i]].damageTaken[type];
+			var typeMod = this.getDamageTaken(type, target.types[i], format);
 			if (typeMod === 1) { // super-effective
 				totalTypeMod++;
 			}
@@ -434,6 +465,36 @@ module.exports = (function () {
 		return stats;
 	};
 
+	/**
+	 * Checks whether `template` can learn `move`, alongside the moves
+	 * already checked with the same `lsetData`. Returns false if it can,
+	 * true if it can't learn the move at all, or {type: 'incompatible'}
+	 * or {type: 'oversketched'} if it can't together with the others.
+	 *
+	 * If lsetData.explanations is an array, an explanation of the check
+	 * is added to it (see explainSet):
+	 *
+	 *   {
+	 *     move: "Extreme Speed",
+	 *     result: 'legal', 'unlearnable', 'incompatible' or 'oversketched',
+	 *     ways: [{gen: 4, method: 'event', species: "Dragonite", event: 0}, ...],
+	 *     conflict: (for incompatible moves) {
+	 *       moves: the earlier moves that limited where the Pokemon could be from,
+	 *       sources: where those moves say it's from
+	 *     }
+	 *   }
+	 *
+	 * Each way has a gen, a method ('level-up', 'TM', 'tutor', 'egg',
+	 * 'event', 'Dream World', 'Sketch' or 'Mimic Glitch') and the species
+	 * that learns it that way, and:
+	 *   level-up: level, and tooLow if the set's level is under it
+	 *   Sketch: unsketchable if the move is Chatter or Struggle
+	 *   egg: parents, the species it can be bred from; chainbreed if any
+	 *     parent in its egg groups works (because it can pass the move down
+	 *     to its own egg); or selfOnly if none can, and only an earlier gen
+	 *     of itself could
+	 *   event: event, the index in the species' eventPokemon
+	 */
 	Tools.prototype.checkLearnset = function(move, template, lsetData) {
 		move = toId(move);
 		template = this.getTemplate(template);
@@ -444,6 +505,13 @@ module.exports = (function () {
 		var alreadyChecked = {};
 		var level = set.level || 100;
 
+		var explanation = null;
+		if (lsetData.explanations) {
+			explanation = {move: this.getMove(move).name, result: 'legal', ways: []};
+			lsetData.explanations.push(explanation);
+		}
+		var methods = {L: 'level-up', M: 'TM', T: 'tutor', E: 'egg', S: 'event', D: 'Dream World'};
+
 		var limit1 = true;
 		var sketch = false;
 
@@ -469,7 +537,10 @@ module.exports = (function () {
 		do {
 			alreadyChecked[template.speciesid] = true;
 			// Stabmons hack to avoid copying all of validateSet to formats.
-			if (format.id === 'stabmons' && template.types.indexOf(this.getMove(move).type) > -1) return false;
+			if (format.id === 'stabmons' && template.types.indexOf(this.getMove(move).type) > -1) {
+				if (explanation) explanation.ways.push({gen: 5, method: 'STAB', species: template.species});
+				return false;
+			}
 			if (template.learnset) {
 				if (template.learnset[move] || template.learnset['sketch']) {
 					var lset = template.learnset[move];
@@ -481,17 +552,34 @@ module.exports = (function () {
 
 					for (var i=0, len=lset.length; i<len; i++) {
 						var learned = lset[i];
+						var way = null;
+						if (explanation) {
+							way = {gen: parseInt(learned.substr(0,1),10), method: (sketch ? 'Sketch' : methods[learned.substr(1,1)]), species: template.species};
+							if (learned.substr(1,1) === 'L') way.level = parseInt(learned.substr(2),10);
+							explanation.ways.push(way);
+						}
 						if (learned.substr(0,2) in {'4L':1,'5L':1}) {
 							// gen 4 or 5 level-up moves
 							if (level >= parseInt(learned.substr(2),10)) {
 								// Chatter and Struggle cannot be sketched
-								if (sketch && (move === 'chatter' || move === 'struggle')) return true;
+								if (sketch && (move === 'chatter' || move === 'struggle')) {
+									if (explanation) {
+										way.unsketchable = true;
+										explanation.result = 'unlearnable';
+									}
+									return true;
+								}
 								// we're past the required level to learn it
 								return false;
 							}
+							if (way) way.tooLow = true;
 							if (!template.gender || template.gender === 'F') {
 								// available as egg move
 								learned = learned.substr(0,1)+'Eany';
+								if (way) {
+									way = {gen: way.gen, method: 'egg', species: template.species};
+									explanation.ways.push(way);
+								}
 							} else {
 								// this move is unavailable, skip it
 								continue;
@@ -513,10 +601,12 @@ module.exports = (function () {
 							if (learned.substr(1,1) === 'E') {
 								// it's an egg move, so we add each pokemon that can be bred with to its sources
 								var eggGroups = template.eggGroups;
+								if (way) way.parents = [];
 								if (!eggGroups) continue;
 								if (eggGroups[0] === 'No Eggs') eggGroups = this.getTemplate(template.evos[0]).eggGroups;
 								var atLeastOne = false;
 								var fromSelf = (learned.substr(1) === 'Eany');
+								if (way && fromSelf) way.chainbreed = true;
 								learned = learned.substr(0,2);
 								for (var templateid in this.data.Pokedex) {
 									var dexEntry = this.getTemplate(templateid);
@@ -536,14 +626,19 @@ module.exports = (function () {
 												// we can breed with it
 												atLeastOne = true;
 												sources.push(learned+dexEntry.id);
+												if (way && !fromSelf) way.parents.push(dexEntry.species);
 											}
 										}
 									}
 								}
 								// chainbreeding with itself from earlier gen
-								if (!atLeastOne) sources.push(learned+template.id);
+								if (!atLeastOne) {
+									sources.push(learned+template.id);
+									if (way) way.selfOnly = true;
+								}
 							} else if (learned.substr(1,1) === 'S') {
 								sources.push(learned+' '+template.id);
+								if (way) way.event = parseInt(learned.substr(2),10);
 							} else {
 								sources.push(learned);
 							}
@@ -565,6 +660,7 @@ module.exports = (function () {
 						}
 					}
 					if (getGlitch) {
+						if (explanation) explanation.ways.push({gen: 4, method: 'Mimic Glitch', species: template.species});
 						sourcesBefore = Math.max(sourcesBefore, 4);
 						if (this.getMove(move).gen < 5) {
 							limit1 = false;
@@ -587,6 +683,7 @@ module.exports = (function () {
 		if (limit1 && sketch) {
 			// limit 1 sketch move
 			if (lsetData.sketchMove) {
+				if (explanation) explanation.result = 'oversketched';
 				return {type:'oversketched', maxSketches: 1};
 			}
 			lsetData.sketchMove = move;
@@ -594,6 +691,7 @@ module.exports = (function () {
 
 		// Now that we have our list of possible sources, intersect it with the current list
 		if (!sourcesBefore && !sources.length) {
+			if (explanation) explanation.result = 'unlearnable';
 			return true;
 		}
 		if (!sources.length) sources = null;
@@ -625,12 +723,23 @@ module.exports = (function () {
 			if (lsetData.sources) {
 				var intersectSources = lsetData.sources.intersect(sources);
 				if (!intersectSources.length && !(sourcesBefore && lsetData.sourcesBefore)) {
+					if (explanation) {
+						explanation.result = 'incompatible';
+						explanation.conflict = {
+							moves: (lsetData.limitedBy || []).slice(),
+							sources: lsetData.sources.map(this.describeSource, this).unique()
+						};
+					}
 					return {type:'incompatible'};
 				}
 				lsetData.sources = intersectSources;
 			} else {
 				lsetData.sources = sources.unique();
 			}
+			if (explanation) {
+				if (!lsetData.limitedBy) lsetData.limitedBy = [];
+				lsetData.limitedBy.push(explanation.move);
+			}
 		}
 
 		if (sourcesBefore) {
@@ -639,6 +748,35 @@ module.exports = (function () {
 
 		return false;
 	};
+	/**
+	 * Validates a set like validateSet, and explains how each of its moves
+	 * can or can't be learned, for /checklegal. Returns
+	 * {problems: (a list, or false), moves: [explanation, ...]}, where the
+	 * explanations are described in checkLearnset.
+	 */
+	Tools.prototype.explainSet = function(set, format) {
+		var explanations = [];
+		var problems = this.validateSet(set, format, null, false, explanations);
+		return {problems: problems, moves: explanations};
+	};
+	/**
+	 * A learnset source (an entry of lsetData.sources in checkLearnset),
+	 * in words, like "a gen 5 egg from Dratini" or "gen 4 event #0 of
+	 * Dragonite".
+	 */
+	Tools.prototype.describeSource = function(source) {
+		var gen = source.substr(0,1);
+		switch (source.substr(1,1)) {
+		case 'E':
+			return "a gen "+gen+" egg from "+(this.getTemplate(source.substr(2)).species || source.substr(2));
+		case 'S':
+			var parts = source.substr(2).split(' ');
+			return "gen "+gen+" event #"+parts[0]+" of "+(this.getTemplate(parts[1]).species || parts[1]);
+		case 'D':
+			return "the Dream World";
+		}
+		return "gen "+gen;
+	};
 	Tools.prototype.getBanlistTable = function(format, subformat, depth) {
 		var banlistTable;
 		if (!depth) depth = 0;
@@ -696,6 +834,41 @@ module.exports = (function () {
 		}
 		return banlistTable;
 	};
+	/**
+	 * What a set costs under the Point System rule, going by the costs in
+	 * data/points.js. Returns the cost of each part of the set, and the
+	 * total:
+	 *
+	 *   {species: 400, item: 50, ability: 0, moves: [0, 0, 0, 0], total: 450}
+	 */
+	Tools.prototype.getPoints = function(set) {
+		var costs = this.data.Points;
+		var template = this.getTemplate(string(set.species));
+		var points = {species: 0, item: 0, ability: 0, moves: [], total: 0};
+
+		if (costs.species && costs.species[template.speciesid] !== undefined) {
+			points.species = costs.species[template.speciesid];
+		} else if (costs.tiers && costs.tiers[template.tier]) {
+			points.species = costs.tiers[template.tier];
+		}
+		if (set.item && costs.items) {
+			points.item = costs.items[this.getItem(string(set.item)).id] || 0;
+		}
+		if (set.ability && costs.abilities) {
+			points.ability = costs.abilities[this.getAbility(string(set.ability)).id] || 0;
+		}
+		if (set.moves) {
+			for (var i=0; i<set.moves.length; i++) {
+				points.moves.push((costs.moves && costs.moves[this.getMove(string(set.moves[i])).id]) || 0);
+			}
+		}
+
+		points.total = points.species + points.item + points.ability;
+		for (var i=0; i<points.moves.length; i++) {
+			points.total += points.moves[i];
+		}
+		return points;
+	};
 	Tools.prototype.validateTeam = function(team, format, forceThisMod) {
 		format = this.getFormat(format);
 		if (!forceThisMod && this.isBase && format.mod !== this.currentMod) {
@@ -754,6 +927,7 @@ module.exports = (function () {
 				}
 			}
 		}
+		problems = problems.concat(this.validateBudget(team, format));
 		if (format.validateTeam) {
 			problems = problems.concat(format.validateTeam.call(this, team, format)||[]);
 		}
@@ -761,10 +935,56 @@ module.exports = (function () {
 		if (!problems.length) return false;
 		return problems;
 	};
-	Tools.prototype.validateSet = function(set, format, teamHas, forceThisMod) {
+	/**
+	 * Checks a team against the Budget rules in its format's ruleset.
+	 *
+	 * A Budget rule has a `budget` (which formats can change by setting
+	 * their own `budget`) and a `getCost(set, format)` that returns what
+	 * a set costs, either as a number or as a list of the parts of the set
+	 * that cost something:
+	 *
+	 *   [{name: "Tyranitar", cost: 400}, {name: "Tyranitar's Leftovers", cost: 100}]
+	 *
+	 * so that we can say which part of the team goes over budget.
+	 */
+	Tools.prototype.validateBudget = function(team, format) {
+		var problems = [];
+		if (!format.ruleset) return problems;
+		for (var i=0; i<format.ruleset.length; i++) {
+			var rule = this.getFormat(format.ruleset[i]);
+			if (rule.effectType !== 'Budget' || !rule.getCost) continue;
+			var budget = format.budget || rule.budget;
+			var total = 0;
+			var overBudget = null;
+			for (var j=0; j<team.length; j++) {
+				var parts = rule.getCost.call(this, team[j], format);
+				if (typeof parts === 'number') {
+					parts = [{name: this.getTemplate(string(team[j].species)).species || string(team[j].species), cost: parts}];
+				}
+				for (var k=0; k<parts.length; k++) {
+					total += parts[k].cost;
+					if (!overBudget && total > budget) {
+						overBudget = {name: parts[k].name, cost: parts[k].cost, total: total};
+					}
+				}
+			}
+			if (overBudget) {
+				problems.push("Your team costs "+total+" points, but "+rule.name+" only allows "+budget+".");
+				problems.push("(It goes over budget with "+overBudget.name+", which costs "+overBudget.cost+" and brings the team to "+overBudget.total+".)");
+			}
+		}
+		return problems;
+	};
+	/**
+	 * Checks a set against a format, returning a list of problems, or
+	 * false if it's valid. If `explanations` is an array, explanations of
+	 * how the set's moves can be learned are added to it (see
+	 * checkLearnset).
+	 */
+	Tools.prototype.validateSet = function(set, format, teamHas, forceThisMod, explanations) {
 		format = this.getFormat(format);
 		if (!forceThisMod && this.isBase && format.mod !== this.currentMod) {
-			return this.mod(format).validateSet(set, format, teamHas, true);
+			return this.mod(format).validateSet(set, format, teamHas, true, explanations);
 		}
 		var problems = [];
 		if (!set) {
@@ -804,6 +1024,7 @@ module.exports = (function () {
 		if (set.species !== set.name) name = set.name + " ("+set.species+")";
 		var isDW = false;
 		var lsetData = {set:set, format:format};
+		if (explanations) lsetData.explanations = explanations;
 
 		var setHas = {};
 
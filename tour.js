@@ -1,13 +1,60 @@
 /*********************************************************
  * Functions
  *********************************************************/
+/*
+ * Tournament state lives in tour[roomid], and is plain data so it can be
+ * saved to config/tours.json whenever something happens, and restored
+ * when the server restarts.
+ *
+ * A round is an array of matches: [p1, p2, result, bracket, battle]
+ *   result is undefined if the battle hasn't started, -1 while it's being
+ *   played, and the winner's userid once it's over. A bye is [p1, undefined, p1].
+ *   bracket is only used in double elimination: 'w' (winners bracket),
+ *   'l' (losers bracket) or 'f' (grand final).
+ *   battle is the id of the last battle room the match was played in.
+ *   sets is [p1 wins, p2 wins] in best-of-N tournaments. In team
+ *   tournaments, it's the list of per-slot games instead, each shaped like
+ *   a match of its own: [user1, user2, result, undefined, battle, sets]
+ *
+ * Tournament types:
+ *   single     - single elimination
+ *   double     - double elimination: players are out after two losses
+ *   roundrobin - everyone plays everyone once
+ *   swiss      - a fixed number of rounds, pairing players with similar
+ *                scores; ties are broken by head-to-head, then Buchholz
+ *                (the total score of everyone you played)
+ *
+ * Any of these can be played in best-of-N sets (/toursets), or between
+ * teams (/tourteams). In a team tournament the bracket is made of team ids
+ * ('team-' + the team's name as an id, which can't clash with a userid),
+ * and team matches are played out as one game per slot: the first
+ * members of both teams play each other, then the second ones, and so on.
+ * The team with the most slot wins takes the match.
+ *
+ * Spectators of the tournament's battles can be kept some turns behind
+ * (/tourdelay), or kept from seeing team preview (/tourhideinfo), so they
+ * can't relay anything to the players.
+ */
+const TOURS_FILE = 'config/tours.json';
+
+// how long before a scheduled tournament the room is reminded of it, in minutes
+const SCHEDULE_REMINDERS = [24 * 60, 60, 15];
+const DEFAULT_CHECKIN_TIME = 30;
+
 exports.tour = function(t) {
   if (typeof t != "undefined") var tour = t; else var tour = new Object();
 	var tourStuff = {
 		tiers: new Array(),
+		types: {
+			single: 'Single Elimination',
+			double: 'Double Elimination',
+			roundrobin: 'Round Robin',
+			swiss: 'Swiss'
+		},
 		timerLoop: function() {
 			setTimeout(function() {
 				tour.currentSeconds++;
+				tour.checkSchedules();
 				for (var i in tour.timers) {
 					var c = tour.timers[i];
 					var secondsNeeded = c.time * 60;
@@ -35,6 +82,7 @@ exports.tour = function(t) {
 							}
 						}
 						delete tour.timers[i];
+						tour.save();
 					}
 				}
 				tour.timerLoop();
@@ -44,15 +92,31 @@ exports.tour = function(t) {
 			tour[rid] = {
 				status: 0,
 				tier: undefined,
+				type: 'single',
 				size: 0,
 				roundNum: 0,
+				maxRounds: 0,
 				players: new Array(),
-				winners: new Array(),
-				losers: new Array(),
+				playerslogged: new Array(),
 				round: new Array(),
 				history: new Array(),
 				byes: new Array(),
-				playerslogged: new Array(),
+				dropped: new Array(),
+				losses: new Object(),
+				scores: new Object(),
+				opponents: new Object(),
+				defeated: new Object(),
+				eliminated: new Object(),
+				schedule: new Array(),
+				bestOf: 1,
+				teamSize: 0,
+				spectatorDelay: 0,
+				hideInfo: false,
+				teams: new Object(),
+				seeding: undefined,
+				seeds: new Array(),
+				seedRatings: new Object(),
+				placings: new Array(),
 				battles: new Object(),
 				battlesended: new Array(),
 				battlesinvtie: new Array(),
@@ -61,6 +125,172 @@ exports.tour = function(t) {
 				answers: new Object()
 			};
 		},
+		save: (function() {
+			var writing = false;
+			var writePending = false;
+			var finishWriting = function() {
+				writing = false;
+				if (writePending) {
+					writePending = false;
+					tour.save();
+				}
+			};
+			return function() {
+				if (writing) {
+					writePending = true;
+					return;
+				}
+				writing = true;
+				var data = {rooms: {}, timers: {}, schedules: {}};
+				for (var i in Rooms.rooms) {
+					if (tour[i] && tour[i].status) data.rooms[i] = tour[i];
+				}
+				for (var i in tour.timers) {
+					data.timers[i] = {
+						time: tour.timers[i].time,
+						elapsed: tour.currentSeconds - tour.timers[i].startTime
+					};
+				}
+				for (var i in tour.schedules) {
+					if (Rooms.rooms[i]) data.schedules[i] = tour.schedules[i];
+				}
+				data = JSON.stringify(data);
+				fs.writeFile(TOURS_FILE + '.0', data, function() {
+					// rename is atomic on POSIX, but will throw an error on Windows
+					fs.rename(TOURS_FILE + '.0', TOURS_FILE, function(err) {
+						if (err) {
+							// This should only happen on Windows.
+							fs.writeFile(TOURS_FILE, data, finishWriting);
+							return;
+						}
+						finishWriting();
+					});
+				});
+			};
+		})(),
+		restore: function() {
+			try {
+				var data = JSON.parse(fs.readFileSync(TOURS_FILE));
+			} catch (e) {
+				return; // file doesn't exist [yet]
+			}
+			for (var i in data.rooms) {
+				if (!Rooms.rooms[i]) continue;
+				tour.reset(i);
+				Object.merge(tour[i], data.rooms[i]);
+				// battles in progress didn't survive the restart, so they'll have to be replayed
+				var r = tour[i].round;
+				for (var x = 0; x < r.length; x++) {
+					if (r[x][2] == -1) r[x][2] = undefined;
+					if (!tour[i].teamSize || !r[x][5]) continue;
+					for (var y = 0; y < r[x][5].length; y++) {
+						if (r[x][5][y][2] == -1) r[x][5][y][2] = undefined;
+					}
+				}
+				tour[i].battles = new Object();
+				// the server went down while it was working out the seeds
+				if (tour[i].status == 2 && !tour[i].roundNum) tour.start(i);
+			}
+			for (var i in data.schedules) {
+				if (Rooms.rooms[i]) tour.schedules[i] = data.schedules[i];
+			}
+			for (var i in data.timers) {
+				if (!tour[i] || tour[i].status != 1) continue;
+				tour.timers[i] = {
+					time: data.timers[i].time,
+					startTime: tour.currentSeconds - data.timers[i].elapsed
+				};
+			}
+		},
+		/**
+		 * Parses "YYYY-MM-DD HH:MM" (server time) into a timestamp, or
+		 * returns NaN.
+		 */
+		parseDate: function(date) {
+			var match = /^([0-9]{4})-([0-9]{1,2})-([0-9]{1,2})\s+([0-9]{1,2}):([0-9]{2})$/.exec(date.trim());
+			if (!match) return NaN;
+			return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), Number(match[4]), Number(match[5])).getTime();
+		},
+		formatDate: function(time) {
+			return new Date(time).format('{yyyy}-{MM}-{dd} {HH}:{mm}');
+		},
+		/**
+		 * Called every second: sends reminders for scheduled tournaments,
+		 * opens their check-in, and starts them when it's time.
+		 */
+		checkSchedules: function() {
+			var now = Date.now();
+			for (var i in tour.schedules) {
+				var sched = tour.schedules[i];
+				var room = Rooms.rooms[i];
+				if (!room) continue;
+				if (now >= sched.time) {
+					tour.startScheduled(i);
+					continue;
+				}
+				var minutesLeft = (sched.time - now) / (60 * 1000);
+				var changed = false;
+				// if we were down for a while, only the latest reminder that's due is sent
+				var reminder = 0;
+				for (var j = 0; j < SCHEDULE_REMINDERS.length; j++) {
+					var minutes = SCHEDULE_REMINDERS[j];
+					if (minutesLeft > minutes || sched.reminded.indexOf(minutes) >= 0) continue;
+					sched.reminded.push(minutes);
+					reminder = minutes;
+					changed = true;
+				}
+				if (!sched.checkinOpen && minutesLeft <= sched.checkin) {
+					sched.checkinOpen = true;
+					changed = true;
+					room.add('|raw|<div class="broadcast-blue"><b>Check-in for the ' + sanitize(tour.formatName(sched.tier)) + ' tournament is open!</b> It starts at ' + tour.formatDate(sched.time) + '. Signed up players have to <font color="red">/checkin</font> before then, or they\'ll be dropped. ' + sched.checkedin.length + '/' + sched.signups.length + ' checked in so far.</div>');
+				} else if (reminder) {
+					room.add('|raw|<div class="broadcast-blue"><b>Reminder:</b> the ' + sanitize(tour.formatName(sched.tier)) + ' tournament starts in ' + (reminder >= 60 ? (reminder / 60) + ' hour' + (reminder == 60 ? '' : 's') : reminder + ' minutes') + ', at ' + tour.formatDate(sched.time) + '. ' + sched.signups.length + ' player' + (sched.signups.length == 1 ? ' has' : 's have') + ' signed up. ' + (sched.checkinOpen ? 'Use <font color="red">/checkin</font> to check in!' : 'Use <font color="red">/signup</font> to join!') + '</div>');
+				}
+				if (changed) tour.save();
+			}
+		},
+		formatName: function(tier) {
+			return Tools.data.Formats[tier] ? Tools.data.Formats[tier].name : tier;
+		},
+		startScheduled: function(rid) {
+			var sched = tour.schedules[rid];
+			var room = Rooms.rooms[rid];
+			if (tour[rid].status != 0) {
+				// wait for the tournament that's running to finish
+				if (!sched.delayed) {
+					sched.delayed = true;
+					room.add('|raw|<b>The scheduled ' + sanitize(tour.formatName(sched.tier)) + ' tournament will start as soon as the current tournament is over.</b>');
+					tour.save();
+				}
+				return;
+			}
+			delete tour.schedules[rid];
+			var players = sched.checkedin.filter(function(uid) {
+				return sched.signups.indexOf(uid) >= 0;
+			});
+			var dropped = sched.signups.filter(function(uid) {
+				return players.indexOf(uid) < 0;
+			});
+			if (dropped.length) {
+				room.add('|raw|<i>' + dropped.map(tour.username).map(clean).join(', ') + ' didn\'t check in, and ' + (dropped.length == 1 ? 'was' : 'were') + ' dropped from the tournament.</i>');
+			}
+			if (players.length < 3) {
+				room.add('|raw|<h3>The scheduled ' + sanitize(tour.formatName(sched.tier)) + ' tournament was canceled, because fewer than 3 players checked in.</h3>');
+				tour.save();
+				return;
+			}
+			tour.reset(rid);
+			var c = tour[rid];
+			c.tier = sched.tier;
+			c.type = sched.type;
+			c.maxRounds = sched.maxRounds;
+			c.size = players.length;
+			c.status = 1;
+			c.players = players;
+			c.playerslogged = players.slice();
+			room.add('|raw|<hr /><h2><font color="green">The scheduled ' + sanitize(tour.formatName(sched.tier)) + ' Tournament is starting!</font></h2><b><font color="blueviolet">PLAYERS:</font></b> ' + clean(players.map(tour.username).join(', ')) + '<br /><font color="blue"><b>TYPE:</b></font> ' + tour.types[c.type] + '<hr />');
+			tour.start(rid);
+		},
 		shuffle: function(list) {
 		  var i, j, t;
 		  for (i = 1; i < list.length; i++) {
@@ -80,6 +310,12 @@ exports.tour = function(t) {
 			return cmdArr;
 		},
 		username: function(uid) {
+			if (uid && uid.substr(0, 5) === 'team-') {
+				for (var i in Rooms.rooms) {
+					if (tour[i] && tour[i].teams && tour[i].teams[uid]) return tour[i].teams[uid].name;
+				}
+				return uid.substr(5);
+			}
 			if (Users.get(uid)) {
 				var n = Users.get(uid).name;
 				if (toId(n) != uid) return uid;
@@ -144,7 +380,7 @@ exports.tour = function(t) {
 			}
 		},
 		joinable: function(uid, rid) {
-			var players = tour[rid].players;
+			var players = tour.entrants(rid);
 			for (var i=0; i<players.length; i++) {
 				if (players[i] == uid) return false;
 			}
@@ -173,101 +409,617 @@ exports.tour = function(t) {
 			}
 			return true;
 		},
+		/**
+		 * Every user taking part, whether they signed up alone or in a team.
+		 */
+		entrants: function(rid) {
+			var c = tour[rid];
+			if (!c.teamSize) return c.players;
+			var users = new Array();
+			for (var i = 0; i < c.players.length; i++) {
+				users = users.concat(c.teams[c.players[i]].members);
+			}
+			return users;
+		},
+		findTeam: function(rid, uid) {
+			var c = tour[rid];
+			for (var i in c.teams) {
+				if (c.teams[i].members.indexOf(uid) >= 0) return i;
+			}
+			return null;
+		},
+		/**
+		 * Signs a user up for a team, creating the team if it doesn't exist
+		 * yet. Returns an error message, or false if it worked.
+		 */
+		addToTeam: function(rid, uid, teamName) {
+			var c = tour[rid];
+			var teamid = 'team-' + toId(teamName);
+			if (teamid === 'team-') return "You need to give the team a name.";
+			if (!tour.joinable(uid, rid)) return "You could not enter the tournament. You may already be in a team.";
+			var team = c.teams[teamid];
+			if (!team) {
+				if (c.players.length >= c.size) return "The tournament already has all the teams it can take.";
+				team = c.teams[teamid] = {name: teamName.substr(0, 30), captain: uid, members: new Array()};
+				c.players.push(teamid);
+			}
+			if (team.members.length >= c.teamSize) return "The team " + team.name + " is already full.";
+			team.members.push(uid);
+			return false;
+		},
+		removeFromTeam: function(rid, uid) {
+			var c = tour[rid];
+			var teamid = tour.findTeam(rid, uid);
+			if (!teamid) return false;
+			var team = c.teams[teamid];
+			team.members.splice(team.members.indexOf(uid), 1);
+			if (!team.members.length) {
+				var index = c.players.indexOf(teamid);
+				c.players.splice(index, 1);
+				if (index < c.playerslogged.length) c.playerslogged.splice(index, 1);
+				delete c.teams[teamid];
+			} else if (team.captain == uid) {
+				team.captain = team.members[0];
+			}
+			return teamid;
+		},
+		isFull: function(rid) {
+			var c = tour[rid];
+			return c.size == c.players.length && (!c.teamSize || tour.teamsFull(rid));
+		},
+		/**
+		 * Whether every team that has signed up has all its members.
+		 */
+		teamsFull: function(rid) {
+			var c = tour[rid];
+			for (var i = 0; i < c.players.length; i++) {
+				if (c.teams[c.players[i]].members.length < c.teamSize) return false;
+			}
+			return true;
+		},
+		/**
+		 * Sets up the set scores of a new match, and its per-slot games if
+		 * it's between teams.
+		 */
+		makeGames: function(rid, match) {
+			var c = tour[rid];
+			if (c.teamSize) {
+				var slots = new Array();
+				var team1 = c.teams[match[0]].members;
+				var team2 = c.teams[match[1]].members;
+				for (var i = 0; i < c.teamSize; i++) {
+					slots.push([team1[i], team2[i], undefined, undefined, undefined, (c.bestOf > 1 ? [0, 0] : undefined)]);
+				}
+				match[5] = slots;
+			} else if (c.bestOf > 1) {
+				match[5] = [0, 0];
+			}
+		},
+		/**
+		 * Finds the game in the current round that these two users are
+		 * supposed to play: either a match, or a slot of a team match.
+		 * Returns {key: index of the match in the round, game: the game}
+		 */
+		findGame: function(rid, uid1, uid2) {
+			var c = tour[rid];
+			var isPair = function(game) {
+				return (game[0] == uid1 && game[1] == uid2) || (game[0] == uid2 && game[1] == uid1);
+			};
+			for (var x = 0; x < c.round.length; x++) {
+				var match = c.round[x];
+				if (c.teamSize) {
+					if (!match[1] || (match[2] && match[2] != -1)) continue;
+					for (var i = 0; i < match[5].length; i++) {
+						if (isPair(match[5][i])) return {key: x, game: match[5][i]};
+					}
+				} else if (isPair(match)) {
+					return {key: x, game: match};
+				}
+			}
+			return null;
+		},
+		/**
+		 * Records a battle won by `winner` in a game, counting it towards the
+		 * set if it's best-of-N, and towards the team match if it's a slot.
+		 * Announces how it went, and ends the match if that decided it.
+		 */
+		recordGame: function(rid, key, game, winner) {
+			var c = tour[rid];
+			var room = Rooms.rooms[rid];
+			var loser = (game[0] == winner ? game[1] : game[0]);
+			var msg = '<b>' + tour.username(winner) + '</b> won their battle against ' + tour.username(loser) + '.';
+			var won = true;
+			if (c.bestOf > 1) {
+				var sets = (c.teamSize ? game[5] : c.round[key][5]);
+				sets[game[0] == winner ? 0 : 1]++;
+				msg += ' (' + sets[0] + '-' + sets[1] + ' in the best of ' + c.bestOf + ')';
+				won = Math.max(sets[0], sets[1]) > c.bestOf / 2;
+			}
+			room.addRaw(msg);
+			if (!won) {
+				// play the next game of the set
+				game[2] = undefined;
+				return;
+			}
+			if (!c.teamSize) {
+				tour.lose(loser, rid);
+				return;
+			}
+			game[2] = winner;
+			var match = c.round[key];
+			var teamWinner = tour.teamMatchWinner(rid, match);
+			if (teamWinner) {
+				var teamLoser = (match[0] == teamWinner ? match[1] : match[0]);
+				tour.lose(teamLoser, rid);
+				room.addRaw('<b>' + clean(tour.username(teamWinner)) + '</b> won their match against ' + clean(tour.username(teamLoser)) + '.');
+			}
+		},
+		/**
+		 * The winner of a team match, once it's been decided: whoever won
+		 * most slots. If the slots are split evenly, whoever won more
+		 * games, and then whoever won the first slot.
+		 */
+		teamMatchWinner: function(rid, match) {
+			var c = tour[rid];
+			var slots = match[5];
+			var wins = [0, 0];
+			var games = [0, 0];
+			var done = 0;
+			for (var i = 0; i < slots.length; i++) {
+				if (!slots[i][2] || slots[i][2] == -1) continue;
+				done++;
+				wins[slots[i][2] == slots[i][0] ? 0 : 1]++;
+				if (slots[i][5]) {
+					games[0] += slots[i][5][0];
+					games[1] += slots[i][5][1];
+				}
+			}
+			if (wins[0] > slots.length / 2) return match[0];
+			if (wins[1] > slots.length / 2) return match[1];
+			if (done < slots.length) return null;
+			if (wins[0] != wins[1]) return match[wins[0] > wins[1] ? 0 : 1];
+			if (games[0] != games[1]) return match[games[0] > games[1] ? 0 : 1];
+			return (slots[0][2] == slots[0][0] ? match[0] : match[1]);
+		},
+		/**
+		 * Games in the current round that haven't started yet, as
+		 * {game, opponent} for each player.
+		 */
+		pendingGames: function(rid) {
+			var c = tour[rid];
+			var games = new Array();
+			for (var x = 0; x < c.round.length; x++) {
+				var match = c.round[x];
+				if (!match[1] || match[2]) continue;
+				if (c.teamSize) {
+					for (var i = 0; i < match[5].length; i++) {
+						if (!match[5][i][2]) games.push(match[5][i]);
+					}
+				} else {
+					games.push(match);
+				}
+			}
+			return games;
+		},
+		/**
+		 * Extra table rows under a team match, with its per-slot games.
+		 */
+		slotsHtml: function(rid, match) {
+			var c = tour[rid];
+			if (!c.teamSize || !match[5]) return '';
+			var html = '';
+			for (var i = 0; i < match[5].length; i++) {
+				var game = match[5][i];
+				var p1 = clean(tour.username(game[0]));
+				var p2 = clean(tour.username(game[1]));
+				if (game[2] && game[2] != -1) {
+					if (game[2] == game[0]) p1 = '<font color="green">' + p1 + '</font>';
+					else p2 = '<font color="green">' + p2 + '</font>';
+				}
+				var score = (game[5] ? ' (' + game[5][0] + '-' + game[5][1] + ')' : '');
+				var vs = (game[2] == -1 && game[4] ? "<a href='/" + game[4] + "' class='ilink'>vs</a>" : 'vs');
+				html += '<tr>' + (c.type == 'double' ? '<td></td>' : '') + '<td align=right><small>' + p1 + '</small></td><td><small>&nbsp;' + vs + '&nbsp;</small></td><td><small>' + p2 + score + '</small></td></tr>';
+			}
+			return html;
+		},
+		parseType: function(type) {
+			switch (toId(type)) {
+			case '':
+			case 'single':
+			case 'elim':
+			case 'elimination':
+			case 'singleelimination':
+				return 'single';
+			case 'double':
+			case 'doubleelim':
+			case 'doubleelimination':
+				return 'double';
+			case 'rr':
+			case 'roundrobin':
+				return 'roundrobin';
+			case 'swiss':
+				return 'swiss';
+			}
+			return false;
+		},
+		findMatch: function(uid, rid) {
+			var r = tour[rid].round;
+			for (var i = 0; i < r.length; i++) {
+				if (r[i][0] == uid || r[i][1] == uid) return i;
+			}
+			return -1;
+		},
 		lose: function(uid, rid) {
 			/*
 				if couldn't disqualify return false
 				if could disqualify return the opponents userid
 			*/
 			var r = tour[rid].round;
-			for (var i in r) {
-				if (r[i][0] == uid) {
-					var key = i;
-					var p = 0;
-					break;
-				} else if (r[i][1] == uid) {
-					var key = i;
-					var p = 1;
-					break;
-				}
-			}
-			if (!key) {
+			var key = tour.findMatch(uid, rid);
+			if (key < 0) {
 				//user not in tour
 				return -1;
 			}
-			else {
-				if (r[key][1] == undefined) {
-					//no opponent
-					return 0;
-				}
-				if (r[key][2] != undefined && r[key][2] != -1) {
-					//already did match
-					return 1;
+			if (r[key][1] == undefined) {
+				//no opponent
+				return 0;
+			}
+			if (r[key][2] != undefined && r[key][2] != -1) {
+				//already did match
+				return 1;
+			}
+			var winner = (r[key][0] == uid ? r[key][1] : r[key][0]);
+			tour.recordResult(rid, key, winner);
+			return winner;
+		},
+		/**
+		 * Removes a player from all future rounds. They lose their current
+		 * match if they haven't played it yet.
+		 * Returns the same values as tour.lose
+		 */
+		drop: function(uid, rid) {
+			var c = tour[rid];
+			var result = tour.lose(uid, rid);
+			if (result == -1) return result;
+			if (c.type == 'single' && (result == 0 || result == 1)) return result;
+			if (c.dropped.indexOf(uid) < 0) c.dropped.push(uid);
+			if (c.type == 'single' || c.type == 'double') {
+				c.losses[uid] = 2;
+				if (!c.eliminated[uid]) c.eliminated[uid] = c.roundNum;
+			}
+			return result;
+		},
+		recordResult: function(rid, key, winner) {
+			var c = tour[rid];
+			var match = c.round[key];
+			var loser = (match[0] == winner ? match[1] : match[0]);
+			match[2] = winner;
+			c.scores[winner] = (c.scores[winner] || 0) + 1;
+			c.losses[loser] = (c.losses[loser] || 0) + 1;
+			if (!c.opponents[winner]) c.opponents[winner] = new Array();
+			if (!c.opponents[loser]) c.opponents[loser] = new Array();
+			c.opponents[winner].push(loser);
+			c.opponents[loser].push(winner);
+			if (!c.defeated[winner]) c.defeated[winner] = new Array();
+			c.defeated[winner].push(loser);
+			if (c.type == 'single' || (c.type == 'double' && c.losses[loser] >= 2)) {
+				c.eliminated[loser] = c.roundNum;
+			}
+		},
+		/**
+		 * Starts the next round if every match in this one is over.
+		 */
+		checkRound: function(rid) {
+			var r = tour[rid].round;
+			for (var i = 0; i < r.length; i++) {
+				if (!r[i][2] || r[i][2] == -1) return false;
+			}
+			tour.nextRound(rid);
+			return true;
+		},
+		/**
+		 * The order seeds go in a bracket of `size` slots, so that seed 1
+		 * and seed 2 can only meet in the final: [1, 4, 2, 3] for 4.
+		 */
+		bracketOrder: function(size) {
+			var order = [1];
+			while (order.length < size) {
+				var next = new Array();
+				var sum = order.length * 2 + 1;
+				for (var i = 0; i < order.length; i++) {
+					next.push(order[i], sum - order[i]);
 				}
-				var winner = 0;
-				var loser = 1;
-				if (p == 0) {
-					winner = 1;
-					loser = 0;
+				order = next;
+			}
+			return order;
+		},
+		/**
+		 * First round of an elimination bracket. `players` is in seed order;
+		 * if there aren't a power of two of them, the top seeds get byes.
+		 */
+		bracketRound: function(players) {
+			var size = 1;
+			while (size < players.length) size *= 2;
+			var order = tour.bracketOrder(size);
+			var round = new Array();
+			for (var i = 0; i < order.length; i += 2) {
+				var p1 = players[order[i] - 1];
+				var p2 = players[order[i + 1] - 1];
+				if (!p2) {
+					round.push([p1, undefined, p1, 'w']);
+				} else {
+					round.push([p1, p2, undefined, 'w']);
 				}
-				r[key][2] = r[key][winner];
-				tour[rid].winners.push(r[key][winner]);
-				tour[rid].losers.push(r[key][loser]);
-				tour[rid].history.push(r[key][winner] + "|" + r[key][loser]);
-				return r[key][winner];
 			}
+			return round;
 		},
-		start: function(rid) {
-			var isValid = false;
-			var numByes = 0;
-			if (tour[rid].size <= 4) {
-					if (tour[rid].size % 2 == 0) {
-						isValid = true;
+		/**
+		 * Pairs a list of players in order. An odd player out gets a bye.
+		 */
+		pairList: function(list, bracket) {
+			var round = new Array();
+			for (var i = 0; i + 1 < list.length; i += 2) {
+				round.push([list[i], list[i + 1], undefined, bracket]);
+			}
+			if (list.length % 2) round.push([list[list.length - 1], undefined, list[list.length - 1], bracket]);
+			return round;
+		},
+		/**
+		 * All the rounds of a round robin, by the circle method.
+		 */
+		roundRobinSchedule: function(players) {
+			var list = players.slice();
+			if (list.length % 2) list.push(null);
+			var schedule = new Array();
+			for (var r = 0; r < list.length - 1; r++) {
+				var round = new Array();
+				for (var i = 0; i < list.length / 2; i++) {
+					var p1 = list[i];
+					var p2 = list[list.length - 1 - i];
+					if (p1 === null) {
+						round.push([p2, null]);
 					} else {
-						isValid = true;
-						numByes = 1;
+						round.push([p1, p2]);
+					}
 				}
+				schedule.push(round);
+				// keep the first player where they are and rotate everyone else
+				list.splice(1, 0, list.pop());
+			}
+			return schedule;
+		},
+		buchholz: function(rid, uid) {
+			var c = tour[rid];
+			var total = 0;
+			var opponents = c.opponents[uid] || [];
+			for (var i = 0; i < opponents.length; i++) {
+				total += c.scores[opponents[i]] || 0;
+			}
+			return total;
+		},
+		/**
+		 * Players from first to last by score, then head-to-head, then
+		 * Buchholz.
+		 */
+		getStandings: function(rid) {
+			var c = tour[rid];
+			var standings = c.players.slice();
+			standings.sort(function(a, b) {
+				var scoreA = c.scores[a] || 0;
+				var scoreB = c.scores[b] || 0;
+				if (scoreA != scoreB) return scoreB - scoreA;
+				var aBeatB = (c.defeated[a] || []).indexOf(b) >= 0;
+				var bBeatA = (c.defeated[b] || []).indexOf(a) >= 0;
+				if (aBeatB && !bBeatA) return -1;
+				if (bBeatA && !aBeatB) return 1;
+				return tour.buchholz(rid, b) - tour.buchholz(rid, a);
+			});
+			return standings;
+		},
+		giveBye: function(rid, uid) {
+			var c = tour[rid];
+			c.byes.push(uid);
+			// in round robin and swiss, a bye is worth a win
+			if (c.type == 'roundrobin' || c.type == 'swiss') {
+				c.scores[uid] = (c.scores[uid] || 0) + 1;
+			}
+		},
+		swissRound: function(rid) {
+			var c = tour[rid];
+			var unpaired = tour.getStandings(rid).filter(function(uid) {
+				return c.dropped.indexOf(uid) < 0;
+			});
+			var round = new Array();
+			if (unpaired.length % 2) {
+				// the lowest ranked player who hasn't had a bye yet gets one
+				var byeIndex = unpaired.length - 1;
+				while (byeIndex > 0 && c.byes.indexOf(unpaired[byeIndex]) >= 0) byeIndex--;
+				var bye = unpaired.splice(byeIndex, 1)[0];
+				round.push([bye, undefined, bye]);
 			}
-			do {
-				var numPlayers = ((tour[rid].size - numByes) / 2 + numByes);
-				do {
-					numPlayers = numPlayers / 2;
+			var pairs = new Array();
+			if (c.roundNum == 1) {
+				// nobody has a score yet, so the standings are the seeds:
+				// the top half plays the bottom half, seed 1 against the
+				// first seed of the bottom half and so on
+				var half = unpaired.length / 2;
+				for (var i = 0; i < half; i++) {
+					pairs.push([unpaired[i], unpaired[i + half], undefined]);
 				}
-				while (numPlayers > 1);
-				if (numPlayers == 1) isValid = true; else numByes++;
+				return pairs.concat(round);
 			}
-			while (isValid == false);
-			var r = tour[rid].round;
-			var sList = tour[rid].players;
-			tour.shuffle(sList);
-			var key = 0;
-			do {
-				if (numByes > 0) {
-					r.push([sList[key], undefined, sList[key]]);
-					tour[rid].winners.push(sList[key]);
-					tour[rid].byes.push(sList[key]);
-					numByes -= 1
-					key++;
+			while (unpaired.length) {
+				var p1 = unpaired.shift();
+				var j = 0;
+				while (j < unpaired.length && (c.opponents[p1] || []).indexOf(unpaired[j]) >= 0) j++;
+				// if everyone left is a rematch, so be it
+				if (j == unpaired.length) j = 0;
+				pairs.push([p1, unpaired.splice(j, 1)[0], undefined]);
+			}
+			return pairs.concat(round);
+		},
+		/**
+		 * Calls back with the players in seed order: by rating in the
+		 * tour's format, by the seed list staff gave with /tourseed, or
+		 * shuffled if the tour isn't seeded.
+		 */
+		seedPlayers: function(rid, callback) {
+			var c = tour[rid];
+			var players = c.players.slice();
+			if (c.seeding == 'rating') {
+				var users = tour.entrants(rid).slice();
+				var userRatings = new Object();
+				var left = users.length;
+				var done = function(uid, rating) {
+					userRatings[uid] = rating;
+					if (--left) return;
+					// teams are rated by the average of their members
+					var ratings = new Object();
+					for (var i = 0; i < players.length; i++) {
+						if (!c.teamSize) {
+							ratings[players[i]] = userRatings[players[i]];
+							continue;
+						}
+						var members = c.teams[players[i]].members;
+						var total = 0;
+						for (var j = 0; j < members.length; j++) total += userRatings[members[j]];
+						ratings[players[i]] = Math.round(total / members.length);
+					}
+					// shuffle first, so players with the same rating are seeded randomly
+					tour.shuffle(players);
+					players.sort(function(a, b) {
+						return ratings[b] - ratings[a];
+					});
+					c.seedRatings = ratings;
+					callback(players);
+				};
+				users.forEach(function(uid) {
+					var user = Users.get(uid);
+					if (user && user.userid == uid) {
+						user.doWithMMR(c.tier, function(mmr) {
+							done(uid, mmr);
+						});
+					} else {
+						Ladders.get(c.tier).getRating(uid, function(rating) {
+							done(uid, Math.round(rating.elo));
+						});
+					}
+				});
+				return;
+			}
+			tour.shuffle(players);
+			if (c.seeding == 'list') {
+				// seeded players go first, in the order given; everyone else is random
+				var seeded = c.seeds.filter(function(uid) {
+					return players.indexOf(uid) >= 0;
+				});
+				players = seeded.concat(players.filter(function(uid) {
+					return seeded.indexOf(uid) < 0;
+				}));
+			}
+			callback(players);
+		},
+		start: function(rid) {
+			var c = tour[rid];
+			if (c.teamSize && !c.roundNum) {
+				// teams that didn't fill up in time can't play
+				var incomplete = c.players.filter(function(teamid) {
+					return c.teams[teamid].members.length < c.teamSize;
+				});
+				if (incomplete.length) {
+					c.players = c.players.filter(function(teamid) {
+						return incomplete.indexOf(teamid) < 0;
+					});
+					c.playerslogged = c.players.slice();
+					Rooms.rooms[rid].addRaw('<i>' + incomplete.map(tour.username).map(clean).join(', ') + ' didn\'t have enough players, and ' + (incomplete.length == 1 ? 'was' : 'were') + ' removed from the tournament.</i>');
+				}
+				if (c.players.length < 2) {
+					tour.reset(rid);
+					Rooms.rooms[rid].addRaw("<h3>The tournament was canceled because of lack of teams.</h3>");
+					tour.save();
+					return;
 				}
 			}
-			while (numByes > 0);
-			do {
-				var match = new Array(); //[p1, p2, result]
-				match.push(sList[key]);
-				key++;
-				match.push(sList[key]);
-				key++;
-				match.push(undefined);
-				r.push(match);
-			}
-			while (key != sList.length);
-			tour[rid].roundNum++;
-			tour[rid].status = 2;
+			// no more signups while we work out the seeds
+			c.status = 2;
+			tour.seedPlayers(rid, function(sList) {
+				if (c !== tour[rid] || c.status != 2) return; // the tour was ended meanwhile
+				c.players = sList;
+				tour.startSeeded(rid);
+			});
+		},
+		startSeeded: function(rid) {
+			var c = tour[rid];
+			var sList = c.players;
+			for (var i = 0; i < sList.length; i++) {
+				c.losses[sList[i]] = 0;
+				c.scores[sList[i]] = 0;
+				c.opponents[sList[i]] = new Array();
+			}
+			c.roundNum = 1;
+			if (c.seeding) tour.seedsRaw(rid);
+			if (c.type == 'roundrobin') {
+				c.schedule = tour.roundRobinSchedule(sList);
+				c.maxRounds = c.schedule.length;
+				c.round = tour.roundRobinRound(rid);
+			} else if (c.type == 'swiss') {
+				if (!c.maxRounds) c.maxRounds = Math.ceil(Math.log(sList.length) / Math.LN2);
+				c.round = tour.swissRound(rid);
+			} else {
+				c.round = tour.bracketRound(sList);
+			}
+			for (var i = 0; i < c.round.length; i++) {
+				if (!c.round[i][1]) tour.giveBye(rid, c.round[i][0]);
+				else tour.makeGames(rid, c.round[i]);
+			}
 			tour.startRaw(rid);
+			tour.save();
+		},
+		roundRobinRound: function(rid) {
+			var c = tour[rid];
+			var scheduled = c.schedule[c.roundNum - 1];
+			var round = new Array();
+			var byes = new Array();
+			for (var i = 0; i < scheduled.length; i++) {
+				var p1 = scheduled[i][0];
+				var p2 = scheduled[i][1];
+				if (c.dropped.indexOf(p1) >= 0) {
+					p1 = p2;
+					p2 = null;
+				}
+				if (c.dropped.indexOf(p2) >= 0) p2 = null;
+				if (!p1) continue;
+				if (!p2) {
+					byes.push([p1, undefined, p1]);
+				} else {
+					round.push([p1, p2, undefined]);
+				}
+			}
+			return round.concat(byes);
+		},
+		seedsRaw: function(rid) {
+			var c = tour[rid];
+			var html = '<font color="blue"><b>SEEDS:</b></font> ';
+			var seeds = new Array();
+			for (var i = 0; i < c.players.length; i++) {
+				var uid = c.players[i];
+				if (c.seeding == 'list' && c.seeds.indexOf(uid) < 0) break;
+				seeds.push((i + 1) + '. ' + clean(tour.username(uid)) + (c.seeding == 'rating' ? ' (' + c.seedRatings[uid] + ')' : ''));
+			}
+			if (!seeds.length) return;
+			Rooms.rooms[rid].addRaw(html + seeds.join(', '));
 		},
+		roundName: function(rid) {
+			var c = tour[rid];
+			if (c.type == 'swiss' || c.type == 'roundrobin') return 'Round ' + c.roundNum + ' of ' + c.maxRounds;
+			return 'Round ' + c.roundNum;
+		},
+		bracketName: {w: 'Winners', l: 'Losers', f: 'Grand Final'},
 		startRaw: function(i) {
 			var room = Rooms.rooms[i];
-			var html = '<hr /><h3><font color="green">Round '+ tour[room.id].roundNum +'!</font></h3><font color="blue"><b>TIER:</b></font> ' + Tools.data.Formats[tour[room.id].tier].name + "<hr /><center>";
-			var round = tour[room.id].round;
+			var c = tour[room.id];
+			var html = '<hr /><h3><font color="green">' + tour.roundName(room.id) + '!</font></h3><font color="blue"><b>TIER:</b></font> ' + Tools.data.Formats[c.tier].name + ' (' + tour.types[c.type] + ')' + "<hr /><center>";
+			var round = c.round;
 			var firstMatch = false;
 			for (var i in round) {
 				if (!round[i][1]) {
@@ -281,64 +1033,337 @@ exports.tour = function(t) {
 					if (p1n.substr(0, 6) === 'Guest ') p1n = round[i][0];
 					if (p2n.substr(0, 6) === 'Guest ') p2n = round[i][1];
 					var tabla = ""; if (!firstMatch) {var tabla = "</center><table align=center cellpadding=0 cellspacing=0>";firstMatch = true;}
-					html += tabla + "<tr><td align=right>" + clean(p1n) + "</td><td>&nbsp;VS&nbsp;</td><td>" + clean(p2n) + "</td></tr>";
+					var bracket = (c.type == 'double' ? "<td><small>" + tour.bracketName[round[i][3]] + "&nbsp;</small></td>" : "");
+					html += tabla + "<tr>" + bracket + "<td align=right>" + clean(p1n) + "</td><td>&nbsp;VS&nbsp;</td><td>" + clean(p2n) + "</td></tr>" + tour.slotsHtml(room.id, round[i]);
 				}
 			}
 			room.addRaw(html + "</table>");
 		},
 		nextRound: function(rid) {
-			var w = tour[rid].winners;
-			var l = tour[rid].losers;
-			var b = tour[rid].byes;
-			tour[rid].roundNum++;
-			tour[rid].history.push(tour[rid].round);
-			tour[rid].round = new Array();
-			tour[rid].losers = new Array();
-			tour[rid].winners = new Array();
-			var firstMatch = false;
-			if (w.length == 1) {
-				//end tour
-				Rooms.rooms[rid].addRaw('<h2><font color="green">Congratulations <font color="black">' + Users.users[w[0]].name + '</font>!  You have won the ' + Tools.data.Formats[tour[rid].tier].name + ' Tournament!</font></h2>' + '<br><font color="blue"><b>SECOND PLACE:</b></font> ' + Users.users[l[0]].name + '<hr />');
-				tour[rid].status = 0;
-			} else {
-				var html = '<hr /><h3><font color="green">Round '+ tour[rid].roundNum +'!</font></h3><font color="blue"><b>TIER:</b></font> ' + Tools.data.Formats[tour[rid].tier].name + "<hr /><center>";
-				var pBye = new Array();
-				var pNorm = new Array();
-				var p = new Array();
-				for (var i in w) {
-					var byer = false;
-					for (var x in b) {
-						if (b[x] == w[i]) {
-							byer = true;
-							pBye.push(w[i]);
-						}
-					}
-					if (!byer) {
-						pNorm.push(w[i]);
+			var c = tour[rid];
+			var r = c.round;
+			c.history.push(r);
+			c.round = new Array();
+			c.battles = new Object();
+			c.battlesended = [];
+			c.roundNum++;
+
+			if (c.type == 'single') {
+				var w = new Array();
+				for (var i = 0; i < r.length; i++) w.push(r[i][2]);
+				if (w.length == 1) return tour.finish(rid);
+				c.round = tour.pairList(w, 'w');
+			} else if (c.type == 'double') {
+				// winners bracket players stay in bracket order, and losers
+				// bracket players are followed by whoever just dropped down
+				var wb = new Array();
+				var lb = new Array();
+				var dropped = new Array();
+				for (var i = 0; i < r.length; i++) {
+					var winner = r[i][2];
+					var loser = (r[i][0] == winner ? r[i][1] : r[i][0]);
+					if (c.losses[winner] < 2) (c.losses[winner] ? lb : wb).push(winner);
+					if (loser && c.losses[loser] < 2) (r[i][3] == 'w' ? dropped : lb).push(loser);
+				}
+				lb = lb.concat(dropped.reverse());
+				if (wb.length + lb.length == 1) return tour.finish(rid);
+				if (wb.length + lb.length == 2) {
+					var finalists = wb.concat(lb);
+					c.round = [[finalists[0], finalists[1], undefined, 'f']];
+				} else if (wb.length == 1 && lb.length > 1) {
+					// the winners bracket is done; wait for the losers bracket to catch up
+					c.round = [[wb[0], undefined, wb[0], 'w']].concat(tour.pairList(lb, 'l'));
+				} else {
+					c.round = tour.pairList(wb, 'w').concat(tour.pairList(lb, 'l'));
+				}
+			} else if (c.type == 'roundrobin' || c.type == 'swiss') {
+				var active = c.players.filter(function(uid) {
+					return c.dropped.indexOf(uid) < 0;
+				});
+				if (c.roundNum > c.maxRounds || active.length < 2) return tour.finish(rid);
+				c.round = (c.type == 'swiss' ? tour.swissRound(rid) : tour.roundRobinRound(rid));
+			}
+			for (var i = 0; i < c.round.length; i++) {
+				if (!c.round[i][1]) tour.giveBye(rid, c.round[i][0]);
+				else tour.makeGames(rid, c.round[i]);
+			}
+			tour.startRaw(rid);
+			tour.save();
+			// a round of nothing but byes is over already
+			tour.checkRound(rid);
+		},
+		/**
+		 * Final placings, as a list of groups of userids that tied for the
+		 * same place.
+		 */
+		getPlacings: function(rid) {
+			var c = tour[rid];
+			if (c.type == 'roundrobin' || c.type == 'swiss') {
+				return tour.getStandings(rid).map(function(uid) {
+					return [uid];
+				});
+			}
+			// in elimination, whoever lasted longer places higher
+			var placings = new Array();
+			var byRound = new Object();
+			for (var i = 0; i < c.players.length; i++) {
+				var uid = c.players[i];
+				var round = c.eliminated[uid] || Infinity;
+				if (!byRound[round]) byRound[round] = new Array();
+				byRound[round].push(uid);
+			}
+			var rounds = Object.keys(byRound).map(Number).sort(function(a, b) {
+				return b - a;
+			});
+			for (var i = 0; i < rounds.length; i++) placings.push(byRound[rounds[i]]);
+			return placings;
+		},
+		finish: function(rid) {
+			var c = tour[rid];
+			var room = Rooms.rooms[rid];
+			c.placings = tour.getPlacings(rid);
+			c.status = 0;
+			var first = c.placings[0] ? c.placings[0][0] : undefined;
+			var second = c.placings[1] ? c.placings[1].map(tour.username).join(', ') : 'nobody';
+			var html = '<h2><font color="green">Congratulations <font color="black">' + clean(tour.username(first)) + '</font>!  You have won the ' + Tools.data.Formats[c.tier].name + ' Tournament!</font></h2>' + '<br><font color="blue"><b>SECOND PLACE:</b></font> ' + clean(second);
+			if (c.type == 'roundrobin' || c.type == 'swiss') {
+				html += '<br />' + tour.standingsTable(rid);
+			}
+			var awarded = tour.awardPoints(rid).filter(function(player) {
+				return player[1] > 0;
+			});
+			if (awarded.length) {
+				html += '<br /><font color="blue"><b>LEAGUE POINTS:</b></font> ' + awarded.map(function(player) {
+					return clean(player[0]) + ' +' + player[1];
+				}).join(', ');
+			}
+			room.addRaw(html + '<hr />');
+			tour.save();
+		},
+		/**
+		 * Gives everyone in a finished tournament their league points. In
+		 * team tournaments, every member gets their team's points.
+		 */
+		awardPoints: function(rid) {
+			var c = tour[rid];
+			var placings = c.placings.map(function(group) {
+				return group.map(function(uid) {
+					var members = (c.teamSize ? c.teams[uid].members : [uid]);
+					return members.map(function(member) {
+						return [member, tour.username(member)];
+					});
+				});
+			});
+			return League.award(rid, c.tier, placings);
+		},
+		standingsTable: function(rid) {
+			var c = tour[rid];
+			var standings = tour.getStandings(rid);
+			var html = '<table border="1" cellspacing="0" cellpadding="3"><tr><th></th><th>Player</th><th>W-L</th><th>Buchholz</th></tr>';
+			for (var i = 0; i < standings.length; i++) {
+				var uid = standings[i];
+				var name = clean(tour.username(uid));
+				if (c.dropped.indexOf(uid) >= 0) name = '<s>' + name + '</s>';
+				html += '<tr><td>' + (i + 1) + '</td><td>' + name + '</td><td>' + (c.scores[uid] || 0) + '-' + (c.losses[uid] || 0) + '</td><td>' + tour.buchholz(rid, uid) + '</td></tr>';
+			}
+			return html + '</table>';
+		},
+		/**
+		 * Everything there is to know about a tournament's bracket, as
+		 * plain data. This is what /tournaments/ROOMID.json serves.
+		 */
+		getBracket: function(rid) {
+			var c = tour[rid];
+			if (!c || !c.tier || !Rooms.rooms[rid]) return null;
+			var status = 'ended';
+			if (c.status == 1) status = 'signups';
+			else if (c.status == 2) status = 'running';
+			else if (c.placings.length) status = 'finished';
+			var bracket = {
+				room: rid,
+				roomTitle: Rooms.rooms[rid].title,
+				format: c.tier,
+				formatName: Tools.data.Formats[c.tier] ? Tools.data.Formats[c.tier].name : c.tier,
+				type: c.type,
+				status: status,
+				size: isFinite(c.size) ? c.size : null,
+				round: c.roundNum,
+				maxRounds: c.maxRounds || null,
+				seeding: c.seeding || null,
+				bestOf: c.bestOf,
+				teams: null,
+				players: c.players.map(tour.username),
+				dropped: c.dropped.map(tour.username),
+				replacements: new Array(),
+				rounds: new Array(),
+				standings: null,
+				placings: c.placings.map(function(group) {
+					return group.map(tour.username);
+				})
+			};
+			if (c.teamSize) {
+				bracket.teams = c.players.map(function(teamid) {
+					var team = c.teams[teamid];
+					return {name: team.name, captain: tour.username(team.captain), members: team.members.map(tour.username)};
+				});
+			}
+			var exportGame = function(match, isSlot) {
+				var state = 'finished';
+				if (!match[1]) state = 'bye';
+				else if (match[2] == -1) state = 'battling';
+				else if (!match[2]) state = 'pending';
+				var game = {
+					p1: tour.username(match[0]),
+					p2: match[1] ? tour.username(match[1]) : null,
+					winner: (state == 'finished' ? tour.username(match[2]) : null),
+					bracket: match[3] ? tour.bracketName[match[3]] : null,
+					battle: match[4] || null,
+					state: state,
+					sets: null,
+					slots: null
+				};
+				if (c.teamSize && !isSlot) {
+					if (match[5]) {
+						game.slots = match[5].map(function(slot) {
+							return exportGame(slot, true);
+						});
 					}
+				} else if (match[5]) {
+					game.sets = match[5];
+				}
+				return game;
+			};
+			var exportRound = function(round, current) {
+				return {
+					round: bracket.rounds.length + 1,
+					current: current,
+					matches: round.map(function(match) {
+						return exportGame(match, false);
+					})
+				};
+			};
+			for (var i = 0; i < c.history.length; i++) {
+				if (typeof c.history[i] == "string") {
+					// a replacement, like "olduser->newuser"
+					bracket.replacements.push(c.history[i].split('->'));
+					continue;
 				}
-				for (var i in pBye) {
-					p.push(pBye[i]);
-					if (typeof pNorm[i] != "undefined") {
-						p.push(pNorm[i]);
-						pNorm.splice(i, 1);
+				bracket.rounds.push(exportRound(c.history[i], false));
+			}
+			if (c.status == 2 && c.round.length) bracket.rounds.push(exportRound(c.round, true));
+			if (c.status != 1 && (c.type == 'roundrobin' || c.type == 'swiss')) {
+				bracket.standings = tour.getStandings(rid).map(function(uid) {
+					return {
+						player: tour.username(uid),
+						wins: c.scores[uid] || 0,
+						losses: c.losses[uid] || 0,
+						buchholz: tour.buchholz(rid, uid),
+						dropped: c.dropped.indexOf(uid) >= 0
+					};
+				});
+			}
+			return bracket;
+		},
+		/**
+		 * The whole bracket as HTML for /bracket: every round is a section
+		 * that can be opened and closed, with the current one open.
+		 */
+		bracketHtml: function(rid) {
+			var bracket = tour.getBracket(rid);
+			var html = '<b>' + clean(bracket.formatName) + ' ' + tour.types[bracket.type] + '</b> in ' + clean(bracket.roomTitle) + ' (' + bracket.status + ')';
+			if (!bracket.rounds.length) {
+				html += '<br />' + bracket.players.length + ' player' + (bracket.players.length == 1 ? '' : 's') + ' signed up: ' + clean(bracket.players.join(', '));
+			}
+			var name = function(player, won) {
+				if (won === true) return '<font color="green"><b>' + clean(player) + '</b></font>';
+				if (won === false) return '<font color="red">' + clean(player) + '</font>';
+				return clean(player);
+			};
+			for (var i = 0; i < bracket.rounds.length; i++) {
+				var round = bracket.rounds[i];
+				var done = 0;
+				for (var j = 0; j < round.matches.length; j++) {
+					if (round.matches[j].state == 'finished' || round.matches[j].state == 'bye') done++;
+				}
+				var isOpen = round.current || (bracket.status != 'running' && i == bracket.rounds.length - 1);
+				html += '<details' + (isOpen ? ' open' : '') + '><summary><b>Round ' + round.round + '</b> (' + done + '/' + round.matches.length + ' done)</summary><table cellpadding="1" cellspacing="0">';
+				for (var j = 0; j < round.matches.length; j++) {
+					var match = round.matches[j];
+					html += '<tr>';
+					if (bracket.type == 'double') html += '<td><small>' + match.bracket + '</small>&nbsp;</td>';
+					if (match.state == 'bye') {
+						html += '<td align="right">' + name(match.p1) + '</td><td colspan="2">&nbsp;<i>bye</i></td>';
+					} else {
+						var won = (match.state == 'finished' ? match.winner == match.p1 : undefined);
+						html += '<td align="right">' + name(match.p1, won) + '</td><td>&nbsp;vs.&nbsp;</td><td>' + name(match.p2, won === undefined ? undefined : !won) + (match.sets ? ' (' + match.sets.join('-') + ')' : '') + '</td>';
+						if (match.battle) {
+							html += '<td>&nbsp;<a href="/' + match.battle + '" class="ilink">' + (match.state == 'battling' ? 'watch' : 'battle') + '</a></td>';
+						}
+					}
+					html += '</tr>';
+					for (var k = 0; match.slots && k < match.slots.length; k++) {
+						var slot = match.slots[k];
+						var slotWon = (slot.state == 'finished' ? slot.winner == slot.p1 : undefined);
+						html += '<tr>' + (bracket.type == 'double' ? '<td></td>' : '') + '<td align="right"><small>' + name(slot.p1, slotWon) + '</small></td><td><small>&nbsp;vs.&nbsp;</small></td><td><small>' + name(slot.p2, slotWon === undefined ? undefined : !slotWon) + (slot.sets ? ' (' + slot.sets.join('-') + ')' : '') + '</small></td>';
+						if (slot.battle) html += '<td><small>&nbsp;<a href="/' + slot.battle + '" class="ilink">' + (slot.state == 'battling' ? 'watch' : 'battle') + '</a></small></td>';
+						html += '</tr>';
 					}
 				}
-				for (var i in pNorm) p.push(pNorm[i]);
-				for (var i = 0; p.length / 2 > i; i++) {
-					var p1 = i * 2;
-					var p2 = p1 + 1;
-					tour[rid].round.push([p[p1], p[p2], undefined]);
-					var p1n = tour.username(p[p1]);
-					var p2n = tour.username(p[p2]);
-					if (p1n.substr(0, 6) === 'Guest ') p1n = p[p1];
-					if (p2n.substr(0, 6) === 'Guest ') p2n = p[p2];
-					var tabla = "";if (!firstMatch) {var tabla = "</center><table align=center cellpadding=0 cellspacing=0>";firstMatch = true;}
-					html += tabla + "<tr><td align=right>" + clean(p1n) + "</td><td>&nbsp;VS&nbsp;</td><td>" + clean(p2n) + "</td></tr>";
+				html += '</table></details>';
+			}
+			if (bracket.replacements.length) {
+				html += '<small>Replaced: ' + bracket.replacements.map(function(names) {
+					return clean(names[0]) + ' &rarr; ' + clean(names[1]);
+				}).join(', ') + '</small><br />';
+			}
+			if (bracket.standings) html += tour.standingsTable(rid);
+			if (bracket.placings.length) {
+				html += '<b>Winner:</b> ' + clean(bracket.placings[0].join(', '));
+			}
+			return html;
+		},
+		/**
+		 * Handles an HTTP request for `path`, which is the part of the URL
+		 * after "/tournaments/":
+		 *
+		 *   /tournaments/               every room's tournament, as JSON
+		 *   /tournaments/ROOMID.json    that room's bracket
+		 */
+		serve: function(path, response, notFound) {
+			path = path.split('?')[0];
+			var data;
+			if (!path) {
+				data = new Array();
+				for (var i in Rooms.rooms) {
+					var bracket = tour.getBracket(i);
+					if (bracket) data.push({room: i, roomTitle: bracket.roomTitle, formatName: bracket.formatName, type: bracket.type, status: bracket.status});
 				}
-				Rooms.rooms[rid].addRaw(html + "</table>");
+			} else if (path.substr(-5) === '.json') {
+				data = tour.getBracket(toId(path.slice(0, -5)));
 			}
-			tour[rid].battlesended = [];
+			if (!data) return notFound();
+			response.writeHead(200, {
+				'Content-Type': 'application/json; charset=utf-8',
+				'Access-Control-Allow-Origin': '*'
+			});
+			response.end(JSON.stringify(data));
+		},
+		/**
+		 * Puts `to` in `from`'s place everywhere in the tournament: in
+		 * the bracket, the standings and the match history.
+		 */
+		renamePlayer: function(rid, from, to) {
+			var rename = function(obj) {
+				for (var i in obj) {
+					if (obj[i] === from) obj[i] = to;
+					else if (typeof obj[i] == "object" && obj[i] !== null) rename(obj[i]);
+					if (i === from && !Array.isArray(obj)) {
+						obj[to] = obj[from];
+						delete obj[from];
+					}
+				}
+			};
+			rename(tour[rid]);
 		},
 	};
 
@@ -349,8 +1374,10 @@ exports.tour = function(t) {
 			}
 	}
 	if (typeof tour.timers == "undefined") tour.timers = new Object();
+	if (typeof tour.schedules == "undefined") tour.schedules = new Object();
 	if (typeof tour.currentSeconds == "undefined") {
 		tour.currentSeconds = 0;
+		tour.restore();
 		tour.timerLoop();
 	}
 	for (var i in Rooms.rooms) {
@@ -411,7 +1438,7 @@ var cmds = {
 		} else if (target === 'battles') {
 
 			Simulator.SimulatorProcess.respawn();
-			return this.sendReply('Battles have been hotpatched. Any battles started after now will use the new code; however, in-progress battles will continue to use the old code.');
+			return this.sendReply('Battles have been hotpatched. Battles in progress have been restored from their last turn in the new simulator processes, so they use the new code too.');
 
 		} else if (target === 'formats') {
 			try {
@@ -446,9 +1473,17 @@ var cmds = {
 		if (room.decision) return this.sendReply('Prof. Oak: There is a time and place for everything! You cannot do this in battle rooms.');
 		var rid = room.id;
 		if (tour[rid].status != 0) return this.sendReply('There is already a tournament running, or there is one in a signup phase.');
-		if (!target) return this.sendReply('Proper syntax for this command: /tour tier, size');
+		if (!target) return this.sendReply('Proper syntax for this command: /tour tier, size, [type], [rounds]');
 		var targets = tour.splint(target);
-		if (targets.length != 2) return this.sendReply('Proper syntax for this command: /tour tier, size');
+		if (targets.length < 2 || targets.length > 4) return this.sendReply('Proper syntax for this command: /tour tier, size, [type], [rounds]');
+		var type = tour.parseType(targets[2] || '');
+		if (!type) return this.sendReply('Tournament types are: single, double, roundrobin and swiss.');
+		var maxRounds = 0;
+		if (targets[3]) {
+			if (type != 'swiss') return this.sendReply('Only Swiss tournaments can have their number of rounds set.');
+			maxRounds = parseInt(targets[3]);
+			if (isNaN(maxRounds) || maxRounds < 1) return this.sendReply('The number of rounds must be a positive number.');
+		}
 		var tierMatch = false;
 		var tempTourTier = '';
 		for (var i = 0; i < tour.tiers.length; i++) {
@@ -472,18 +1507,132 @@ var cmds = {
 		else {
 			targets[1] = parseInt(targets[1]);
 		}
-		if (isNaN(targets[1])) return this.sendReply('Proper syntax for this command: /tour tier, size');
+		if (isNaN(targets[1])) {
+			delete tour.timers[rid];
+			return this.sendReply('Proper syntax for this command: /tour tier, size, [type], [rounds]');
+		}
 		if (targets[1] < 3) return this.sendReply('Tournaments must contain 3 or more people.');
 
 		this.parse('/endpoll');
 		tour.reset(rid);
 		tour[rid].tier = tempTourTier;
+		tour[rid].type = type;
+		tour[rid].maxRounds = maxRounds;
 		tour[rid].size = targets[1];
 		tour[rid].status = 1;
 		tour[rid].players = new Array();	
 
-		Rooms.rooms[rid].addRaw('<hr /><h2><font color="green">' + sanitize(user.name) + ' has started a ' + Tools.data.Formats[tempTourTier].name + ' Tournament.</font> <font color="red">/j</font> <font color="green">to join!</font></h2><b><font color="blueviolet">PLAYERS:</font></b> ' + targets[1] + '<br /><font color="blue"><b>TIER:</b></font> ' + Tools.data.Formats[tempTourTier].name + '<hr />');
+		Rooms.rooms[rid].addRaw('<hr /><h2><font color="green">' + sanitize(user.name) + ' has started a ' + Tools.data.Formats[tempTourTier].name + ' Tournament.</font> <font color="red">/j</font> <font color="green">to join!</font></h2><b><font color="blueviolet">PLAYERS:</font></b> ' + targets[1] + '<br /><font color="blue"><b>TIER:</b></font> ' + Tools.data.Formats[tempTourTier].name + '<br /><font color="blue"><b>TYPE:</b></font> ' + tour.types[type] + (maxRounds ? ' (' + maxRounds + ' rounds)' : '') + '<hr />');
 		if (tour.timers[rid]) Rooms.rooms[rid].addRaw('<i>The tournament will begin in ' + tour.timers[rid].time + ' minute' + (tour.timers[rid].time == 1 ? '' : 's') + '.<i>');
+		tour.save();
+	},
+
+	schedtour: 'scheduletour',
+	scheduletour: function(target, room, user, connection) {
+		if (!tour.midauth(user,room)) return this.sendReply('You do not have enough authority to use this command.');
+		if (room.decision) return this.sendReply('Prof. Oak: There is a time and place for everything! You cannot do this in battle rooms.');
+		var rid = room.id;
+		if (tour.schedules[rid]) return this.sendReply('There is already a tournament scheduled in this room. Use /unscheduletour to cancel it first.');
+		var targets = tour.splint(target);
+		if (targets.length < 2 || targets.length > 5) return this.sendReply('Proper syntax for this command: /scheduletour tier, YYYY-MM-DD HH:MM, [type], [check-in minutes], [rounds]');
+		var tier = toId(targets[0]);
+		if (tour.tiers.indexOf(tier) < 0) return this.sendReply('Please use one of the following tiers: ' + tour.tiers.join(','));
+		var time = tour.parseDate(targets[1]);
+		if (isNaN(time)) return this.sendReply('The date should look like YYYY-MM-DD HH:MM, in server time. It is ' + tour.formatDate(Date.now()) + ' now.');
+		if (time <= Date.now()) return this.sendReply('Why would you want to schedule a tournament for the past?');
+		var type = tour.parseType(targets[2] || '');
+		if (!type) return this.sendReply('Tournament types are: single, double, roundrobin and swiss.');
+		var checkin = DEFAULT_CHECKIN_TIME;
+		if (targets[3]) {
+			checkin = parseInt(targets[3]);
+			if (isNaN(checkin) || checkin < 1) return this.sendReply('The check-in window must be at least a minute long.');
+		}
+		var maxRounds = 0;
+		if (targets[4]) {
+			if (type != 'swiss') return this.sendReply('Only Swiss tournaments can have their number of rounds set.');
+			maxRounds = parseInt(targets[4]);
+			if (isNaN(maxRounds) || maxRounds < 1) return this.sendReply('The number of rounds must be a positive number.');
+		}
+		tour.schedules[rid] = {
+			tier: tier,
+			type: type,
+			maxRounds: maxRounds,
+			time: time,
+			checkin: checkin,
+			by: user.userid,
+			signups: new Array(),
+			checkedin: new Array(),
+			checkinOpen: false,
+			reminded: new Array(),
+			delayed: false
+		};
+		// reminders for times that have already passed don't need sending
+		var minutesLeft = (time - Date.now()) / (60 * 1000);
+		tour.schedules[rid].reminded = SCHEDULE_REMINDERS.filter(function(minutes) {
+			return minutesLeft <= minutes;
+		});
+		tour.save();
+		room.add('|raw|<hr /><h2><font color="green">' + sanitize(user.name) + ' has scheduled a ' + sanitize(tour.formatName(tier)) + ' Tournament for ' + tour.formatDate(time) + '.</font> <font color="red">/signup</font> <font color="green">to join!</font></h2><font color="blue"><b>TYPE:</b></font> ' + tour.types[type] + (maxRounds ? ' (' + maxRounds + ' rounds)' : '') + '<br /><font color="blue"><b>CHECK-IN:</b></font> opens ' + checkin + ' minute' + (checkin == 1 ? '' : 's') + ' before the start. Players who don\'t check in will be dropped.<hr />');
+	},
+
+	unschedtour: 'unscheduletour',
+	unscheduletour: function(target, room, user, connection) {
+		if (!tour.midauth(user,room)) return this.sendReply('You do not have enough authority to use this command.');
+		if (!tour.schedules[room.id]) return this.sendReply('There is no tournament scheduled in this room.');
+		var sched = tour.schedules[room.id];
+		delete tour.schedules[room.id];
+		tour.save();
+		room.add('|raw|<b>' + sanitize(user.name) + '</b> has canceled the ' + sanitize(tour.formatName(sched.tier)) + ' tournament scheduled for ' + tour.formatDate(sched.time) + '.');
+	},
+
+	nexttour: 'schedule',
+	schedule: function(target, room, user, connection) {
+		if (!this.canBroadcast()) return;
+		var sched = tour.schedules[room.id];
+		if (!sched) return this.sendReply('There is no tournament scheduled in this room.');
+		var minutesLeft = Math.ceil((sched.time - Date.now()) / (60 * 1000));
+		var timeLeft = (minutesLeft >= 120 ? Math.floor(minutesLeft / 60) + ' hours' : minutesLeft + ' minute' + (minutesLeft == 1 ? '' : 's'));
+		this.sendReplyBox('<b>' + sanitize(tour.formatName(sched.tier)) + ' ' + tour.types[sched.type] + '</b> at ' + tour.formatDate(sched.time) + ' (in ' + timeLeft + ')<br />' +
+			'Check-in ' + (sched.checkinOpen ? 'is open' : 'opens ' + sched.checkin + ' minute' + (sched.checkin == 1 ? '' : 's') + ' before the start') + '.<br />' +
+			'<b>Signed up (' + sched.signups.length + '):</b> ' + (sched.signups.map(function(uid) {
+				return clean(tour.username(uid)) + (sched.checkedin.indexOf(uid) >= 0 ? ' &#10003;' : '');
+			}).join(', ') || 'nobody yet'));
+	},
+
+	su: 'signup',
+	signup: function(target, room, user, connection) {
+		var sched = tour.schedules[room.id];
+		if (!sched) return this.sendReply('There is no tournament scheduled in this room. Use /j to join a tournament that\'s signing up now.');
+		if (!user.named) return this.sendReply('You need to choose a name before you can sign up.');
+		if (sched.signups.indexOf(user.userid) >= 0) return this.sendReply('You have already signed up' + (sched.checkinOpen && sched.checkedin.indexOf(user.userid) < 0 ? '. Use /checkin to check in.' : '.'));
+		sched.signups.push(user.userid);
+		// signing up once check-in is open counts as checking in
+		if (sched.checkinOpen) sched.checkedin.push(user.userid);
+		tour.save();
+		this.sendReply('You have signed up for the ' + tour.formatName(sched.tier) + ' tournament at ' + tour.formatDate(sched.time) + '.' + (sched.checkinOpen ? ' You are checked in.' : ' Remember to /checkin when check-in opens, ' + sched.checkin + ' minutes before the start.'));
+	},
+
+	unsignup: function(target, room, user, connection) {
+		var sched = tour.schedules[room.id];
+		if (!sched) return this.sendReply('There is no tournament scheduled in this room.');
+		var index = sched.signups.indexOf(user.userid);
+		if (index < 0) return this.sendReply("You haven't signed up.");
+		sched.signups.splice(index, 1);
+		if (sched.checkedin.indexOf(user.userid) >= 0) sched.checkedin.splice(sched.checkedin.indexOf(user.userid), 1);
+		tour.save();
+		this.sendReply('You are no longer signed up for the ' + tour.formatName(sched.tier) + ' tournament.');
+	},
+
+	ci: 'checkin',
+	checkin: function(target, room, user, connection) {
+		var sched = tour.schedules[room.id];
+		if (!sched) return this.sendReply('There is no tournament scheduled in this room.');
+		if (sched.signups.indexOf(user.userid) < 0) return this.sendReply("You haven't signed up. Use /signup first.");
+		if (!sched.checkinOpen) return this.sendReply('Check-in opens ' + sched.checkin + ' minutes before the tournament starts, at ' + tour.formatDate(sched.time - sched.checkin * 60 * 1000) + '.');
+		if (sched.checkedin.indexOf(user.userid) >= 0) return this.sendReply('You have already checked in.');
+		sched.checkedin.push(user.userid);
+		tour.save();
+		this.sendReply('You have checked in for the ' + tour.formatName(sched.tier) + ' tournament. It starts at ' + tour.formatDate(sched.time) + '.');
 	},
 
 	endtour: function(target, room, user, connection) {
@@ -492,6 +1641,7 @@ var cmds = {
 		if (tour[room.id] == undefined || tour[room.id].status == 0) return this.sendReply('There is no active tournament.');
 		tour[room.id].status = 0;
 		delete tour.timers[room.id];
+		tour.save();
 		room.addRaw('<h2><b>' + user.name + '</b> has ended the tournament.</h2>');
 	},
 
@@ -509,7 +1659,8 @@ var cmds = {
 		tour[room.id].size = target;
 		tour.reportdue(room);
 		room.addRaw('<b>' + user.name + '</b> has changed the tournament size to: ' + target + '. <b><i>' + (target - tour[room.id].players.length) + ' slot' + ( ( target - tour[room.id].players.length ) == 1 ? '' : 's') + ' remaining.</b></i>');
-		if (target == tour[room.id].players.length) tour.start(room.id);
+		if (tour.isFull(room.id)) tour.start(room.id);
+		else tour.save();
 	},
 
 	tourtime: function(target, room, user, connection) {
@@ -526,6 +1677,7 @@ var cmds = {
 		target = Math.ceil(target);
 		tour.timers[room.id].time = target;
 		tour.timers[room.id].startTime = tour.currentSeconds;
+		tour.save();
 		room.addRaw('<b>' + user.name + '</b> has changed the remaining time for registering to the tournament to: ' + target + ' minute' + (target === 1 ? '' : 's') + '.');
 		if (target === 0) {
 			tour.reportdue(room);
@@ -533,12 +1685,131 @@ var cmds = {
 		}
 	},
 
+	tourseed: function(target, room, user, connection) {
+		if (!tour.midauth(user,room)) return this.sendReply('You do not have enough authority to use this command.');
+		if (room.decision) return this.sendReply('Prof. Oak: There is a time and place for everything! You cannot do this in battle rooms.');
+		if (tour[room.id] == undefined || tour[room.id].status == 0) return this.sendReply('There is no active tournament in this room.');
+		if (tour[room.id].status > 1) return this.sendReply('The tournament has already been seeded!');
+		if (!target) return this.sendReply('Proper syntax for this command: /tourseed rating OR /tourseed random OR /tourseed user1, user2, ... (or team1, team2, ... in team tournaments)');
+		var c = tour[room.id];
+		if (toId(target) == 'rating' || toId(target) == 'ladder') {
+			c.seeding = 'rating';
+			c.seeds = new Array();
+			room.addRaw('<b>' + user.name + '</b> has set the tournament to be seeded by ' + Tools.data.Formats[c.tier].name + ' rating.');
+		} else if (toId(target) == 'random' || toId(target) == 'off') {
+			c.seeding = undefined;
+			c.seeds = new Array();
+			room.addRaw('<b>' + user.name + '</b> has set the tournament to be unseeded.');
+		} else {
+			var seeds = new Array();
+			var targets = tour.splint(target);
+			for (var i = 0; i < targets.length; i++) {
+				var uid = toId(targets[i]);
+				if (uid && c.teamSize) uid = 'team-' + uid;
+				if (uid && seeds.indexOf(uid) < 0) seeds.push(uid);
+			}
+			if (!seeds.length) return this.sendReply('Proper syntax for this command: /tourseed user1, user2, ...');
+			c.seeding = 'list';
+			c.seeds = seeds;
+			room.addRaw('<b>' + user.name + '</b> has seeded the tournament: ' + seeds.map(function(uid, i) {
+				return (i + 1) + '. ' + clean(tour.username(uid));
+			}).join(', '));
+		}
+		tour.save();
+	},
+
+	toursets: function(target, room, user, connection) {
+		if (!tour.midauth(user,room)) return this.sendReply('You do not have enough authority to use this command.');
+		if (room.decision) return this.sendReply('Prof. Oak: There is a time and place for everything! You cannot do this in battle rooms.');
+		if (tour[room.id] == undefined || tour[room.id].status == 0) return this.sendReply('There is no active tournament in this room.');
+		if (tour[room.id].status > 1) return this.sendReply('The length of sets cannot be changed now!');
+		var bestOf = parseInt(target);
+		if (isNaN(bestOf) || bestOf < 1 || bestOf > 9 || bestOf % 2 == 0) return this.sendReply('Proper syntax for this command: /toursets NUMBER, where NUMBER is 1, 3, 5, 7 or 9');
+		tour[room.id].bestOf = bestOf;
+		tour.save();
+		if (bestOf == 1) return room.addRaw('<b>' + user.name + '</b> has set the tournament to single battles.');
+		room.addRaw('<b>' + user.name + '</b> has set the tournament to best-of-' + bestOf + ' sets: the first to win ' + Math.ceil(bestOf / 2) + ' battles wins the match.');
+	},
+
+	tourteams: function(target, room, user, connection) {
+		if (!tour.midauth(user,room)) return this.sendReply('You do not have enough authority to use this command.');
+		if (room.decision) return this.sendReply('Prof. Oak: There is a time and place for everything! You cannot do this in battle rooms.');
+		if (tour[room.id] == undefined || tour[room.id].status == 0) return this.sendReply('There is no active tournament in this room.');
+		if (tour[room.id].status > 1) return this.sendReply('The tournament has already started!');
+		if (tour[room.id].players.length) return this.sendReply('Players have already signed up. End the tournament and start a new one to change its teams.');
+		var teamSize = parseInt(target);
+		if (isNaN(teamSize) || teamSize < 0 || teamSize > 12) return this.sendReply('Proper syntax for this command: /tourteams NUMBER, where NUMBER is how many players each team has (0 for no teams)');
+		if (teamSize == 1) teamSize = 0;
+		tour[room.id].teamSize = teamSize;
+		tour[room.id].teams = new Object();
+		tour.save();
+		if (!teamSize) return room.addRaw('<b>' + user.name + '</b> has set the tournament to be played by individual players.');
+		room.addRaw('<b>' + user.name + '</b> has made this a team tournament, with ' + teamSize + ' players per team. Use <font color="red">/j TEAM NAME</font> to join a team, or to start a new one.');
+	},
+
+	tourdelay: function(target, room, user, connection) {
+		if (!tour.midauth(user,room)) return this.sendReply('You do not have enough authority to use this command.');
+		if (room.decision) return this.sendReply('Prof. Oak: There is a time and place for everything! You cannot do this in battle rooms.');
+		if (tour[room.id] == undefined || tour[room.id].status == 0) return this.sendReply('There is no active tournament in this room.');
+		var delay = parseInt(target);
+		if (isNaN(delay) || delay < 0 || delay > 10) return this.sendReply('Proper syntax for this command: /tourdelay NUMBER, where NUMBER is how many turns behind spectators are, up to 10 (0 for no delay)');
+		tour[room.id].spectatorDelay = delay;
+		tour.save();
+		if (!delay) return room.addRaw('<b>' + user.name + '</b> has turned off the spectator delay for tournament battles.');
+		room.addRaw('<b>' + user.name + '</b> has set spectators of tournament battles to be ' + delay + ' turn' + (delay == 1 ? '' : 's') + ' behind. This applies to battles started from now on.');
+	},
+
+	tourhideinfo: function(target, room, user, connection) {
+		if (!tour.midauth(user,room)) return this.sendReply('You do not have enough authority to use this command.');
+		if (room.decision) return this.sendReply('Prof. Oak: There is a time and place for everything! You cannot do this in battle rooms.');
+		if (tour[room.id] == undefined || tour[room.id].status == 0) return this.sendReply('There is no active tournament in this room.');
+		if (target !== 'on' && target !== 'off') return this.sendReply('Proper syntax for this command: /tourhideinfo on OR /tourhideinfo off');
+		tour[room.id].hideInfo = (target === 'on');
+		tour.save();
+		if (target === 'off') return room.addRaw('<b>' + user.name + '</b> has let spectators of tournament battles see team preview again.');
+		room.addRaw('<b>' + user.name + '</b> has hidden team preview from spectators of tournament battles until they are over. This applies to battles started from now on.');
+	},
+
+	teamorder: function(target, room, user, connection) {
+		if (room.decision) return this.sendReply('Prof. Oak: There is a time and place for everything! You cannot do this in battle rooms.');
+		if (tour[room.id] == undefined || tour[room.id].status == 0 || !tour[room.id].teamSize) return this.sendReply('There is no team tournament in this room.');
+		var teamid = tour.findTeam(room.id, user.userid);
+		if (!teamid) return this.sendReply("You're not in the tournament.");
+		var team = tour[room.id].teams[teamid];
+		if (!target) return this.sendReply(team.name + "'s lineup: " + team.members.map(tour.username).join(', '));
+		if (team.captain != user.userid) return this.sendReply("Only your team's captain can change its lineup.");
+		var order = tour.splint(target).map(toId);
+		var isValid = (order.length == team.members.length);
+		for (var i = 0; i < order.length; i++) {
+			if (team.members.indexOf(order[i]) < 0 || order.indexOf(order[i]) != i) isValid = false;
+		}
+		if (!isValid) return this.sendReply('Proper syntax for this command: /teamorder member1, member2, ... listing every member of your team once.');
+		team.members = order;
+		tour.save();
+		this.sendReply(team.name + "'s lineup is now: " + order.map(tour.username).join(', ') + (tour[room.id].status == 2 ? '. This will be used from next round.' : '.'));
+	},
+
 	jt: 'j',
 	jointour: 'j',
 	j: function(target, room, user, connection) {
 		if (room.decision) return this.sendReply('Prof. Oak: There is a time and place for everything! You cannot do this in battle rooms.');
 		if (tour[room.id] == undefined || tour[room.id].status == 0) return this.sendReply('There is no active tournament to join.');
 		if (tour[room.id].status == 2) return this.sendReply('Signups for the current tournament are over.');
+		if (tour[room.id].teamSize) {
+			if (!target) return this.sendReply('This is a team tournament. Use /j TEAM NAME to join a team, or to start a new one.');
+			var error = tour.addToTeam(room.id, user.userid, target);
+			if (error) return this.sendReply(error);
+			var team = tour[room.id].teams[tour.findTeam(room.id, user.userid)];
+			if (team.members.length == 1) {
+				tour.reportdue(room);
+				room.addRaw('<b>' + sanitize(user.name) + '</b> is the captain of <b>' + clean(team.name) + '</b>. Use <font color="red">/j ' + clean(team.name) + '</font> to join them!');
+			} else {
+				room.addRaw('<b>' + sanitize(user.name) + '</b> has joined <b>' + clean(team.name) + '</b> (' + team.members.length + '/' + tour[room.id].teamSize + ').');
+			}
+			if (tour.isFull(room.id)) tour.start(room.id);
+			else tour.save();
+			return;
+		}
 		if (tour.joinable(user.userid, room.id)) {
 			tour[room.id].players.push(user.userid);
 			var remslots = tour[room.id].size - tour[room.id].players.length;
@@ -558,7 +1829,8 @@ var cmds = {
 			} else {
 				this.sendReply('You have succesfully joined the tournament.');
 			}
-			if (tour[room.id].size == tour[room.id].players.length) tour.start(room.id);
+			if (tour.isFull(room.id)) tour.start(room.id);
+			else tour.save();
 		} else {
 			return this.sendReply('You could not enter the tournament. You may already be in the tournament. Type /l if you want to leave the tournament.');
 		}
@@ -570,19 +1842,33 @@ var cmds = {
 		if (room.decision) return this.sendReply('Prof. Oak: There is a time and place for everything! You cannot do this in battle rooms.');
 		if (tour[room.id] == undefined || tour[room.id].status == 0 || tour[room.id].status == 2) return this.sendReply('There is no tournament in a sign-up phase.');
 		if (!target) return this.sendReply('Please specify a user who you\'d like to participate.');
+		var targets = tour.splint(target);
+		target = targets[0];
 		var targetUser = Users.get(target);
 		if (targetUser) {
 			target = targetUser.userid;
 		} else {
 			return this.sendReply('The user \'' + target + '\' doesn\'t exist.');
 		}
+		if (tour[room.id].teamSize) {
+			if (!targets[1]) return this.sendReply('This is a team tournament. Use /fj user, team');
+			var error = tour.addToTeam(room.id, target, targets[1]);
+			if (error) return this.sendReply(error);
+			var team = tour[room.id].teams[tour.findTeam(room.id, target)];
+			if (team.members.length == 1) tour.reportdue(room);
+			room.addRaw(user.name + ' has forced <b>' + tour.username(target) + '</b> to join <b>' + clean(team.name) + '</b> (' + team.members.length + '/' + tour[room.id].teamSize + ').');
+			if (tour.isFull(room.id)) tour.start(room.id);
+			else tour.save();
+			return;
+		}
 		if (tour.joinable(target, room.id)) {
 			tour.reportdue(room);
 			tour[room.id].players.push(target);
 			tour[room.id].playerslogged.push(target);
 			var remslots = tour[room.id].size - tour[room.id].players.length;
 			room.addRaw(user.name + ' has forced <b>' + tour.username(target) + '</b> to join the tournament.' + tour.remsg(remslots));
-			if (tour[room.id].size == tour[room.id].players.length) tour.start(room.id);
+			if (tour.isFull(room.id)) tour.start(room.id);
+			else tour.save();
 		} else {
 			return this.sendReply('The user that you specified is already in the tournament.');
 		}
@@ -593,7 +1879,17 @@ var cmds = {
 	l: function(target, room, user, connection) {
 		if (room.decision) return this.sendReply('Prof. Oak: There is a time and place for everything! You cannot do this in battle rooms.');
 		if (tour[room.id] == undefined || tour[room.id].status == 0) return this.sendReply('There is no active tournament to leave.');
-		if (tour[room.id].status == 1) {
+		if (tour[room.id].status == 1 && tour[room.id].teamSize) {
+			var teamid = tour.removeFromTeam(room.id, user.userid);
+			if (!teamid) return this.sendReply("You're not in the tournament.");
+			tour.save();
+			if (tour[room.id].teams[teamid]) {
+				room.addRaw('<b>' + sanitize(user.name) + '</b> has left <b>' + clean(tour.username(teamid)) + '</b>.');
+			} else {
+				var remslots = tour[room.id].size - tour[room.id].players.length;
+				room.addRaw('<b>' + sanitize(user.name) + '</b> has left the tournament, and their team with them.' + tour.remsg(remslots));
+			}
+		} else if (tour[room.id].status == 1) {
 			var index = tour[room.id].players.indexOf(user.userid);
 			if (index !== -1) {
 				if (tour[room.id].playerslogged.indexOf(user.userid) !== -1) {
@@ -601,9 +1897,11 @@ var cmds = {
 					tour[room.id].players.splice(index, 1);
 					tour[room.id].playerslogged.splice(index, 1);
 					var remslots = tour[room.id].size - tour[room.id].players.length;
+					tour.save();
 					room.addRaw('<b>' + user.name + '</b> has left the tournament.' + tour.remsg(remslots));
 				} else {
 					tour[room.id].players.splice(index, 1);
+					tour.save();
 					return this.sendReply('You have left the tournament.');
 				}
 			}
@@ -611,15 +1909,25 @@ var cmds = {
 				return this.sendReply("You're not in the tournament.");
 			}
 		} else {
-			var dqopp = tour.lose(user.userid, room.id);
+			var leaver = user.userid;
+			var leaverName = user.name;
+			if (tour[room.id].teamSize) {
+				// only captains can withdraw their team
+				leaver = tour.findTeam(room.id, user.userid);
+				if (!leaver) return this.sendReply("You're not in the tournament.");
+				if (tour[room.id].teams[leaver].captain != user.userid) return this.sendReply("Only your team's captain can withdraw it from the tournament.");
+				leaverName = tour.username(leaver);
+			}
+			if (tour[room.id].dropped.indexOf(leaver) >= 0) return this.sendReply("You have already left the tournament.");
+			var dqopp = tour.drop(leaver, room.id);
 			if (dqopp && dqopp != -1 && dqopp != 1) {
-				room.addRaw('<b>' + user.name + '</b> has left the tournament. <b>' + tour.username(dqopp) + '</b> will advance.');
-				var r = tour[room.id].round;
-				var c = 0;
-				for (var i in r) {
-					if (r[i][2] && r[i][2] != -1) c++;
-				}
-				if (r.length == c) tour.nextRound(room.id);
+				room.addRaw('<b>' + leaverName + '</b> has left the tournament. <b>' + tour.username(dqopp) + '</b> will advance.');
+				tour.save();
+				tour.checkRound(room.id);
+			} else if (tour[room.id].type != 'single' && dqopp != -1) {
+				// they're out of future rounds, even if this one is already over
+				room.addRaw('<b>' + leaverName + '</b> has left the tournament.');
+				tour.save();
 			} else {
 				if (dqopp == 1) return this.sendReply("You've already done your match. Wait till next round to leave.");
 				if (dqopp == 0 || dqopp == -1) return this.sendReply("You're not in the tournament or your opponent is unavailable.");
@@ -639,12 +1947,20 @@ var cmds = {
 		} else {
 			return this.sendReply('The user \'' + target + '\' doesn\'t exist.');
 		}
+		if (tour[room.id].teamSize) {
+			var teamid = tour.removeFromTeam(room.id, target);
+			if (!teamid) return this.sendReply('The user that you specified is not in the tournament.');
+			tour.save();
+			room.addRaw(user.name + ' has forced <b>' + tour.username(target) + '</b> to leave <b>' + clean(tour.username(teamid)) + '</b>.' + (tour[room.id].teams[teamid] ? '' : ' The team has left the tournament.'));
+			return;
+		}
 		var index = tour[room.id].players.indexOf(target);
 		if (index !== -1) {
 			tour.reportdue(room);
 			tour[room.id].players.splice(index, 1);
 			tour[room.id].playerslogged.splice(index, 1);
 			var remslots = tour[room.id].size - tour[room.id].players.length;
+			tour.save();
 			room.addRaw(user.name + ' has forced <b>' + tour.username(target) + '</b> to leave the tournament.' + tour.remsg(remslots));
 		} else {
 			return this.sendReply('The user that you specified is not in the tournament.');
@@ -661,21 +1977,22 @@ var cmds = {
 			room.addRaw('<hr /><h2><font color="green">Please sign up for the ' + Tools.data.Formats[tour[room.id].tier].name + ' Tournament.</font> <font color="red">/j</font> <font color="green">to join!</font></h2><b><font color="blueviolet">PLAYERS:</font></b> ' + (isFinite(tour[room.id].size) ? tour[room.id].size : 'UNLIMITED') + '<br /><font color="blue"><b>TIER:</b></font> ' + Tools.data.Formats[tour[room.id].tier].name + '<hr />');
 		} else {
 			var c = tour[room.id];
+			var games = tour.pendingGames(room.id);
 			var unfound = [];
 			if (!target) {
-				for (var x in c.round) {
-					if (c.round[x][0] && c.round[x][1] && !c.round[x][2]) {
-						var userOne = Users.get(c.round[x][0]);
-						var userTwo = Users.get(c.round[x][1]);
+				for (var x in games) {
+					if (games[x][0] && games[x][1] && !games[x][2]) {
+						var userOne = Users.get(games[x][0]);
+						var userTwo = Users.get(games[x][1]);
 						if (userOne) {
-							userOne.popup("Remember that you have a pending tournament battle in the room " + room.title + ". Unless you start soon your battle against " + tour.username(c.round[x][1]) + "in the tier " + Tools.data.Formats[tour[room.id].tier].name + ", you could lose by W.O.");
+							userOne.popup("Remember that you have a pending tournament battle in the room " + room.title + ". Unless you start soon your battle against " + tour.username(games[x][1]) + "in the tier " + Tools.data.Formats[tour[room.id].tier].name + ", you could lose by W.O.");
 						} else {
-							unfound.push(c.round[x][0]);
+							unfound.push(games[x][0]);
 						}
 						if (userTwo) {
-							userTwo.popup("Remember that you have a pending tournament battle in the room " + room.title + ". Unless you start soon your battle against " + tour.username(c.round[x][0]) + "in the tier " + Tools.data.Formats[tour[room.id].tier].name + ", you could lose by W.O.");
+							userTwo.popup("Remember that you have a pending tournament battle in the room " + room.title + ". Unless you start soon your battle against " + tour.username(games[x][0]) + "in the tier " + Tools.data.Formats[tour[room.id].tier].name + ", you could lose by W.O.");
 						} else {
-							unfound.push(c.round[x][1]);
+							unfound.push(games[x][1]);
 						}
 					}
 				}
@@ -686,15 +2003,15 @@ var cmds = {
 					var nicetarget = false;
 					var someuser = Users.get(targets[i]);
 					if (someuser) {
-						for (var x in c.round) {
-							if (c.round[x][0] && c.round[x][1] && !c.round[x][2]) {
-								if (c.round[x][0] === someuser.userid) {
+						for (var x in games) {
+							if (games[x][0] && games[x][1] && !games[x][2]) {
+								if (games[x][0] === someuser.userid) {
 									nicetarget = true;
-									opponent = c.round[x][1];
+									opponent = games[x][1];
 									break;
-								} else if (c.round[x][1] === someuser.userid) {
+								} else if (games[x][1] === someuser.userid) {
 									nicetarget = true;
-									opponent = c.round[x][0];
+									opponent = games[x][0];
 									break;
 								}
 							}
@@ -703,7 +2020,7 @@ var cmds = {
 					if (nicetarget) {
 						someuser.popup("Remember that you have a pending tournament battle in the room " + room.title + ". Unless you start soon your battle against " + tour.username(opponent) + "in the tier " + Tools.data.Formats[tour[room.id].tier].name + ", you could lose by W.O.");
 					} else {
-						unfound.push(someuser.name);
+						unfound.push(someuser ? someuser.name : targets[i]);
 					}
 				}
 			}
@@ -735,10 +2052,12 @@ var cmds = {
 			if (room.decision) return this.sendReply('Prof. Oak: There is a time and place for everything! You cannot do this in battle rooms.');
 			if (tour[room.id] == undefined) return this.sendReply('There is no active tournament in this room.');
 			if (tour[room.id].status < 2) return this.sendReply('There is no tournament out of its signup phase.');
-			var html = '<hr /><h3><font color="green">Round '+ tour[room.id].roundNum + '!</font></h3><font color="blue"><b>TIER:</b></font> ' + Tools.data.Formats[tour[room.id].tier].name + "<hr /><center><small><font color=red>Red</font> = lost, <font color=green>Green</font> = won, <a class='ilink'><b>URL</b></a> = battling</small><center>";
+			var html = '<hr /><h3><font color="green">' + tour.roundName(room.id) + '!</font></h3><font color="blue"><b>TIER:</b></font> ' + Tools.data.Formats[tour[room.id].tier].name + ' (' + tour.types[tour[room.id].type] + ')' + "<hr /><center><small><font color=red>Red</font> = lost, <font color=green>Green</font> = won, <a class='ilink'><b>URL</b></a> = battling</small><center>";
 			var r = tour[room.id].round;
 			var firstMatch = false;
 			for (var i in r) {
+				var bracket = (tour[room.id].type == 'double' ? "<td><small>" + tour.bracketName[r[i][3]] + "&nbsp;</small></td>" : "");
+				var sets = (!tour[room.id].teamSize && r[i][5] ? " (" + r[i][5][0] + "-" + r[i][5][1] + ")" : "");
 				if (!r[i][1]) {
 					//bye
 					var byer = tour.username(r[i][0]);
@@ -752,7 +2071,7 @@ var cmds = {
 						if (p1n.substr(0, 6) === 'Guest ') p1n = r[i][0];
 						if (p2n.substr(0, 6) === 'Guest ') p2n = r[i][1];
 						var tabla = "";if (!firstMatch) {var tabla = "</center><table align=center cellpadding=0 cellspacing=0>";firstMatch = true;}
-						html += tabla + "<tr><td align=right>" + clean(p1n) + "</td><td>&nbsp;VS&nbsp;</td><td>" + clean(p2n) + "</td></tr>";
+						html += tabla + "<tr>" + bracket + "<td align=right>" + clean(p1n) + "</td><td>&nbsp;VS&nbsp;</td><td>" + clean(p2n) + sets + "</td></tr>" + tour.slotsHtml(room.id, r[i]);
 					}
 					else if (r[i][2] == -1) {
 						//currently battling
@@ -763,7 +2082,7 @@ var cmds = {
 						var tabla = "";if (!firstMatch) {var tabla = "</center><table align=center cellpadding=0 cellspacing=0>";firstMatch = true;}
 						var tourbattle = tour[room.id].battles[i];
 						function link(txt) {return "<a href='/" + tourbattle + "' room='" + tourbattle + "' class='ilink'>" + txt + "</a>";}
-						html += tabla + "<tr><td align=right><b>" + link(clean(p1n)) + "</b></td><td><b>&nbsp;" + link("VS") + "&nbsp;</b></td><td><b>" + link(clean(p2n)) + "</b></td></tr>";
+						html += tabla + "<tr>" + bracket + "<td align=right><b>" + link(clean(p1n)) + "</b></td><td><b>&nbsp;" + link("VS") + "&nbsp;</b></td><td><b>" + link(clean(p2n)) + "</b>" + sets + "</td></tr>" + tour.slotsHtml(room.id, r[i]);
 					}
 					else {
 						//match completed
@@ -778,14 +2097,25 @@ var cmds = {
 						if (p1n.substr(0, 6) === 'Guest ') p1n = r[i][0];
 						if (p2n.substr(0, 6) === 'Guest ') p2n = r[i][1];
 						var tabla = "";if (!firstMatch) {var tabla = "</center><table align=center cellpadding=0 cellspacing=0>";firstMatch = true;}
-						html += tabla + "<tr><td align=right><b><font color=\"" + p1 + "\">" + clean(p1n) + "</font></b></td><td><b>&nbsp;VS&nbsp;</b></td><td><font color=\"" + p2 + "\"><b>" + clean(p2n) + "</b></font></td></tr>";
+						html += tabla + "<tr>" + bracket + "<td align=right><b><font color=\"" + p1 + "\">" + clean(p1n) + "</font></b></td><td><b>&nbsp;VS&nbsp;</b></td><td><font color=\"" + p2 + "\"><b>" + clean(p2n) + "</b></font>" + sets + "</td></tr>" + tour.slotsHtml(room.id, r[i]);
 					}
 				}
 			}
-			this.sendReply("|raw|" + html + "</table>");
+			html += "</table>";
+			if (tour[room.id].type == 'roundrobin' || tour[room.id].type == 'swiss') {
+				html += "<center>" + tour.standingsTable(room.id) + "</center>";
+			}
+			this.sendReply("|raw|" + html);
 		}
 	},
 
+	bracket: function(target, room, user, connection) {
+		if (!this.canBroadcast()) return;
+		var rid = (target ? toId(target) : room.id);
+		if (!Rooms.rooms[rid] || !tour.getBracket(rid)) return this.sendReply('There is no tournament in ' + (target ? 'the room "' + target + '"' : 'this room') + '.');
+		this.sendReplyBox(tour.bracketHtml(rid));
+	},
+
 	disqualify: 'dq',
 	dq: function(target, room, user, connection) {
 		if (!tour.midauth(user,room)) return this.sendReply('You do not have enough authority to use this command.');
@@ -809,10 +2139,20 @@ var cmds = {
 		} else {
 			var dqGuy = toId(target);
 		}
-		var error = tour.lose(dqGuy, room.id);
+		if (tour[room.id].teamSize) {
+			// disqualifying a player disqualifies their whole team
+			dqGuy = tour.findTeam(room.id, toId(target)) || 'team-' + toId(target);
+		}
+		if (tour[room.id].dropped.indexOf(dqGuy) >= 0) return this.sendReply('The user \'' + target + '\' has already left the tournament.');
+		var error = tour.drop(dqGuy, room.id);
 		if (error == -1) {
 			return this.sendReply('The user \'' + target + '\' was not in the tournament.');
 		}
+		else if (tour[room.id].type != 'single' && (error == 0 || error == 1)) {
+			// they won't be paired again
+			room.addRaw('<b>' + tour.username(dqGuy) + '</b> was disqualified by ' + user.name + '.');
+			tour.save();
+		}
 		else if (error == 0) {
 			return this.sendReply('The user \'' + target + '\' was not assigned an opponent. Wait till next round to disqualify them.');
 		}
@@ -821,12 +2161,8 @@ var cmds = {
 		}
 		else {
 			room.addRaw('<b>' + tour.username(dqGuy) + '</b> was disqualified by ' + user.name + ' so ' + tour.username(error) + ' advances.');
-			var r = tour[room.id].round;
-			var c = 0;
-			for (var i in r) {
-				if (r[i][2] && r[i][2] != -1) c++;
-			}
-			if (r.length == c) tour.nextRound(room.id);
+			tour.save();
+			tour.checkRound(room.id);
 		}
 	},
 
@@ -851,7 +2187,7 @@ var cmds = {
 		var rt = tour[room.id];
 		var init1 = false;
 		var init2 = false;
-		var players = rt.players;
+		var players = tour.entrants(room.id);
 		//check if replacee in tour
 		for (var i in players) {
 			if (players[i] ==  t[0]) {
@@ -868,26 +2204,48 @@ var cmds = {
 		}
 		if (!init1) return this.sendReply(tour.username(t[0])  + ' cannot be replaced by ' + tour.username(t[1]) + " because they are not in the tournament.");
 		if (init2) return this.sendReply(tour.username(t[1]) + ' cannot replace ' + tour.username(t[0]) + ' because they are already in the tournament.');
-		var outof = ["players", "winners", "losers", "round"];
-		for (var x in outof) {
-			for (var y in rt[outof[x]]) {
-				var c = rt[outof[x]][y];
-				if (outof[x] == "round") {
-					if (c[0] == t[0]) c[0] = t[1];
-					if (c[1] == t[0]) c[1] = t[1];
-					if (c[2] == t[0]) c[2] = t[1];
-				}
-				else {
-					if (c == t[0]) rt[outof[x]][y] = t[1];
-				}
-			}
-		}
-		rt.players.splice(rt.players.indexOf(t[0]), 1);
-		rt.players.push(t[1]);
+		tour.renamePlayer(room.id, t[0], t[1]);
 		rt.history.push(t[0] + "->" + t[1]);
+		tour.save();
 		room.addRaw('<b>' + tour.username(t[0]) +'</b> has left the tournament and is replaced by <b>' + tour.username(t[1]) + '</b>.');
 	},
 
+	lb: 'leaderboard',
+	leaderboard: function(target, room, user, connection) {
+		if (!this.canBroadcast()) return;
+		var targets = tour.splint(target);
+		var tier = '';
+		var season = 0;
+		for (var i = 0; i < targets.length; i++) {
+			if (!targets[i]) continue;
+			if (/^(season\s*)?[0-9]+$/i.test(targets[i])) {
+				season = parseInt(targets[i].replace(/[^0-9]/g, ''));
+			} else if (tour.tiers.indexOf(toId(targets[i])) >= 0) {
+				tier = toId(targets[i]);
+			} else {
+				return this.sendReply('Proper syntax for this command: /leaderboard [tier], [season]');
+			}
+		}
+		if (!season) season = League.currentSeason();
+		var list = League.getLeaderboard(season, tier);
+		if (!list) return this.sendReply('There is no season ' + season + '. This is season ' + League.currentSeason() + '.');
+		var title = 'Season ' + season + (season == League.currentSeason() ? '' : ' (finished)') + ' leaderboard' + (tier ? ' for ' + Tools.data.Formats[tier].name : '');
+		if (!list.length) return this.sendReplyBox('<b>' + title + ':</b> nobody has scored any points yet.');
+		var html = '<b>' + title + ':</b><br /><table border="1" cellspacing="0" cellpadding="3"><tr><th></th><th>Name</th><th>Points</th><th>Tours</th><th>Wins</th></tr>';
+		for (var i = 0; i < list.length && i < 20; i++) {
+			html += '<tr><td>' + (i + 1) + '</td><td>' + clean(list[i][1].name) + '</td><td><strong>' + list[i][2] + '</strong></td><td>' + list[i][1].tours + '</td><td>' + list[i][1].wins + '</td></tr>';
+		}
+		this.sendReplyBox(html + '</table>');
+	},
+
+	seasonreset: function(target, room, user, connection) {
+		if (!tour.highauth(user)) return this.sendReply('You do not have enough authority to use this command.');
+		if (toId(target) != 'confirm') return this.sendReply('This will end season ' + League.currentSeason() + ' and start a new leaderboard. Use /seasonreset confirm if you\'re sure.');
+		var season = League.newSeason();
+		this.logModCommand(user.name + ' ended league season ' + (season - 1) + '.');
+		room.addRaw('<b>' + user.name + '</b> has ended league season ' + (season - 1) + '. Season ' + season + ' starts now!');
+	},
+
 	tours: function(target, room, user, connection) {
 		if (!this.canBroadcast()) return;
 		var oghtml = "<hr /><h2>Tournaments In Their Signup Phase:</h2>";
@@ -911,16 +2269,13 @@ var cmds = {
 			for (var i in tour) {
 				var c = tour[i];
 				if (c.status == 2) {
-					for (var x in c.round) {
-						if (c.round[x] === undefined) continue;
-						if ((room.p1.userid == c.round[x][0] && room.p2.userid == c.round[x][1]) || (room.p2.userid == c.round[x][0] && room.p1.userid == c.round[x][1])) {
-							if (c.round[x][2] == -1) {
-								c.round[x][2] = undefined;
-								Rooms.rooms[i].addRaw("The tournament match between " + '<b>' + room.p1.name + '</b>' + " and " + '<b>' + room.p2.name + '</b>' + " was " + '<b>' + "invalidated" + '</b>' + ' by ' + user.name);
-								tour[i].battlesinvtie.push(room.id);
-								break tourinvalidlabel;
-							}
-						}
+					var found = tour.findGame(i, room.p1.userid, room.p2.userid);
+					if (found && found.game[2] == -1) {
+						found.game[2] = undefined;
+						Rooms.rooms[i].addRaw("The tournament match between " + '<b>' + room.p1.name + '</b>' + " and " + '<b>' + room.p2.name + '</b>' + " was " + '<b>' + "invalidated" + '</b>' + ' by ' + user.name);
+						tour[i].battlesinvtie.push(room.id);
+						tour.save();
+						break tourinvalidlabel;
 					}
 				}
 			}
@@ -1100,17 +2455,24 @@ Rooms.global.startBattle = function(p1, p2, format, rated, p1team, p2team) {
 		for (var i in tour) {
 			var c = tour[i];
 			if (c.status == 2) {
-				for (var x in c.round) {
-					if ((p1.userid == c.round[x][0] && p2.userid == c.round[x][1]) || (p2.userid == c.round[x][0] && p1.userid == c.round[x][1])) {
-						if (!c.round[x][2] && c.round[x][2] != -1) {
-							if (format == c.tier.toLowerCase()) {
-								newRoom.tournament = true;
-								c.battles[x] = "battle-" + formaturlid + "-" + battleid;
-								c.round[x][2] = -1;
-								Rooms.rooms[i].addRaw("<a href=\"/" + c.battles[x] + "\" class=\"ilink\"><b>Tournament battle between " + p1.name + " and " + p2.name + " started.</b></a>");
-							}
-						}
+				var found = tour.findGame(i, p1.userid, p2.userid);
+				if (found && !found.game[2] && format == c.tier.toLowerCase()) {
+					var x = found.key;
+					newRoom.tournament = true;
+					if (c.spectatorDelay || c.hideInfo) {
+						newRoom.spectatorDelay = c.spectatorDelay || 0;
+						newRoom.hideInfo = !!c.hideInfo;
+						newRoom.spectatorUpdate = newRoom.lastUpdate;
+						var notes = [];
+						if (newRoom.spectatorDelay) notes.push('spectators are ' + newRoom.spectatorDelay + ' turn' + (newRoom.spectatorDelay == 1 ? '' : 's') + ' behind');
+						if (newRoom.hideInfo) notes.push("spectators can't see team preview until the battle is over");
+						newRoom.addRaw('In this tournament battle, ' + notes.join(', and ') + '.');
 					}
+					found.game[4] = "battle-" + formaturlid + "-" + battleid;
+					found.game[2] = -1;
+					// team matches are made of several battles, so only the slot is marked as battling
+					if (!c.teamSize) c.battles[x] = found.game[4];
+					Rooms.rooms[i].addRaw("<a href=\"/" + found.game[4] + "\" class=\"ilink\"><b>Tournament battle between " + p1.name + " and " + p2.name + " started.</b></a>");
 				}
 			}
 		}
@@ -1143,7 +2505,11 @@ Rooms.BattleRoom.prototype.joinBattle = function(user, team) {
 	Rooms.global.battleCount += (this.battle.active?1:0) - (this.active?1:0);
 	this.active = this.battle.active;
 	if (this.active) {
-		this.title = ""+this.battle.p1+" vs. "+this.battle.p2;
+		if (this.battle.players.length > 2) {
+			this.title = ""+this.battle.p1+" & "+this.battle.p3+" vs. "+this.battle.p2+" & "+this.battle.p4;
+		} else {
+			this.title = ""+this.battle.p1+" vs. "+this.battle.p2;
+		}
 		this.send('|title|'+this.title);
 	}
 	this.update();
@@ -1194,29 +2560,18 @@ Rooms.BattleRoom.prototype.win = function(winner) {
 		for (var i in tour) {
 			var c = tour[i];
 			if (c.status == 2) {
-				for (var x in c.round) {
-					if (c.round[x] === undefined) continue;
-					if ((this.p1.userid == c.round[x][0] && this.p2.userid == c.round[x][1]) || (this.p2.userid == c.round[x][0] && this.p1.userid == c.round[x][1])) {
-						if (c.round[x][2] == -1) {
-							if (istie) {
-								c.round[x][2] = undefined;
-								Rooms.rooms[i].addRaw("The tournament match between " + '<b>' + tour.username(this.p1.name) + '</b>' + " and " + '<b>' + this.p2.name + '</b>' + " ended in a " + '<b>' + "tie." + '</b>' + " Please have another battle.");
-								tour[i].battlesinvtie.push(this.id);
-							} else {
-								tour.lose(loserid, i);
-								Rooms.rooms[i].addRaw('<b>' + tour.username(winnerid) + '</b> won their battle against ' + tour.username(loserid) + '.</b>');
-								var r = tour[i].round;
-								var cc = 0;
-								for (var y in r) {
-									if (r[y][2] && r[y][2] != -1) {
-										cc++;
-									}
-								}
-								if (r.length == cc) tour.nextRound(i);
-							}
-							tour[i].battlesended.push(this.id);
-						}
+				var found = tour.findGame(i, this.p1.userid, this.p2.userid);
+				if (found && found.game[2] == -1) {
+					if (istie) {
+						found.game[2] = undefined;
+						Rooms.rooms[i].addRaw("The tournament match between " + '<b>' + tour.username(this.p1.name) + '</b>' + " and " + '<b>' + this.p2.name + '</b>' + " ended in a " + '<b>' + "tie." + '</b>' + " Please have another battle.");
+						tour[i].battlesinvtie.push(this.id);
+					} else {
+						tour.recordGame(i, found.key, found.game, winnerid);
 					}
+					tour[i].battlesended.push(this.id);
+					tour.save();
+					tour.checkRound(i);
 				}
 			}
 		}
@@ -1239,8 +2594,6 @@ Rooms.BattleRoom.prototype.win = function(winner) {
 		var p2 = rated.p2;
 		if (Users.getExact(rated.p2)) p2 = Users.getExact(rated.p2).name;
 
-		//update.updates.push('[DEBUG] uri: '+config.loginserver+'action.php?act=ladderupdate&serverid='+config.serverid+'&p1='+encodeURIComponent(p1)+'&p2='+encodeURIComponent(p2)+'&score='+p1score+'&format='+toId(rated.format)+'&servertoken=[token]');
-
 		if (!rated.p1 || !rated.p2) {
 			this.push('|raw|ERROR: Ladder not updated: a player does not exist');
 		} else {
@@ -1248,58 +2601,33 @@ Rooms.BattleRoom.prototype.win = function(winner) {
 			if (winner && !winner.authenticated) {
 				this.send('|askreg|' + winner.userid, winner);
 			}
-			var p1rating, p2rating;
 			// update rankings
 			this.push('|raw|Ladder updating...');
 			var self = this;
-			LoginServer.request('ladderupdate', {
-				p1: p1,
-				p2: p2,
-				score: p1score,
-				format: toId(rated.format)
-			}, function(data, statusCode, error) {
+			Ladders.get(rated.format).updateRating(p1, p2, p1score, function(p1rating, p2rating) {
 				if (!self.battle) {
 					console.log('room expired before ladder update was received');
 					return;
 				}
-				if (!data) {
-					self.addRaw('Ladder (probably) updated, but score could not be retrieved ('+error+').');
-					self.update();
-					// log the battle anyway
-					if (!Tools.getFormat(self.format).noLog) {
-						self.logBattle(p1score);
-					}
-					return;
-				} else {
-					try {
-						p1rating = data.p1rating;
-						p2rating = data.p2rating;
-
-						//self.add("Ladder updated.");
 
-						var oldacre = Math.round(data.p1rating.oldacre);
-						var acre = Math.round(data.p1rating.acre);
-						var reasons = ''+(acre-oldacre)+' for '+(p1score>.99?'winning':(p1score<.01?'losing':'tying'));
-						if (reasons.substr(0,1) !== '-') reasons = '+'+reasons;
-						self.addRaw(sanitize(p1)+'\'s rating: '+oldacre+' &rarr; <strong>'+acre+'</strong><br />('+reasons+')');
+				var oldelo = Math.round(p1rating.oldelo);
+				var elo = Math.round(p1rating.elo);
+				var reasons = ''+(elo-oldelo)+' for '+(p1score>.99?'winning':(p1score<.01?'losing':'tying'));
+				if (reasons.substr(0,1) !== '-') reasons = '+'+reasons;
+				self.addRaw(sanitize(p1)+'\'s rating: '+oldelo+' &rarr; <strong>'+elo+'</strong><br />('+reasons+')');
 
-						var oldacre = Math.round(data.p2rating.oldacre);
-						var acre = Math.round(data.p2rating.acre);
-						var reasons = ''+(acre-oldacre)+' for '+(p1score>.99?'losing':(p1score<.01?'winning':'tying'));
-						if (reasons.substr(0,1) !== '-') reasons = '+'+reasons;
-						self.addRaw(sanitize(p2)+'\'s rating: '+oldacre+' &rarr; <strong>'+acre+'</strong><br />('+reasons+')');
+				var oldelo = Math.round(p2rating.oldelo);
+				var elo = Math.round(p2rating.elo);
+				var reasons = ''+(elo-oldelo)+' for '+(p1score>.99?'losing':(p1score<.01?'winning':'tying'));
+				if (reasons.substr(0,1) !== '-') reasons = '+'+reasons;
+				self.addRaw(sanitize(p2)+'\'s rating: '+oldelo+' &rarr; <strong>'+elo+'</strong><br />('+reasons+')');
 
-						Users.get(p1).cacheMMR(rated.format, data.p1rating);
-						Users.get(p2).cacheMMR(rated.format, data.p2rating);
-						self.update();
-					} catch(e) {
-						self.addRaw('There was an error calculating rating changes.');
-						self.update();
-					}
+				if (Users.get(p1)) Users.get(p1).cacheMMR(rated.format, p1rating);
+				if (Users.get(p2)) Users.get(p2).cacheMMR(rated.format, p2rating);
+				self.update();
 
-					if (!Tools.getFormat(self.format).noLog) {
-						self.logBattle(p1score, p1rating, p2rating);
-					}
+				if (!Tools.getFormat(self.format).noLog) {
+					self.logBattle(p1score, p1rating, p2rating);
 				}
 			});
 		}
@@ -1308,47 +2636,13 @@ Rooms.BattleRoom.prototype.win = function(winner) {
 	this.active = false;
 	this.update();
 };
-Rooms.BattleRoom.prototype.requestKickInactive = function(user, force) {
-	if (this.resetTimer) {
-		this.send('|inactive|The inactivity timer is already counting down.', user);
-		return false;
-	}
-	if (user) {
-		if (!force && this.battle.getSlot(user) < 0) return false;
-		this.resetUser = user.userid;
-		this.send('|inactive|Battle timer is now ON: inactive players will automatically lose when time\'s up. (requested by '+user.name+')');
-	}
-
-	// a tick is 10 seconds
-
-	var maxTicksLeft = 15; // 2 minutes 30 seconds
-	if (!this.battle.p1 || !this.battle.p2) {
-		// if a player has left, don't wait longer than 6 ticks (1 minute)
-		maxTicksLeft = 6;
-	}
-	if (!this.rated && !this.tournament) maxTicksLeft = 30;
-
-	this.sideTurnTicks = [maxTicksLeft, maxTicksLeft];
-
-	var inactiveSide = this.getInactiveSide();
-	if (inactiveSide < 0) {
-		// add 10 seconds to bank if they're below 160 seconds
-		if (this.sideTicksLeft[0] < 16) this.sideTicksLeft[0]++;
-		if (this.sideTicksLeft[1] < 16) this.sideTicksLeft[1]++;
-	}
-	this.sideTicksLeft[0]++;
-	this.sideTicksLeft[1]++;
-	if (inactiveSide != 1) {
-		// side 0 is inactive
-		var ticksLeft0 = Math.min(this.sideTicksLeft[0] + 1, maxTicksLeft);
-		this.send('|inactive|You have '+(ticksLeft0*10)+' seconds to make your decision.', this.battle.getPlayer(0));
-	}
-	if (inactiveSide != 0) {
-		// side 1 is inactive
-		var ticksLeft1 = Math.min(this.sideTicksLeft[1] + 1, maxTicksLeft);
-		this.send('|inactive|You have '+(ticksLeft1*10)+' seconds to make your decision.', this.battle.getPlayer(1));
-	}
-
-	this.resetTimer = setTimeout(this.kickInactive.bind(this), 10*1000);
-	return true;
+Rooms.BattleRoom.prototype.getTimerSettings = function() {
+	var timer = Tools.getFormat(this.format).timer || {};
+	// tournament battles get the rated timer even when they're unrated
+	var defaults = ((this.rated || this.tournament) ? this.ratedTimer : this.unratedTimer);
+	return {
+		bank: timer.bank || defaults.bank,
+		turn: timer.turn || defaults.turn,
+		increment: (timer.increment !== undefined ? timer.increment : defaults.increment)
+	};
 };
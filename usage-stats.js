@@ -0,0 +1,206 @@
+/**
+ * Usage stats
+ * Pokemon Showdown - http://pokemonshowdown.com/
+ *
+ * Smogon-style usage statistics, worked out from the battle logs that
+ * BattleRoom.logBattle writes to logs/YYYY-MM/FORMAT/YYYY-MM-DD/.
+ *
+ * For each Pokemon in a format and month, this counts how many teams
+ * used it, how often those teams won, and the most common items,
+ * abilities, moves and teammates. Usage is also weighted by rating:
+ * every team counts for its player's chance of beating a 1500-rated
+ * player, so the Pokemon good players use count for more.
+ *
+ * Results are cached; the current month is recounted every few minutes.
+ *
+ * @license MIT license
+ */
+
+const CURRENT_MONTH_CACHE_TIME = 10 * 60 * 1000;
+
+module.exports = (function() {
+	var cache = {};
+	var pending = {};
+
+	/**
+	 * Calls back with the stats for `formatid` in `month` (YYYY-MM).
+	 */
+	var get = function(formatid, month, callback) {
+		var key = month + '/' + formatid;
+		var cached = cache[key];
+		if (cached && (month !== currentMonth() || Date.now() - cached.time < CURRENT_MONTH_CACHE_TIME)) {
+			callback(cached.stats);
+			return;
+		}
+		if (pending[key]) {
+			pending[key].push(callback);
+			return;
+		}
+		pending[key] = [callback];
+		count(formatid, month, function(stats) {
+			cache[key] = {stats: stats, time: Date.now()};
+			var callbacks = pending[key];
+			delete pending[key];
+			for (var i = 0; i < callbacks.length; i++) {
+				callbacks[i](stats);
+			}
+		});
+	};
+
+	var currentMonth = function() {
+		return new Date().format('{yyyy}-{MM}');
+	};
+
+	/**
+	 * Reads every log for the format and month, one file at a time.
+	 */
+	var count = function(formatid, month, callback) {
+		var stats = {
+			format: formatid,
+			month: month,
+			battles: 0,
+			teams: 0,
+			weight: 0,
+			pokemon: {}
+		};
+		var path = 'logs/' + month + '/' + formatid;
+		fs.readdir(path, function(err, dates) {
+			if (err) dates = [];
+			dates = dates.filter(function(date) {
+				return /^[0-9]{4}-[0-9]{2}-[0-9]{2}$/.test(date);
+			});
+			var files = [];
+			var nextDate = function() {
+				if (!dates.length) return nextFile();
+				var datePath = path + '/' + dates.shift();
+				fs.readdir(datePath, function(err, dateFiles) {
+					if (!err) {
+						for (var i = 0; i < dateFiles.length; i++) {
+							if (dateFiles[i].substr(-9) === '.log.json') files.push(datePath + '/' + dateFiles[i]);
+						}
+					}
+					nextDate();
+				});
+			};
+			var nextFile = function() {
+				if (!files.length) return callback(stats);
+				fs.readFile(files.shift(), {encoding: 'utf8'}, function(err, data) {
+					if (!err) {
+						try {
+							addBattle(stats, JSON.parse(data));
+						} catch (e) {} // skip logs that didn't finish writing
+					}
+					nextFile();
+				});
+			};
+			nextDate();
+		});
+	};
+
+	var addBattle = function(stats, logData) {
+		if (!logData.p1team || !logData.p2team) return;
+		var winner = null;
+		var log = logData.log || [];
+		for (var i = log.length - 1; i >= 0; i--) {
+			if (log[i].substr(0, 5) === '|win|') {
+				winner = toUserid(log[i].substr(5));
+				break;
+			}
+		}
+		stats.battles++;
+		addTeam(stats, logData.p1team, winner && winner === toUserid(logData.p1), logData.p1rating);
+		addTeam(stats, logData.p2team, winner && winner === toUserid(logData.p2), logData.p2rating);
+	};
+
+	var addTeam = function(stats, team, won, rating) {
+		var elo = 1500;
+		// ratings from the old login server ladder are called acre
+		if (rating) elo = Number(rating.elo || rating.acre) || 1500;
+		var weight = 1 / (1 + Math.pow(10, (1500 - elo) / 400));
+
+		stats.teams++;
+		stats.weight += weight;
+
+		var species = [];
+		for (var i = 0; i < team.length; i++) {
+			species.push(Tools.getTemplate(team[i].species || team[i].name).species);
+		}
+		for (var i = 0; i < team.length; i++) {
+			var set = team[i];
+			var entry = stats.pokemon[species[i]];
+			if (!entry) {
+				entry = stats.pokemon[species[i]] = {
+					count: 0,
+					wins: 0,
+					weight: 0,
+					items: {},
+					abilities: {},
+					moves: {},
+					teammates: {}
+				};
+			}
+			entry.count++;
+			if (won) entry.wins++;
+			entry.weight += weight;
+			if (set.item) increment(entry.items, Tools.getItem(set.item).name);
+			if (set.ability) increment(entry.abilities, Tools.getAbility(set.ability).name);
+			var moves = {};
+			for (var j = 0; j < (set.moves || []).length; j++) {
+				var move = Tools.getMove(set.moves[j]).name;
+				if (moves[move]) continue;
+				moves[move] = true;
+				increment(entry.moves, move);
+			}
+			for (var j = 0; j < species.length; j++) {
+				if (j !== i && species[j] !== species[i]) increment(entry.teammates, species[j]);
+			}
+		}
+	};
+
+	var increment = function(table, key) {
+		table[key] = (table[key] || 0) + 1;
+	};
+
+	/**
+	 * The Pokemon in `stats`, most used first, with percentages worked out.
+	 */
+	var getRanking = function(stats) {
+		var ranking = [];
+		for (var species in stats.pokemon) {
+			var entry = stats.pokemon[species];
+			ranking.push({
+				species: species,
+				count: entry.count,
+				usage: 100 * entry.count / stats.teams,
+				weighted: 100 * entry.weight / stats.weight,
+				winrate: 100 * entry.wins / entry.count
+			});
+		}
+		ranking.sort(function(a, b) {
+			return b.count - a.count;
+		});
+		return ranking;
+	};
+
+	/**
+	 * The `limit` most common keys of a table from a Pokemon's entry, as
+	 * [name, percentage of that Pokemon's sets] pairs.
+	 */
+	var getTop = function(entry, table, limit) {
+		var list = [];
+		for (var key in entry[table]) {
+			list.push([key, 100 * entry[table][key] / entry.count]);
+		}
+		list.sort(function(a, b) {
+			return b[1] - a[1];
+		});
+		return list.slice(0, limit);
+	};
+
+	return {
+		get: get,
+		currentMonth: currentMonth,
+		getRanking: getRanking,
+		getTop: getTop
+	};
+})();
@@ -106,6 +106,25 @@ function connectUser(socket) {
 	return connection;
 }
 
+/**
+ * Creates the AI players listed in `bots` in config/config.js. They're
+ * users with a connection that goes nowhere; their battles are played
+ * in the simulator process by battle-ai.js.
+ */
+function createBots() {
+	for (var name in config.bots) {
+		if (users[toUserid(name)]) continue;
+		var connection = new Connection({write: function() {}}, true);
+		var user = new User(connection);
+		user.forceRename(name, true);
+		user.botDifficulty = config.bots[name];
+		// no team, so every battle gets a random one
+		user.team = null;
+		user.joinRoom('global', connection);
+		if (Rooms.get('lobby')) user.joinRoom('lobby', connection);
+	}
+}
+
 var usergroups = {};
 function importUsergroups() {
 	// can't just say usergroups = {} because it's exported
@@ -194,6 +213,9 @@ var User = (function () {
 		this.challengeTo = null;
 		this.lastChallenge = 0;
 
+		// teams offered with /teams share, by the offering user's userid
+		this.teamOffers = {};
+
 		// initialize
 		users[this.userid] = this;
 	}
@@ -206,6 +228,8 @@ var User = (function () {
 	User.prototype.lastMessageTime = 0;
 
 	User.prototype.blockChallenges = false;
+	// set for AI players, to the difficulty they play at (see battle-ai.js)
+	User.prototype.botDifficulty = '';
 	User.prototype.lastConnected = 0;
 
 	User.prototype.isAway = false;
@@ -499,6 +523,10 @@ var User = (function () {
 				return this.forceRename(name, this.authenticated);
 			}
 		}
+		if (users[userid] && users[userid].botDifficulty) {
+			this.send('|nametaken|'+name+"|That name belongs to one of this server's AI players.");
+			return false;
+		}
 		if (users[userid] && !users[userid].authenticated && users[userid].connected && !auth) {
 			this.send('|nametaken|'+name+"|Someone is already using the name \""+users[userid].name+"\".");
 			return false;
@@ -828,31 +856,22 @@ var User = (function () {
 		if (that === undefined) that = this;
 		formatid = toId(formatid);
 
-		// this should relieve login server strain
-		// this.mmrCache[formatid] = 1500;
-
 		if (this.mmrCache[formatid]) {
 			callback.call(that, this.mmrCache[formatid]);
 			return;
 		}
-		LoginServer.request('mmr', {
-			format: formatid,
-			user: this.userid
-		}, function(data) {
-			var mmr = 1500;
-			if (data) {
-				mmr = parseInt(data,10);
-				if (isNaN(mmr)) mmr = 1500;
-			}
+		Ladders.get(formatid).getRating(this.userid, function(rating) {
+			var mmr = Math.round(rating.elo);
 			self.mmrCache[formatid] = mmr;
 			callback.call(that, mmr);
 		});
 	};
 	User.prototype.cacheMMR = function(formatid, mmr) {
+		formatid = toId(formatid);
 		if (typeof mmr === 'number') {
 			this.mmrCache[formatid] = mmr;
 		} else {
-			this.mmrCache[formatid] = Math.floor((Number(mmr.rpr)*2+Number(mmr.r))/3);
+			this.mmrCache[formatid] = Math.round(mmr.elo);
 		}
 	};
 	User.prototype.mute = function(roomid, time, force, noRecurse) {
@@ -981,7 +1000,12 @@ var User = (function () {
 			delete this.roomCount[room.id];
 		}
 	};
-	User.prototype.prepBattle = function(formatid, type, connection) {
+	/**
+	 * Checks that this user can start a battle in `formatid`. `teamName`
+	 * picks one of their saved teams (see team-storage.js) to use;
+	 * otherwise they use the last team they sent.
+	 */
+	User.prototype.prepBattle = function(formatid, type, connection, teamName) {
 		// all validation for a battle goes through here
 		if (!connection) connection = this;
 		if (!type) type = 'challenge';
@@ -1004,6 +1028,14 @@ var User = (function () {
 			connection.popup("That format is not available.");
 			return false;
 		}
+		if (teamName) {
+			var savedTeam = (this.authenticated ? TeamStorage.getTeam(this.userid, format.id, teamName) : null);
+			if (!savedTeam) {
+				connection.popup("You don't have a "+format.name+" team called '"+teamName+"'. Use /teams to see your saved teams.");
+				return false;
+			}
+			this.team = savedTeam;
+		}
 		var team = this.team;
 		var problems = Tools.validateTeam(team, formatid);
 		if (problems) {
@@ -1018,7 +1050,11 @@ var User = (function () {
 			challengeTo: this.challengeTo
 		}));
 	};
-	User.prototype.makeChallenge = function(user, format/*, isPrivate*/) {
+	/**
+	 * Challenges `user`. For multi battles, `partners` are this user's
+	 * partner and `user`'s partner; all three have to accept.
+	 */
+	User.prototype.makeChallenge = function(user, format, partners/*, isPrivate*/) {
 		user = getUser(user);
 		if (!user || this.challengeTo) {
 			return false;
@@ -1039,19 +1075,37 @@ var User = (function () {
 			//isPrivate: !!isPrivate, // currently unused
 			team: this.team
 		};
+		if (partners) {
+			challenge.players = [this.userid, user.userid, partners[0].userid, partners[1].userid];
+			challenge.teams = {};
+			challenge.teams[this.userid] = this.team;
+			challenge.accepted = {};
+		}
 		this.lastChallenge = time;
 		this.challengeTo = challenge;
 		user.challengesFrom[this.userid] = challenge;
 		this.updateChallenges();
 		user.updateChallenges();
+		if (partners) {
+			for (var i=0; i<partners.length; i++) {
+				partners[i].challengesFrom[this.userid] = challenge;
+				partners[i].updateChallenges();
+			}
+		}
+		// AI players take on anyone
+		if (user.botDifficulty) user.acceptChallengeFrom(this);
 	};
 	User.prototype.cancelChallengeTo = function() {
 		if (!this.challengeTo) return true;
-		var user = getUser(this.challengeTo.to);
-		if (user) delete user.challengesFrom[this.userid];
+		var userids = this.challengeTo.players || [this.challengeTo.to];
 		this.challengeTo = null;
 		this.updateChallenges();
-		if (user) user.updateChallenges();
+		for (var i=0; i<userids.length; i++) {
+			var user = getUser(userids[i]);
+			if (!user || user === this) continue;
+			delete user.challengesFrom[this.userid];
+			user.updateChallenges();
+		}
 	};
 	User.prototype.rejectChallengeFrom = function(user) {
 		var userid = toUserid(user);
@@ -1061,7 +1115,10 @@ var User = (function () {
 		}
 		if (user) {
 			delete this.challengesFrom[user.userid];
-			if (user.challengeTo && user.challengeTo.to === this.userid) {
+			if (user.challengeTo && user.challengeTo.players && user.challengeTo.players.indexOf(this.userid) >= 0) {
+				// one player backing out calls off a multi battle for everyone
+				user.cancelChallengeTo();
+			} else if (user.challengeTo && user.challengeTo.to === this.userid) {
 				user.challengeTo = null;
 				user.updateChallenges();
 			}
@@ -1071,13 +1128,33 @@ var User = (function () {
 	User.prototype.acceptChallengeFrom = function(user) {
 		var userid = toUserid(user);
 		user = getUser(user);
-		if (!user || !user.challengeTo || user.challengeTo.to !== this.userid) {
+		var challenge = (user ? user.challengeTo : null);
+		if (!challenge || (challenge.players ? challenge.players.indexOf(this.userid) <= 0 : challenge.to !== this.userid)) {
 			if (this.challengesFrom[userid]) {
 				delete this.challengesFrom[userid];
 				this.updateChallenges();
 			}
 			return false;
 		}
+		if (challenge.players) {
+			// multi battles start once everyone has accepted
+			challenge.teams[this.userid] = this.team;
+			challenge.accepted[this.userid] = true;
+			delete this.challengesFrom[user.userid];
+			this.updateChallenges();
+			for (var i=1; i<challenge.players.length; i++) {
+				if (!challenge.accepted[challenge.players[i]]) return true;
+			}
+			user.challengeTo = null;
+			user.updateChallenges();
+			var teams = challenge.players.map(function(userid) {
+				return challenge.teams[userid];
+			});
+			if (!Rooms.global.startMultiBattle(challenge.players, challenge.format, teams)) {
+				user.popup("The multi battle couldn't be started, because one of its players is gone.");
+			}
+			return true;
+		}
 		Rooms.global.startBattle(this, user, user.challengeTo.format, false, this.team, user.challengeTo.team);
 		delete this.challengesFrom[user.userid];
 		user.challengeTo = null;
@@ -1268,6 +1345,7 @@ exports.get = getUser;
 exports.getExact = getExactUser;
 exports.searchUser = searchUser;
 exports.connectUser = connectUser;
+exports.createBots = createBots;
 exports.importUsergroups = importUsergroups;
 exports.addBannedWord = addBannedWord;
 exports.removeBannedWord = removeBannedWord;